@@ -3,6 +3,8 @@ import { createRouter, createWebHistory } from 'vue-router'
 const Overview = () => import('../pages/Overview.vue')
 const Miners = () => import('../pages/Miners.vue')
 const Sessions = () => import('../pages/Sessions.vue')
+const Solutions = () => import('../pages/Solutions.vue')
+const Schedules = () => import('../pages/Schedules.vue')
 const Logs = () => import('../pages/Logs.vue')
 const Config = () => import('../pages/Config.vue')
 const Alerts = () => import('../pages/Alerts.vue')
@@ -11,6 +13,8 @@ const routes = [
   { path: '/', name: 'overview', component: Overview },
   { path: '/miners', name: 'miners', component: Miners },
   { path: '/sessions', name: 'sessions', component: Sessions },
+  { path: '/solutions', name: 'solutions', component: Solutions },
+  { path: '/schedules', name: 'schedules', component: Schedules },
   { path: '/logs', name: 'logs', component: Logs },
   { path: '/config', name: 'config', component: Config },
   { path: '/alerts', name: 'alerts', component: Alerts },
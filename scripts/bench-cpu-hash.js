@@ -0,0 +1,127 @@
+/**
+ * CPU hashing benchmark
+ * قياس أداء التجزئة على المعالج
+ *
+ * Single-thread SHA-256d rate of the CPUWorker hashing paths on the same
+ * header and nonces:
+ *   crypto    - buildHeaderWithNonce + doubleSHA256 + isHashBelowTarget per nonce
+ *   midstate  - MidstateHasher: first block precomputed, no per-nonce allocation
+ *   wasm      - WebAssembly kernel, one scan() call per batch
+ *   wasm-simd - the same kernel hashing four nonces per instruction
+ * A WebAssembly path that fails to compile or its self-test is skipped.
+ *
+ * Usage: node scripts/bench-cpu-hash.js [--seconds N] [--json]
+ */
+const { buildHeaderPrefix, buildHeaderWithNonce, doubleSHA256, isHashBelowTarget } = require('../src/utils/hashingUtils');
+const { MidstateHasher, targetToWords } = require('../src/utils/sha256Midstate');
+const { compileKernel, selfTest, WasmScanner } = require('../src/utils/sha256Wasm');
+
+const CONFIG = {
+  ticket_data: 'ced7c860704c8bb3946e87b060f5a972642777a043759349e212fb5d920d90c9',
+  leader_address: '842983de8fb1d277a3fad5c8295c7a14317c4587',
+  reward_address: '021bbd75cf6530bd40f4ab8b131600e0188f4a8c',
+  block_height: 16909060,
+  mining_type: 1,
+  timestamp: 1761234567
+};
+// Never met, so both paths do the full comparison work
+const TARGET = '0000000000000000000000000000000000000000000000000000000000000001';
+const BATCH = 10000;
+
+function runFor(seconds, hashBatch) {
+  // Warm up the JIT before timing
+  let nonce = hashBatch(0);
+  const start = process.hrtime.bigint();
+  const deadline = start + BigInt(Math.round(seconds * 1e9));
+  let hashes = 0;
+  let now = start;
+  while (now < deadline) {
+    nonce = hashBatch(nonce);
+    hashes += BATCH;
+    now = process.hrtime.bigint();
+  }
+  const elapsed = Number(now - start) / 1e9;
+  return { hashes, seconds: elapsed, hashRate: hashes / elapsed };
+}
+
+function cryptoBatch(prefix) {
+  return (from) => {
+    for (let nonce = from; nonce < from + BATCH; nonce++) {
+      const hash = doubleSHA256(buildHeaderWithNonce(prefix, nonce));
+      if (isHashBelowTarget(hash, TARGET)) throw new Error('unexpected solution');
+    }
+    return from + BATCH;
+  };
+}
+
+function midstateBatch(prefix) {
+  const hasher = new MidstateHasher(prefix);
+  const targetWords = targetToWords(TARGET);
+  return (from) => {
+    for (let nonce = from; nonce < from + BATCH; nonce++) {
+      hasher.hashNonce(nonce);
+      if (hasher.isBelow(targetWords)) throw new Error('unexpected solution');
+    }
+    return from + BATCH;
+  };
+}
+
+function wasmBatch(prefix, simd) {
+  const module = compileKernel(simd);
+  const test = selfTest(module, simd);
+  if (!test.passed) throw new Error(`self-test failed: ${test.error}`);
+  const scanner = new WasmScanner(module, simd);
+  scanner.setJob(prefix, TARGET);
+  return (from) => {
+    if (scanner.scan(from, BATCH).length > 0) throw new Error('unexpected solution');
+    return from + BATCH;
+  };
+}
+
+const formatRate = (rate) => `${(rate / 1000).toFixed(1)} kH/s`;
+
+(() => {
+  const args = process.argv.slice(2);
+  const secondsArg = args.indexOf('--seconds');
+  const seconds = secondsArg !== -1 ? Math.max(0.5, Number(args[secondsArg + 1]) || 3) : 3;
+  const prefix = buildHeaderPrefix(CONFIG);
+
+  // Both paths must agree before their speed means anything
+  const check = new MidstateHasher(prefix);
+  for (const nonce of [0, 1, 2147531360, 4294967295]) {
+    check.hashNonce(nonce);
+    const expected = doubleSHA256(buildHeaderWithNonce(prefix, nonce)).toString('hex');
+    if (check.digest().toString('hex') !== expected) {
+      console.error(`MIDSTATE_MISMATCH at nonce ${nonce}`);
+      process.exit(1);
+    }
+  }
+
+  const results = {
+    crypto: runFor(seconds, cryptoBatch(prefix)),
+    midstate: runFor(seconds, midstateBatch(prefix))
+  };
+  const skipped = {};
+  for (const simd of [false, true]) {
+    const name = simd ? 'wasm-simd' : 'wasm';
+    try {
+      results[name] = runFor(seconds, wasmBatch(prefix, simd));
+    } catch (error) {
+      skipped[name] = error.message;
+    }
+  }
+  const speedup = {};
+  for (const [name, r] of Object.entries(results)) speedup[name] = r.hashRate / results.crypto.hashRate;
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify({ node: process.version, seconds, results, speedup, skipped }, null, 2));
+    return;
+  }
+  console.log(`node ${process.version}, ${seconds}s per path, single thread`);
+  for (const [name, r] of Object.entries(results)) {
+    console.log(`${name.padEnd(10)} ${formatRate(r.hashRate).padStart(14)}  ${speedup[name].toFixed(2).padStart(6)}x  (${r.hashes} hashes)`);
+  }
+  for (const [name, reason] of Object.entries(skipped)) {
+    console.log(`${name.padEnd(10)} skipped: ${reason}`);
+  }
+})();
@@ -0,0 +1,232 @@
+/**
+ * Cross-engine hash test vectors
+ * متجهات اختبار التجزئة بين المحركات
+ *
+ * Checks that every hashing path produces the same double SHA-256 for fixed
+ * headers with non-zero ticket_data:
+ *   cpu    - hashingUtils prefix + nonce (CPUWorker's crypto path)
+ *   mid    - sha256Midstate.MidstateHasher (CPUWorker's default path)
+ *   codec  - ticketCodec.encodeTicket + crypto (independent header encoding)
+ *   wgsl   - JS port of the WebGPU kernel's word pipeline (first64/blk2c words)
+ *   webgpu - the real StandaloneWebGPUWorker kernel (only with --gpu)
+ *
+ * Usage: node scripts/verify-hash-vectors.js [--gpu]
+ */
+const crypto = require('crypto');
+const path = require('path');
+const { spawn } = require('child_process');
+const { buildHeaderPrefix, buildHeaderWithNonce, doubleSHA256 } = require('../src/utils/hashingUtils');
+const { encodeTicket } = require('../src/utils/ticketCodec');
+const { MidstateHasher } = require('../src/utils/sha256Midstate');
+
+const VECTORS = [
+  {
+    name: 'zero-ticket-data',
+    ticket_data: '0000000000000000000000000000000000000000000000000000000000000000',
+    leader_address: 'dffe8596427fc50e8f64654a609af134d45552f1',
+    reward_address: '89d66c0a217e90f520ca156d22ead95994ba437a',
+    block_height: 1000,
+    mining_type: 1,
+    timestamp: 1755491117,
+    nonce: 67850,
+    hash: '0000c66661d892597b772df8c103b2289ade34bb33810e12a913ed577814224a'
+  },
+  {
+    name: 'all-ones-ticket-data',
+    ticket_data: 'ffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff',
+    leader_address: 'd76354d8457898445bb69e0dc0dc95fb74cc3cf3',
+    reward_address: '89d66c0a217e90f520ca156d22ead95994ba437a',
+    block_height: 123456,
+    mining_type: 1,
+    timestamp: 1760000000,
+    nonce: 1015461,
+    hash: '000049e0ea00978c122724cfbe1d232f12ff239e7c41a912af4e22afd16bde97'
+  },
+  {
+    name: 'hashed-ticket-data',
+    ticket_data: 'ced7c860704c8bb3946e87b060f5a972642777a043759349e212fb5d920d90c9',
+    leader_address: '842983de8fb1d277a3fad5c8295c7a14317c4587',
+    reward_address: '021bbd75cf6530bd40f4ab8b131600e0188f4a8c',
+    block_height: 16909060,
+    mining_type: 2,
+    timestamp: 1761234567,
+    nonce: 2147531360,
+    hash: '0000d7f2af4e0a93dc0a8588b7b0abadc2275a2903e589856b47b831785460f0'
+  },
+  {
+    name: 'max-fields-high-nonce',
+    ticket_data: '02fc4d6ee5d5451dd964e76c1c5352daf0fe8f87927ffebc64a386fb01b105f5',
+    leader_address: '4a5a97c6433c4c062457e9335709d57493e75527',
+    reward_address: 'ec7e008b5f4d05c43a532426d1d7b7cdb8e4452e',
+    block_height: 4294967295,
+    mining_type: 255,
+    timestamp: 4294967295,
+    nonce: 4293965031,
+    hash: '00004aaacabf63ce725799d113b6bd86561f6a6d2bf6ba5b01434cfd21ce279f'
+  }
+];
+
+const K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+const IV = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+
+const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+// Mirrors compress_rounds() in the WGSL kernel, message schedule included
+function compress(state, block) {
+  const W = new Uint32Array(64);
+  W.set(block);
+  for (let t = 16; t < 64; t++) {
+    const s0 = rotr(W[t - 15], 7) ^ rotr(W[t - 15], 18) ^ (W[t - 15] >>> 3);
+    const s1 = rotr(W[t - 2], 17) ^ rotr(W[t - 2], 19) ^ (W[t - 2] >>> 10);
+    W[t] = W[t - 16] + s0 + W[t - 7] + s1;
+  }
+  let [a, b, c, d, e, f, g, h] = state;
+  for (let t = 0; t < 64; t++) {
+    const T1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[t] + W[t]) >>> 0;
+    const T2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+    h = g; g = f; f = e; e = (d + T1) >>> 0;
+    d = c; c = b; b = a; a = (T1 + T2) >>> 0;
+  }
+  return state.map((v, i) => (v + [a, b, c, d, e, f, g, h][i]) >>> 0);
+}
+
+const toWordsBE = (bytes, n) => {
+  const words = new Uint32Array(n);
+  for (let i = 0; i < n; i++) words[i] = bytes.readUInt32BE(i * 4);
+  return words;
+};
+
+const bswap32 = (x) => (((x & 0xff) << 24) | ((x & 0xff00) << 8) | ((x >>> 8) & 0xff00) | (x >>> 24)) >>> 0;
+
+/**
+ * Hash a vector the way the kernel does: the worker uploads the header
+ * (nonce 0) as 16 + 5 big-endian words and the kernel injects the nonce
+ */
+function wgslHash(vector) {
+  const msg = buildHeaderWithNonce(buildHeaderPrefix(vector), 0);
+  const first64 = toWordsBE(msg.subarray(0, 64), 16);
+  const blk2c = toWordsBE(msg.subarray(64, 88), 5);
+
+  let H = compress(IV.slice(), first64);
+  const W2 = new Uint32Array(16);
+  W2.set(blk2c);
+  W2[5] = bswap32(vector.nonce >>> 0);
+  W2[6] = 0x80000000;
+  W2[15] = 704;
+  H = compress(H, W2);
+
+  const W3 = new Uint32Array(16);
+  W3.set(H);
+  W3[8] = 0x80000000;
+  W3[15] = 256;
+  const final = compress(IV.slice(), W3);
+
+  // Same conversion as the worker's results readback, then reversed like doubleSHA256
+  const out = Buffer.alloc(32);
+  final.forEach((word, j) => out.writeUInt32BE(word, j * 4));
+  return out.reverse().toString('hex');
+}
+
+function cpuHash(vector) {
+  return doubleSHA256(buildHeaderWithNonce(buildHeaderPrefix(vector), vector.nonce)).toString('hex');
+}
+
+function midstateHash(vector) {
+  const hasher = new MidstateHasher(buildHeaderPrefix(vector));
+  hasher.hashNonce(vector.nonce);
+  return hasher.digest().toString('hex');
+}
+
+function codecHash(vector) {
+  const header = Buffer.from(encodeTicket(vector), 'hex');
+  const h1 = crypto.createHash('sha256').update(header).digest();
+  return crypto.createHash('sha256').update(h1).digest().reverse().toString('hex');
+}
+
+/**
+ * Run the real kernel from the vector's nonce with target = hash + 1 so the
+ * vector itself is reported; resolves with the kernel-verified hash
+ */
+function webgpuHash(vector, timeoutMs = 60000) {
+  const target = (BigInt(`0x${vector.hash}`) + 1n).toString(16).padStart(64, '0');
+  const config = { ...vector, target_hex: target, base_nonce: vector.nonce };
+  delete config.name;
+  delete config.nonce;
+  delete config.hash;
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(__dirname, '../src/workers/StandaloneWebGPUWorker.js')], {
+      env: { ...process.env, STRUCTURED_LOGS: 'true', MINER_CONFIG: JSON.stringify(config) },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let settled = false;
+    let stderr = '';
+    const finish = (error, hash) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      child.kill('SIGTERM');
+      error ? reject(error) : resolve(hash);
+    };
+    const timer = setTimeout(() => finish(new Error('timed out waiting for the kernel')), timeoutMs);
+
+    let buf = '';
+    child.stdout.on('data', (chunk) => {
+      buf += chunk;
+      let idx;
+      while ((idx = buf.indexOf('\n')) !== -1) {
+        const line = buf.slice(0, idx).trim();
+        buf = buf.slice(idx + 1);
+        let evt;
+        try { evt = JSON.parse(line); } catch { continue; }
+        if (evt.type === 'hashMismatch') {
+          finish(new Error(`kernel hash ${evt.gpuHash} != cpu ${evt.cpuHash} at nonce ${evt.nonce}`));
+        } else if (evt.type === 'solution' && evt.nonce === vector.nonce) {
+          finish(null, evt.hash);
+        }
+      }
+    });
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+    child.on('exit', (code) => {
+      const firstLine = stderr.trim().split('\n')[0];
+      finish(new Error(`worker exited (${code})${firstLine ? `: ${firstLine}` : ''}`));
+    });
+  });
+}
+
+(async () => {
+  const withGpu = process.argv.includes('--gpu');
+  const engines = { cpu: cpuHash, mid: midstateHash, codec: codecHash, wgsl: wgslHash };
+  if (withGpu) engines.webgpu = webgpuHash;
+
+  let failures = 0;
+  for (const vector of VECTORS) {
+    for (const [engine, run] of Object.entries(engines)) {
+      let actual;
+      try {
+        actual = await run(vector);
+      } catch (e) {
+        actual = `ERROR ${e && e.message ? e.message : e}`;
+      }
+      const ok = actual === vector.hash;
+      if (!ok) failures++;
+      console.log(`${ok ? 'OK  ' : 'FAIL'} ${vector.name.padEnd(22)} ${engine.padEnd(6)} ${actual}`);
+    }
+  }
+
+  if (failures > 0) {
+    console.error(`HASH_VECTORS_FAILED: ${failures} mismatch(es)`);
+    process.exit(1);
+  }
+  console.log(`OK (${VECTORS.length} vectors x ${Object.keys(engines).length} engines)`);
+  process.exit(0);
+})();
@@ -1,116 +1,239 @@
-const axios = require("axios");
+const BroadcastQueue = require("./BroadcastQueue");
+const RpcClient = require("./RpcClient");
+const { isHashBelowTarget } = require("../utils/hashingUtils");
+const { decodeTicket } = require("../utils/ticketCodec");
+
+// Supported values for mining.broadcast.mode
+const BROADCAST_MODES = ["immediate", "batch", "best-only"];
 
 /**
  * Blockchain Broadcaster
  * Handles broadcasting of support tickets and solutions to the blockchain
  */
 class BlockchainBroadcaster {
-  constructor(config, logger) {
+  constructor(config, logger, rpcClient = null) {
     this.config = config;
     this.logger = logger;
-    this.rpcConfig = config.get("rpc");
+    this.rpcClient = rpcClient || new RpcClient(config, logger);
+    this.queue = null;
+
+    // Batch mode: tickets held until the batch fills or its deadline passes
+    this.batch = { ids: [], deadline: 0 };
+    // Best-only mode: held candidate per block height, and best hash already released
+    this.bestByHeight = new Map();
+    this.bestSent = new Map();
+    this.counters = { skipped: 0, invalid: 0 };
+
+    // Returns the config of the job being mined (leader, height, reward, target)
+    this.jobProvider = null;
+    // Notified when a queued ticket is sent, rejected, expired or superseded
+    this.finishListener = null;
   }
 
   /**
-   * Broadcast support ticket to blockchain
-   * @param {Object} solution - Solution object with nonce, hash, etc.
-   * @returns {Promise<boolean>} Success status
+   * Set the source of the current mining job used to validate tickets
+   * @param {Function} provider - Returns the current session config, or null
    */
-  async broadcastSupportTicket(solution) {
+  setJobProvider(provider) {
+    this.jobProvider = provider;
+  }
+
+  /**
+   * Set a listener for tickets reaching a terminal status
+   * @param {Function} listener - (ticket) => void; ticket carries status, response, attempts and queued meta
+   */
+  setFinishListener(listener) {
+    this.finishListener = listener;
+  }
+
+  /**
+   * Load the persistent outbound queue and replay any pending tickets
+   */
+  async initialize() {
+    const queueConfig = this.config.get("mining.broadcast.queue", {}) || {};
+    this.queue = new BroadcastQueue({
+      dir: this.config.get("storage.paths.queue", "data/queue"),
+      send: (ticket) => this.sendSupportTicket(ticket.header),
+      sendBatch: this.config.get("mining.broadcast.rpcBatch", true)
+        ? (tickets) => this.sendSupportTicketBatch(tickets.map((t) => t.header))
+        : null,
+      maxBatchSize: this.getBatchSize(),
+      onFinish: (ticket) => this.finishListener && this.finishListener(ticket),
+      logger: this.logger,
+      initialBackoffMs: queueConfig.initialBackoffMs,
+      maxBackoffMs: queueConfig.maxBackoffMs,
+      maxAttempts: queueConfig.maxAttempts,
+      maxAgeMs: queueConfig.maxAgeMs,
+    });
+    await this.queue.start();
+  }
+
+  /**
+   * Stop retrying queued tickets (pending tickets remain on disk)
+   */
+  async shutdown() {
+    if (this.queue) {
+      await this.queue.stop();
+    }
+  }
+
+  /**
+   * Submit a found solution according to the configured broadcast mode
+   * - immediate: queued and sent right away
+   * - batch: held until `batchSize` tickets are waiting or `batchTimeoutMs` passes
+   * - best-only: per block height, only the lowest hash seen within a
+   *   `batchTimeoutMs` window is sent; later tickets for that height are sent
+   *   only if they beat the one already released
+   * @param {Object} solution - Solution object with nonce, hash and header
+   * @param {Object} [meta] - Extra context (sessionId, blockHeight)
+   * @returns {Promise<Object|null>} Queued ticket, or null if the mode skipped it
+   */
+  async submitSolution(solution, meta = {}) {
     try {
-      // Validate solution object
-      if (!solution || typeof solution !== "object") {
-        throw new Error("Invalid solution object");
+      this.validateSolution(solution);
+    } catch (error) {
+      if (error.reason) this.counters.invalid++;
+      throw error;
+    }
+    if (!this.queue) {
+      throw new Error("Broadcast queue not initialized");
+    }
+
+    switch (this.getBroadcastMode()) {
+      case "batch":
+        return this.submitBatched(solution, meta);
+      case "best-only":
+        return this.submitBestOnly(solution, meta);
+      default:
+        return this.queue.enqueue(solution, meta);
+    }
+  }
+
+  /**
+   * Hold the ticket in the current batch, releasing the batch once it is full
+   */
+  async submitBatched(solution, meta) {
+    const now = Date.now();
+    if (this.batch.ids.length === 0 || this.batch.deadline <= now) {
+      this.batch = { ids: [], deadline: now + this.getBatchTimeoutMs() };
+    }
+
+    const ticket = await this.queue.enqueue(solution, meta, {
+      holdUntil: this.batch.deadline,
+    });
+    this.batch.ids.push(ticket.id);
+
+    if (this.batch.ids.length >= this.getBatchSize()) {
+      const ids = this.batch.ids;
+      this.batch = { ids: [], deadline: 0 };
+      this.logger.debug("Broadcast batch full, releasing", { size: ids.length });
+      await this.queue.release(ids);
+    }
+    return ticket;
+  }
+
+  /**
+   * Keep only the lowest hash per block height
+   */
+  async submitBestOnly(solution, meta) {
+    const now = Date.now();
+    const height = Number.isFinite(meta.blockHeight)
+      ? meta.blockHeight >>> 0
+      : this.readHeaderHeight(solution.header);
+    const hash = String(solution.hash).toLowerCase();
+
+    // The chain moved on: release candidates held for other heights right away
+    for (const [h, held] of this.bestByHeight) {
+      if (h !== height) {
+        this.bestByHeight.delete(h);
+        this.rememberBestSent(h, held.hash);
+        await this.queue.release([held.ticketId]);
       }
+    }
 
-      if (!solution.nonce || !solution.hash) {
-        throw new Error("Solution missing required fields: nonce and hash");
+    let candidate = this.bestByHeight.get(height);
+    if (candidate) {
+      const queued = this.queue.get(candidate.ticketId);
+      if (candidate.deadline <= now || !queued || !queued.held) {
+        // Window closed; the candidate has been (or is being) sent
+        this.bestByHeight.delete(height);
+        this.rememberBestSent(height, candidate.hash);
+        candidate = null;
       }
+    }
 
-      // Log the complete solution object for debugging
-      this.logger.debug("Processing solution for broadcast", {
+    const sent = this.bestSent.get(height);
+    const beaten = candidate ? candidate.hash : sent;
+    if (beaten && hash >= beaten) {
+      this.counters.skipped++;
+      this.logger.debug("Solution not broadcast: a lower hash exists for this height", {
         nonce: solution.nonce,
-        hash: solution.hash,
+        hash,
+        blockHeight: height,
+        best: beaten,
       });
-      // Build RPC URL correctly
-      let rpcUrl;
-      if (
-        this.rpcConfig.host.startsWith("http://") ||
-        this.rpcConfig.host.startsWith("https://")
-      ) {
-        rpcUrl = this.rpcConfig.host;
-      } else {
-        // Ensure proper protocol
-        const protocol = this.rpcConfig.port === 443 ? "https://" : "http://";
-        rpcUrl = `${protocol}${this.rpcConfig.host}:${this.rpcConfig.port}`;
-      }
+      return null;
+    }
 
-      const auth =
-        this.rpcConfig.user && this.rpcConfig.password
-          ? `${this.rpcConfig.user}:${this.rpcConfig.password}`
-          : null;
-
-      // Validate ticket data format
-      // Expected format: 20 + hash(32) + 14 + leaderAddress(20) + blockHeight(4) + 14 + rewardAddress(20) + miningType(1) + timestamp(4) + nonce(4)
-      // Total expected length: 2 + 64 + 2 + 40 + 8 + 2 + 40 + 2 + 8 + 8 = 176 characters
-      if (!solution.header || solution.header.length !== 176) {
-        throw new Error(
-          `Invalid ticket data length: ${
-            solution.header ? solution.header.length : 0
-          }, expected 176`
-        );
-      }
+    const deadline = candidate ? candidate.deadline : now + this.getBatchTimeoutMs();
+    const ticket = await this.queue.enqueue(solution, meta, { holdUntil: deadline });
+    if (candidate) {
+      await this.queue.drop(candidate.ticketId, "superseded");
+    }
+    this.bestByHeight.set(height, { ticketId: ticket.id, hash, deadline });
+    return ticket;
+  }
 
-      const requestData = {
-        jsonrpc: "1.0",
-        id: "broadcast_request",
-        method: "broadcastsupportticket",
-        params: [solution.header],
-      };
+  rememberBestSent(height, hash) {
+    this.bestSent.set(height, hash);
+    if (this.bestSent.size > 100) {
+      this.bestSent.delete(this.bestSent.keys().next().value);
+    }
+  }
 
-      const headers = {
-        "Content-Type": "application/json",
-      };
+  /**
+   * Read the block height field from a 176-char ticket
+   * @param {string} header - Ticket hex
+   * @returns {number} Block height
+   */
+  readHeaderHeight(header) {
+    return decodeTicket(header).block_height;
+  }
 
-      if (auth) {
-        headers["Authorization"] = `Basic ${Buffer.from(auth).toString(
-          "base64"
-        )}`;
-      }
+  /**
+   * Queue a support ticket for durable, retrying broadcast
+   * @param {Object} solution - Solution object with nonce, hash and header
+   * @param {Object} [meta] - Extra context stored with the ticket
+   * @returns {Promise<Object>} Queued ticket
+   */
+  async queueSupportTicket(solution, meta = {}) {
+    this.validateSolution(solution);
+    if (!this.queue) {
+      throw new Error("Broadcast queue not initialized");
+    }
+    return this.queue.enqueue(solution, meta);
+  }
+
+  /**
+   * Broadcast support ticket to blockchain
+   * @param {Object} solution - Solution object with nonce, hash, etc.
+   * @returns {Promise<boolean>} Success status
+   */
+  async broadcastSupportTicket(solution) {
+    try {
+      this.validateSolution(solution);
 
-      this.logger.debug("Broadcasting support ticket to blockchain", {
+      // Log the complete solution object for debugging
+      this.logger.debug("Processing solution for broadcast", {
         nonce: solution.nonce,
         hash: solution.hash,
-        rpcUrl,
-        ticketDataLength: solution.header.length,
-        ticketDataPreview: solution.header.substring(0, 64) + "...",
-      });
-
-      const response = await axios.post(rpcUrl, requestData, {
-        headers,
-        timeout: this.rpcConfig.timeout || 30000,
       });
 
-      // Log response for debugging
-      this.logger.debug("RPC Response received", {
-        status: response.status,
-        statusText: response.statusText,
-        data: response.data,
+      await this.sendSupportTicket(solution.header, {
         nonce: solution.nonce,
         hash: solution.hash,
-        requestData: requestData,
       });
 
-      if (response.data.error) {
-        throw new Error(
-          `RPC Error: ${
-            response.data.error.message ||
-            response.data.error ||
-            "Unknown error"
-          }`
-        );
-      }
-
       this.logger.debug("Support ticket broadcasted successfully", {
         nonce: solution.nonce,
         hash: solution.hash,
@@ -120,19 +243,187 @@ class BlockchainBroadcaster {
     } catch (error) {
       this.logger.error("Failed to broadcast support ticket", {
         error: error.message,
+        reason: error.reason,
         errorCode: error.code,
         errorStatus: error.response?.status,
         errorStatusText: error.response?.statusText,
         errorData: error.response?.data,
-        config: solution.config,
-        nonce: solution.nonce,
-        hash: solution.hash,
-        rpcUrl: `${this.rpcConfig.host}:${this.rpcConfig.port}`,
+        config: solution?.config,
+        nonce: solution?.nonce,
+        hash: solution?.hash,
+        endpoint: error.endpoint || this.rpcClient.describe(),
       });
       return false;
     }
   }
 
+  /**
+   * Validate a solution before broadcasting
+   * Re-parses the header, recomputes its double SHA-256 and checks it against
+   * the claimed hash/nonce, the job target, and the current job's
+   * leader/height/reward. Throws an error carrying `reason` (a short code),
+   * `details` and `retryable: false` when the ticket must not be sent.
+   * @param {Object} solution - Solution object with nonce, hash and header
+   * @param {Object} [job] - Job config to check against (defaults to the current job)
+   */
+  validateSolution(solution, job = this.jobProvider ? this.jobProvider() : null) {
+    if (!solution || typeof solution !== "object") {
+      throw this.invalidTicket("invalid-solution", "Invalid solution object");
+    }
+
+    if (
+      solution.nonce === undefined ||
+      solution.nonce === null ||
+      solution.nonce === "" ||
+      !solution.hash
+    ) {
+      throw this.invalidTicket(
+        "missing-fields",
+        "Solution missing required fields: nonce and hash"
+      );
+    }
+
+    // Layout and markers are checked by the codec (see utils/ticketCodec.js)
+    let ticket;
+    try {
+      ticket = decodeTicket(solution.header);
+    } catch (error) {
+      throw this.invalidTicket(error.reason || "bad-ticket-format", error.message);
+    }
+
+    // Workers report the nonce as 8-char hex (CPU) or a number (GPU)
+    const claimedNonce =
+      typeof solution.nonce === "number"
+        ? solution.nonce >>> 0
+        : parseInt(String(solution.nonce), 16) >>> 0;
+    if (claimedNonce !== ticket.nonce) {
+      throw this.invalidTicket("nonce-mismatch", "Nonce does not match ticket", {
+        claimed: solution.nonce,
+        actual: ticket.nonce,
+      });
+    }
+
+    const claimedHash = String(solution.hash).toLowerCase().replace(/^0x/, "");
+    if (claimedHash !== ticket.hash) {
+      throw this.invalidTicket("hash-mismatch", "Hash does not match ticket", {
+        claimed: claimedHash,
+        actual: ticket.hash,
+      });
+    }
+
+    const target =
+      (job && (job.difficulty_target || job.target_hex)) ||
+      this.config.get("mining.blockchain.defaultDifficultyTarget");
+    if (target && !isHashBelowTarget(Buffer.from(ticket.hash, "hex"), target)) {
+      throw this.invalidTicket("high-hash", "Hash is not below the target", {
+        hash: claimedHash,
+        target,
+      });
+    }
+
+    if (job) {
+      const reasons = {
+        ticket_data: "ticket-data-mismatch",
+        leader_address: "leader-mismatch",
+        block_height: "height-mismatch",
+        reward_address: "reward-mismatch",
+      };
+      for (const [field, reason] of Object.entries(reasons)) {
+        const value = job[field];
+        if (value === undefined || value === null) continue;
+        const matches =
+          field === "block_height"
+            ? value >>> 0 === ticket[field]
+            : String(value).toLowerCase().replace(/^0x/, "") === ticket[field];
+        if (!matches) {
+          throw this.invalidTicket(reason, `Ticket ${field} does not match the current job`, {
+            expected: value,
+            actual: ticket[field],
+          });
+        }
+      }
+    }
+
+    return ticket;
+  }
+
+  /**
+   * Build a ticket validation error with a structured reason
+   */
+  invalidTicket(reason, message, details = {}) {
+    const error = new Error(message);
+    error.reason = reason;
+    error.details = details;
+    error.retryable = false;
+    return error;
+  }
+
+  /**
+   * Send a single broadcastsupportticket RPC call
+   * Errors carry `retryable: false` when a node answered with an RPC error
+   * (the ticket itself was refused), and stay retryable for transport failures.
+   * With `rpc.fanout` enabled the ticket is sent to every healthy node.
+   * @param {string} header - 176-char ticket hex
+   * @param {Object} [context] - Extra fields for debug logging
+   * @returns {Promise<*>} RPC result
+   */
+  async sendSupportTicket(header, context = {}) {
+    this.logger.debug("Broadcasting support ticket to blockchain", {
+      ...context,
+      ticketDataLength: header.length,
+      ticketDataPreview: header.substring(0, 64) + "...",
+    });
+
+    const result = await this.rpcClient.submit("broadcastsupportticket", [
+      header,
+    ]);
+
+    this.logger.debug("RPC Response received", { ...context, result });
+    return result;
+  }
+
+  /**
+   * Send several tickets in one JSON-RPC batch request
+   * @param {string[]} tickets - 176-char ticket hex strings
+   * @returns {Promise<Array<{ok: boolean, result?: *, error?: Error}>>} Per-ticket outcome, in input order
+   */
+  async sendSupportTicketBatch(tickets) {
+    const requestData = tickets.map((header, i) => ({
+      jsonrpc: "1.0",
+      id: `broadcast_batch_${i}`,
+      method: "broadcastsupportticket",
+      params: [header],
+    }));
+
+    this.logger.debug("Broadcasting support ticket batch to blockchain", {
+      size: tickets.length,
+    });
+
+    const responses = await this.rpcClient.batch(requestData);
+
+    const byId = new Map(responses.map((r) => [r && r.id, r]));
+    return requestData.map((req) => {
+      const r = byId.get(req.id);
+      if (!r) return { ok: false, error: new Error("Missing batch response") };
+      if (r.error) return { ok: false, error: this.rpcClient.rpcError(r.error) };
+      return { ok: true, result: r.result };
+    });
+  }
+
+  /**
+   * Get outbound queue statistics
+   * @returns {Object|null} Queue depth, oldest pending age and counters
+   */
+  getQueueStats() {
+    if (!this.queue) return null;
+    return {
+      ...this.queue.getStats(),
+      mode: this.getBroadcastMode(),
+      skipped: this.counters.skipped,
+      invalid: this.counters.invalid,
+    };
+  }
+
   /**
    * Check if broadcasting is enabled
    * @returns {boolean} Broadcasting enabled status
@@ -146,7 +437,33 @@ class BlockchainBroadcaster {
    * @returns {string} Broadcast mode
    */
   getBroadcastMode() {
-    return this.config.get("support_hash_broadcast.mode", "immediate");
+    // Support new mining.broadcast.mode and legacy support_hash_broadcast.mode
+    const mode =
+      this.config.get("mining.broadcast.mode") ??
+      this.config.get("support_hash_broadcast.mode", "immediate");
+    return BROADCAST_MODES.includes(mode) ? mode : "immediate";
+  }
+
+  /**
+   * Get number of tickets that triggers a batch flush
+   * @returns {number} Batch size
+   */
+  getBatchSize() {
+    const size =
+      this.config.get("mining.broadcast.batchSize") ??
+      this.config.get("support_hash_broadcast.batch_size", 5);
+    return Math.max(1, parseInt(size, 10) || 1);
+  }
+
+  /**
+   * Get max time a ticket is held before its batch is flushed
+   * @returns {number} Timeout in milliseconds
+   */
+  getBatchTimeoutMs() {
+    const ms =
+      this.config.get("mining.broadcast.batchTimeoutMs") ??
+      this.config.get("support_hash_broadcast.batch_timeout_ms", 5000);
+    return Math.max(0, parseInt(ms, 10) || 0);
   }
 }
 
@@ -1,4 +1,4 @@
-const axios = require('axios');
+const RpcClient = require('./RpcClient');
 
 /**
  * Blockchain Data Manager
@@ -6,16 +6,20 @@ const axios = require('axios');
  * Note: Support ticket data is fetched once at mining start and remains constant during nonce search
  */
 class BlockchainDataManager {
-    constructor(config, logger) {
+    constructor(config, logger, rpcClient = null) {
         this.config = config;
         this.logger = logger;
-        this.rpcConfig = config.get('rpc');
+        this.rpcClient = rpcClient || new RpcClient(config, logger);
         this.cache = {
             leaderAddress: null,
             blockHeight: null,
             lastFetch: 0,
             cacheDuration: 300000 // 5 minutes cache (support ticket data is stable)
         };
+        this.pollTimer = null;
+        this.onJobChange = null;
+        // Bumped by start/stopPolling; a poll loop from an older generation ends
+        this.pollGeneration = 0;
     }
 
     /**
@@ -40,39 +44,7 @@ class BlockchainDataManager {
             }
 
             // Fetch fresh support ticket data from RPC
-            const rpcUrl = `${this.rpcConfig.host}:${this.rpcConfig.port}`;
-            const auth = this.rpcConfig.user && this.rpcConfig.password ? 
-                `${this.rpcConfig.user}:${this.rpcConfig.password}` : null;
-
-            const requestData = {
-                jsonrpc: "1.0",
-                id: "miner_request",
-                method: "getsupportableleader",
-                params: []
-            };
-
-            const headers = {
-                'Content-Type': 'application/json'
-            };
-
-            if (auth) {
-                headers['Authorization'] = `Basic ${Buffer.from(auth).toString('base64')}`;
-            }
-
-            const response = await axios.post(rpcUrl, requestData, {
-                headers,
-                timeout: this.rpcConfig.timeout || 30000
-            });
-
-            if (response.data.error) {
-                throw new Error(`RPC Error: ${response.data.error.message || 'Unknown error'}`);
-            }
-
-            if (!response.data.result) {
-                throw new Error('No result received from RPC');
-            }
-
-            const { leader, height } = response.data.result;
+            const { leader, height } = await this.fetchSupportableLeader();
             // if leader not equal to 40 hex characters that means it is CHECKPOINT BLOCK should be retay after 1 minute
             if(leader.length !== 40 && !retry) {
                 await new Promise(resolve => setTimeout(resolve, 60000));
@@ -97,7 +69,7 @@ class BlockchainDataManager {
         } catch (error) {
             this.logger.error('Failed to fetch support ticket data', {
                 error: error.message,
-                rpcUrl: `${this.rpcConfig.host}:${this.rpcConfig.port}`
+                endpoint: error.endpoint || this.rpcClient.describe()
             });
 
             // Return cached data if available, otherwise throw
@@ -113,6 +85,105 @@ class BlockchainDataManager {
         }
     }
 
+    /**
+     * Call getsupportableleader without touching the cache
+     * @returns {Promise<{leader: string, height: number}>}
+     */
+    async fetchSupportableLeader() {
+        const result = await this.rpcClient.call('getsupportableleader', [], { id: 'miner_request' });
+
+        if (!result) {
+            throw new Error('No result received from RPC');
+        }
+
+        return result;
+    }
+
+    /**
+     * Poll the node for a new supportable leader or block height
+     * Calls onChange({ leaderAddress, blockHeight, previous }) when either changes
+     * @param {number} intervalMs - Poll interval in milliseconds
+     * @param {Function} onChange - Change handler
+     */
+    startPolling(intervalMs, onChange) {
+        this.stopPolling();
+        this.onJobChange = onChange;
+        const generation = this.pollGeneration;
+
+        const tick = async () => {
+            try {
+                await this.pollOnce();
+            } catch (error) {
+                this.logger.debug('Leader poll failed', {
+                    error: error.message,
+                    endpoint: error.endpoint || this.rpcClient.describe()
+                });
+            }
+            // Stopped, or restarted with a new loop, while this poll was running
+            if (generation === this.pollGeneration) {
+                this.pollTimer = setTimeout(tick, intervalMs);
+                if (this.pollTimer.unref) this.pollTimer.unref();
+            }
+        };
+
+        this.pollTimer = setTimeout(tick, intervalMs);
+        if (this.pollTimer.unref) this.pollTimer.unref();
+        this.logger.debug('Leader polling started', { intervalMs });
+    }
+
+    /**
+     * Stop leader/height polling
+     */
+    stopPolling() {
+        this.pollGeneration++;
+        if (this.pollTimer) {
+            clearTimeout(this.pollTimer);
+            this.pollTimer = null;
+        }
+        this.onJobChange = null;
+    }
+
+    /**
+     * Fetch leader/height once and notify the change handler if they moved
+     * @returns {Promise<boolean>} True if a change was detected
+     */
+    async pollOnce() {
+        const { leader, height } = await this.fetchSupportableLeader();
+
+        // Checkpoint blocks report no leader; keep mining the current one
+        if (!leader || leader.length !== 40) {
+            return false;
+        }
+
+        const previous = {
+            leaderAddress: this.cache.leaderAddress,
+            blockHeight: this.cache.blockHeight
+        };
+        const unchanged = leader === previous.leaderAddress && height === previous.blockHeight;
+        if (unchanged || !previous.leaderAddress) {
+            // Nothing to compare against yet (or no change): just refresh the cache
+            this.cache.leaderAddress = leader;
+            this.cache.blockHeight = height;
+            this.cache.lastFetch = Date.now();
+            return false;
+        }
+
+        this.cache.leaderAddress = leader;
+        this.cache.blockHeight = height;
+        this.cache.lastFetch = Date.now();
+
+        this.logger.info('🔄 Supportable leader changed', {
+            leaderAddress: leader,
+            blockHeight: height,
+            previous
+        });
+
+        if (this.onJobChange) {
+            await this.onJobChange({ leaderAddress: leader, blockHeight: height, previous });
+        }
+        return true;
+    }
+
     /**
      * Clear the cache to force fresh support ticket data fetch
      * Use this when starting a new mining session
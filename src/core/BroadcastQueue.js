@@ -0,0 +1,451 @@
+/**
+ * Persistent Broadcast Queue for KBUC support tickets
+ * طابور بث دائم لتذاكر الدعم
+ *
+ * Tickets are written to disk before the first attempt and only removed once the
+ * node accepts them (or they are rejected/expired), so an RPC outage or a process
+ * restart never loses a valid solution.
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+
+const QUEUE_FILE = 'broadcast_queue.json';
+const HISTORY_LIMIT = 100;
+// Attempt records kept per ticket; attemptCount keeps the full count
+const ATTEMPT_LOG_LIMIT = 10;
+
+class BroadcastQueue {
+    /**
+     * @param {Object} options
+     * @param {string} options.dir - Directory holding the queue file
+     * @param {Function} options.send - async (ticket) => result; throws on failure
+     * @param {Function} [options.sendBatch] - async (tickets) => [{ ok, result, error }]; throws on transport failure
+     * @param {number} [options.maxBatchSize] - Max tickets per sendBatch call
+     * @param {Function} [options.onFinish] - (ticket) => void, called when a ticket reaches a terminal status
+     * @param {Object} options.logger - Logger instance
+     * @param {number} [options.initialBackoffMs]
+     * @param {number} [options.maxBackoffMs]
+     * @param {number} [options.maxAttempts] - 0 means no limit
+     * @param {number} [options.maxAgeMs] - Drop tickets older than this (0, the default, keeps them until sent)
+     */
+    constructor(options) {
+        this.dir = options.dir;
+        this.file = path.join(this.dir, QUEUE_FILE);
+        this.send = options.send;
+        this.sendBatch = options.sendBatch || null;
+        this.maxBatchSize = Math.max(1, options.maxBatchSize || 10);
+        this.onFinish = options.onFinish || null;
+        this.logger = options.logger;
+
+        this.initialBackoffMs = options.initialBackoffMs ?? 2000;
+        this.maxBackoffMs = options.maxBackoffMs ?? 300000;
+        this.maxAttempts = options.maxAttempts ?? 0;
+        this.maxAgeMs = options.maxAgeMs ?? 0;
+
+        this.pending = [];
+        this.history = [];
+        this.counters = { sent: 0, rejected: 0, expired: 0, superseded: 0, retries: 0 };
+
+        this.timer = null;
+        this.processing = false;
+        this.started = false;
+        this._writeChain = Promise.resolve();
+    }
+
+    /**
+     * Load persisted tickets and start draining
+     * تحميل التذاكر المحفوظة وبدء المعالجة
+     */
+    async start() {
+        await this.load();
+        this.started = true;
+        if (this.pending.length > 0) {
+            this.logger.info('Replaying persisted broadcast queue', {
+                pending: this.pending.length,
+                oldestEnqueuedAt: new Date(this.pending[0].enqueuedAt).toISOString()
+            });
+        }
+        // Replayed tickets (including ones held for a batch) are due immediately
+        const now = Date.now();
+        for (const ticket of this.pending) {
+            ticket.nextAttemptAt = Math.min(ticket.nextAttemptAt || now, now);
+            ticket.held = false;
+        }
+        this.schedule(0);
+    }
+
+    /**
+     * Stop the drain timer (tickets stay on disk)
+     */
+    async stop() {
+        this.started = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        await this._writeChain;
+    }
+
+    /**
+     * Add a ticket to the queue and persist it before attempting delivery
+     * @param {Object} solution - Solution with header, nonce, hash
+     * @param {Object} [meta] - Extra context stored with the ticket (sessionId, ...)
+     * @param {Object} [options]
+     * @param {number} [options.holdUntil] - Defer the first attempt until this time (batching)
+     * @returns {Promise<Object>} The queued ticket
+     */
+    async enqueue(solution, meta = {}, options = {}) {
+        const now = Date.now();
+        const holdUntil = Number.isFinite(options.holdUntil) ? Math.max(now, options.holdUntil) : now;
+        const ticket = {
+            id: uuidv4(),
+            header: solution.header,
+            nonce: solution.nonce,
+            hash: solution.hash,
+            ...meta,
+            status: 'pending',
+            enqueuedAt: now,
+            nextAttemptAt: holdUntil,
+            held: holdUntil > now,
+            attemptCount: 0,
+            attempts: []
+        };
+
+        this.pending.push(ticket);
+        await this.persist();
+
+        this.logger.debug('Support ticket queued for broadcast', {
+            ticketId: ticket.id,
+            nonce: ticket.nonce,
+            hash: ticket.hash,
+            depth: this.pending.length,
+            held: ticket.held
+        });
+
+        this.schedule(ticket.held ? holdUntil - now : 0);
+        return ticket;
+    }
+
+    /**
+     * Make held tickets due now
+     * @param {string[]} ids - Ticket ids to release
+     */
+    async release(ids) {
+        const wanted = new Set(ids);
+        const now = Date.now();
+        let released = 0;
+        for (const ticket of this.pending) {
+            if (wanted.has(ticket.id) && ticket.held) {
+                ticket.held = false;
+                ticket.nextAttemptAt = now;
+                released++;
+            }
+        }
+        if (released > 0) {
+            await this.persist();
+            this.schedule(0);
+        }
+        return released;
+    }
+
+    /**
+     * Remove a pending ticket without sending it
+     * @param {string} id - Ticket id
+     * @param {string} status - Terminal status recorded in history (e.g. 'superseded')
+     */
+    async drop(id, status) {
+        const ticket = this.pending.find(t => t.id === id);
+        if (!ticket) return false;
+        this.finish(ticket, status);
+        if (status in this.counters) this.counters[status]++;
+        await this.persist();
+        return true;
+    }
+
+    /**
+     * Look up a pending ticket
+     */
+    get(id) {
+        return this.pending.find(t => t.id === id) || null;
+    }
+
+    /**
+     * Schedule the next drain pass
+     */
+    schedule(delayMs) {
+        if (!this.started) return;
+        if (this.timer) {
+            // Keep an earlier pass if one is already scheduled
+            if (this.timerAt !== undefined && this.timerAt <= Date.now() + delayMs) return;
+            clearTimeout(this.timer);
+        }
+        this.timerAt = Date.now() + Math.max(0, delayMs);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.process().catch((error) => {
+                this.logger.error('Broadcast queue pass failed', { error: error.message });
+            });
+        }, Math.max(0, delayMs));
+        // Never keep the process alive just to retry a broadcast
+        if (this.timer.unref) this.timer.unref();
+    }
+
+    /**
+     * Attempt every due ticket once, then reschedule for the earliest pending one
+     * معالجة التذاكر المستحقة ثم جدولة المحاولة التالية
+     */
+    async process() {
+        if (this.processing) return;
+        this.processing = true;
+        try {
+            const now = Date.now();
+            const due = this.pending.filter(t => t.nextAttemptAt <= now);
+            const ready = [];
+
+            for (const ticket of due) {
+                ticket.held = false;
+                if (this.maxAgeMs > 0 && now - ticket.enqueuedAt > this.maxAgeMs) {
+                    this.finish(ticket, 'expired');
+                    this.counters.expired++;
+                    this.logger.warn('Support ticket expired before it could be broadcast', {
+                        ticketId: ticket.id,
+                        nonce: ticket.nonce,
+                        attempts: ticket.attemptCount
+                    });
+                    continue;
+                }
+                ready.push(ticket);
+            }
+
+            if (this.sendBatch && ready.length > 1) {
+                for (let i = 0; i < ready.length && this.started; i += this.maxBatchSize) {
+                    await this.attemptBatch(ready.slice(i, i + this.maxBatchSize));
+                }
+            } else {
+                for (const ticket of ready) {
+                    if (!this.started) break;
+                    await this.attempt(ticket);
+                }
+            }
+
+            await this.persist();
+        } finally {
+            this.processing = false;
+        }
+
+        if (this.pending.length > 0) {
+            const next = Math.min(...this.pending.map(t => t.nextAttemptAt));
+            this.schedule(next - Date.now());
+        }
+    }
+
+    /**
+     * Perform one delivery attempt and record it in the ticket history
+     */
+    async attempt(ticket) {
+        const startedAt = Date.now();
+        try {
+            const result = await this.send(ticket);
+            this.recordSuccess(ticket, result, startedAt);
+        } catch (error) {
+            this.recordFailure(ticket, error, startedAt);
+        }
+    }
+
+    /**
+     * Deliver several tickets in one call; a transport failure fails the whole chunk
+     */
+    async attemptBatch(tickets) {
+        const startedAt = Date.now();
+        let results;
+        try {
+            results = await this.sendBatch(tickets);
+        } catch (error) {
+            for (const ticket of tickets) this.recordFailure(ticket, error, startedAt);
+            return;
+        }
+
+        this.logger.debug('Support ticket batch delivered', { size: tickets.length });
+        tickets.forEach((ticket, i) => {
+            const r = results && results[i];
+            if (r && r.ok) {
+                this.recordSuccess(ticket, r.result, startedAt);
+            } else {
+                this.recordFailure(ticket, (r && r.error) || new Error('Missing batch response'), startedAt);
+            }
+        });
+    }
+
+    /**
+     * Record a delivered ticket
+     */
+    recordSuccess(ticket, result, startedAt) {
+        this.addAttempt(ticket, { at: startedAt, durationMs: Date.now() - startedAt, ok: true });
+        ticket.response = result;
+        this.finish(ticket, 'sent');
+        this.counters.sent++;
+        this.logger.info('Support ticket broadcast', {
+            ticketId: ticket.id,
+            nonce: ticket.nonce,
+            hash: ticket.hash,
+            attempts: ticket.attemptCount
+        });
+    }
+
+    /**
+     * Record a failed attempt: reject, give up, or schedule a retry with backoff
+     */
+    recordFailure(ticket, error, startedAt) {
+        this.addAttempt(ticket, {
+            at: startedAt,
+            durationMs: Date.now() - startedAt,
+            ok: false,
+            error: error.message,
+            retryable: error.retryable !== false
+        });
+
+        if (error.retryable === false) {
+            this.finish(ticket, 'rejected');
+            this.counters.rejected++;
+            this.logger.error('Support ticket rejected by node', {
+                ticketId: ticket.id,
+                nonce: ticket.nonce,
+                error: error.message
+            });
+            return;
+        }
+
+        if (this.maxAttempts > 0 && ticket.attemptCount >= this.maxAttempts) {
+            this.finish(ticket, 'expired');
+            this.counters.expired++;
+            this.logger.error('Support ticket dropped after max attempts', {
+                ticketId: ticket.id,
+                nonce: ticket.nonce,
+                attempts: ticket.attemptCount,
+                error: error.message
+            });
+            return;
+        }
+
+        const backoff = Math.min(
+            this.initialBackoffMs * Math.pow(2, ticket.attemptCount - 1),
+            this.maxBackoffMs
+        );
+        ticket.nextAttemptAt = Date.now() + backoff;
+        this.counters.retries++;
+        this.logger.warn('Support ticket broadcast failed, will retry', {
+            ticketId: ticket.id,
+            nonce: ticket.nonce,
+            attempts: ticket.attemptCount,
+            retryInMs: backoff,
+            error: error.message
+        });
+    }
+
+    /**
+     * Count an attempt and keep only the latest records, so a ticket retried
+     * through a long outage does not grow the queue file
+     */
+    addAttempt(ticket, attempt) {
+        ticket.attemptCount = (ticket.attemptCount ?? ticket.attempts.length) + 1;
+        ticket.attempts.push(attempt);
+        if (ticket.attempts.length > ATTEMPT_LOG_LIMIT) {
+            ticket.attempts = ticket.attempts.slice(-ATTEMPT_LOG_LIMIT);
+        }
+    }
+
+    /**
+     * Move a ticket from pending to history with a terminal status
+     */
+    finish(ticket, status) {
+        ticket.status = status;
+        ticket.finishedAt = Date.now();
+        delete ticket.nextAttemptAt;
+        delete ticket.held;
+        this.pending = this.pending.filter(t => t.id !== ticket.id);
+        this.history.push(ticket);
+        if (this.history.length > HISTORY_LIMIT) {
+            this.history = this.history.slice(-HISTORY_LIMIT);
+        }
+        if (this.onFinish) {
+            try {
+                this.onFinish(ticket);
+            } catch (error) {
+                this.logger.warn('Broadcast onFinish handler failed', { error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Queue statistics for getStats()/WebSocket
+     */
+    getStats() {
+        const now = Date.now();
+        const oldest = this.pending.reduce((min, t) => Math.min(min, t.enqueuedAt), Infinity);
+        return {
+            depth: this.pending.length,
+            held: this.pending.filter(t => t.held).length,
+            oldestPendingAgeMs: Number.isFinite(oldest) ? now - oldest : 0,
+            ...this.counters
+        };
+    }
+
+    /**
+     * Pending tickets and recent history (for inspection)
+     */
+    list() {
+        return {
+            pending: this.pending.map(t => ({ ...t })),
+            history: this.history.map(t => ({ ...t }))
+        };
+    }
+
+    /**
+     * Persist queue state (serialized and written atomically)
+     */
+    persist() {
+        const snapshot = JSON.stringify({
+            pending: this.pending,
+            history: this.history,
+            counters: this.counters,
+            timestamp: Date.now()
+        }, null, 2);
+
+        this._writeChain = this._writeChain.then(async () => {
+            try {
+                await fs.ensureDir(this.dir);
+                const tmp = `${this.file}.tmp`;
+                await fs.writeFile(tmp, snapshot);
+                await fs.move(tmp, this.file, { overwrite: true });
+            } catch (error) {
+                this.logger.error('Failed to persist broadcast queue', { error: error.message });
+            }
+        });
+        return this._writeChain;
+    }
+
+    /**
+     * Load queue state from disk
+     */
+    async load() {
+        try {
+            if (!(await fs.pathExists(this.file))) return;
+            const state = JSON.parse(await fs.readFile(this.file, 'utf8'));
+            this.pending = Array.isArray(state.pending) ? state.pending : [];
+            // Files written before attemptCount existed hold every attempt
+            for (const ticket of this.pending) {
+                if (!Array.isArray(ticket.attempts)) ticket.attempts = [];
+                ticket.attemptCount ??= ticket.attempts.length;
+                ticket.attempts = ticket.attempts.slice(-ATTEMPT_LOG_LIMIT);
+            }
+            this.history = Array.isArray(state.history) ? state.history.slice(-HISTORY_LIMIT) : [];
+            this.counters = { ...this.counters, ...(state.counters || {}) };
+        } catch (error) {
+            this.logger.warn('Failed to load broadcast queue', { error: error.message });
+        }
+    }
+}
+
+module.exports = BroadcastQueue;
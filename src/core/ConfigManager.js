@@ -50,7 +50,12 @@ class ConfigManager {
                 restart_on_failure: false,
                 mining_session_timeout: 1800,
                 support_sub_solutions: true,
-                broadcast_all_solutions: true
+                broadcast_all_solutions: true,
+                nonce: {
+                    cpuLeaseSize: 1048576,
+                    gpuLeaseSize: 268435456,
+                    prestageThreshold: 0.125
+                }
             },
             performance: {
                 maxWorkers: 8,
@@ -67,14 +72,42 @@ class ConfigManager {
                     priority: "high",
                     webgl: true,
                     webgpu: false,
-                    fallback: "cpu"
+                    fallback: "cpu",
+                    failover: {
+                        enabled: true,
+                        failureBudget: 3,
+                        windowMs: 60000,
+                        probeIntervalMs: 30000,
+                        healthyForMs: 15000
+                    },
+                    devices: "default",
+                    tuning: {
+                        mode: "auto",
+                        passes: 3,
+                        maxPassMs: 100
+                    },
+                    simulator: {
+                        enabled: false,
+                        adapters: ["Simulated GPU"],
+                        count: 16384,
+                        hashRate: 0,
+                        readyDelayMs: 0,
+                        faults: []
+                    }
                 },
                 cpu: {
-                    priority: "medium",
                     threads: "auto",
-                    optimization: "balanced"
+                    optimization: "balanced",
+                    hashPath: "auto",
+                    maxUsage: 100,
+                    niceness: null
                 },
-
+                hybrid: {
+                    enabled: false,
+                    engines: ["gpu", "cpu"]
+                },
+                modules: [],
+                external: {}
             },
             monitoring: {
                 enabled: true,
@@ -91,8 +124,21 @@ class ConfigManager {
                     hashRateDrop: 50,
                     highCpuUsage: 90,
                     highMemoryUsage: 85
+                },
+                watchdog: {
+                    enabled: true,
+                    checkIntervalMs: 5000,
+                    stallTimeoutMs: 30000,
+                    noProgressMs: 60000,
+                    resetAfterMs: 300000,
+                    actions: ["restart_worker", "restart_engine", "failover"]
                 }
             },
+            schedules: {
+                enabled: true,
+                timezone: null,
+                rules: []
+            },
             logging: {
                 level: "info",
                 file: "logs/mining.log",
@@ -229,8 +275,9 @@ class ConfigManager {
         
         for (const key in userConfig) {
             if (userConfig.hasOwnProperty(key)) {
-                if (typeof userConfig[key] === 'object' && userConfig[key] !== null && 
-                    typeof merged[key] === 'object' && merged[key] !== null) {
+                // Arrays (e.g. schedules.rules) replace the default rather than merge into it
+                if (typeof userConfig[key] === 'object' && userConfig[key] !== null && !Array.isArray(userConfig[key]) &&
+                    typeof merged[key] === 'object' && merged[key] !== null && !Array.isArray(merged[key])) {
                     merged[key] = this.mergeConfig(merged[key], userConfig[key]);
                 } else {
                     merged[key] = userConfig[key];
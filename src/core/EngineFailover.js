@@ -0,0 +1,292 @@
+/**
+ * Engine Failover
+ * التحويل التلقائي بين المحركات عند الأعطال
+ *
+ * An engine with a fallback (engines.<name>.fallback, e.g. gpu -> cpu) that
+ * fails failover.failureBudget times within failover.windowMs, or fails to
+ * start, hands the live session to the fallback engine. Every
+ * failover.probeIntervalMs the failed engine is started again next to the
+ * fallback; once it has mined for failover.healthyForMs without failing,
+ * the session moves back. Nonce progress carries over through the shared
+ * allocator: a stopped engine releases the unsearched rest of its leases
+ * and the next engine leases them first.
+ */
+
+// Miner errors that count as failures
+const FAILURE_TYPES = new Set(['worker_exit_error', 'worker_error', 'device_lost']);
+// Transitions kept for the API
+const HISTORY_SIZE = 20;
+
+class EngineFailover {
+    /**
+     * @param {Object} system - MiningSystem
+     * @param {Object} config - ConfigManager
+     * @param {Object} logger - Logger instance
+     */
+    constructor(system, config, logger) {
+        this.system = system;
+        this.config = config;
+        this.logger = logger;
+        // { sessionId, engine, fallback, originalEngines, added, phase, since, reason, probes, probeStartedAt, timer }
+        this.state = null;
+        // engine -> failure timestamps within the window
+        this.failures = new Map();
+        this.history = [];
+        // Transitions run one at a time
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Failover settings of an engine
+     */
+    getSettings(engine) {
+        const fallback = this.config.get(`engines.${engine}.fallback`, null);
+        const failover = this.config.get(`engines.${engine}.failover`, {}) || {};
+        return {
+            fallback: fallback && fallback !== 'none' && fallback !== engine ? fallback : null,
+            enabled: failover.enabled !== false,
+            failureBudget: Math.max(1, failover.failureBudget ?? 3),
+            windowMs: failover.windowMs ?? 60000,
+            probeIntervalMs: failover.probeIntervalMs ?? 30000,
+            healthyForMs: failover.healthyForMs ?? 15000
+        };
+    }
+
+    /**
+     * Whether the engine has an initialized fallback to move to
+     */
+    canFailOver(engine) {
+        const settings = this.getSettings(engine);
+        return settings.enabled && !!settings.fallback && !!this.system.getEngineMiner(settings.fallback);
+    }
+
+    run(task) {
+        const next = this.queue.then(task);
+        this.queue = next.catch(error => {
+            this.logger.error('Engine failover step failed', { error: error.message });
+        });
+        return this.queue;
+    }
+
+    /**
+     * Count a miner error toward its engine's failure budget
+     * @param {Object} session
+     * @param {string} engine
+     * @param {Object} err - { type, error, ... } from the miner's error callback
+     */
+    recordFailure(session, engine, err) {
+        const type = err && err.type;
+        if (!FAILURE_TYPES.has(type)) return;
+        const state = this.state;
+        if (state && state.sessionId === session.id && state.engine === engine) {
+            // The probe failed; late errors from before the failover are ignored
+            if (state.phase === 'probing') this.run(() => this.failProbe(session, type));
+            return;
+        }
+        if (state || !this.system.getSessionEngines(session).includes(engine) || !this.canFailOver(engine)) return;
+
+        const { failureBudget, windowMs } = this.getSettings(engine);
+        const now = Date.now();
+        const recent = (this.failures.get(engine) || []).filter(at => now - at < windowMs);
+        recent.push(now);
+        this.failures.set(engine, recent);
+        if (recent.length < failureBudget) return;
+
+        this.run(async () => {
+            if (this.state || session !== this.system.currentSession || !this.system.shouldRun || session.status !== 'running') return;
+            // Other devices of the engine are still mining
+            const health = await this.system.getEngineMiner(engine).getHealth().catch(() => null);
+            if (health && health.status === 'degraded') return;
+            await this.failOver(session, engine, `${recent.length} failures in ${Math.round(windowMs / 1000)}s (last: ${type})`);
+        });
+    }
+
+    /**
+     * Move the session from `engine` to its fallback
+     * @param {Object} session
+     * @param {string} engine - Failed engine
+     * @param {string} reason
+     * @param {string[]} [engines] - Engines of the session (default session.engines)
+     * @returns {Promise<string[]>} The session's engines afterwards
+     */
+    async failOver(session, engine, reason, engines = session.engines || [engine]) {
+        const { fallback } = this.getSettings(engine);
+        const miner = this.system.getEngineMiner(engine);
+        const fallbackMiner = this.system.getEngineMiner(fallback);
+
+        // Also cancels the engine's own restart loop
+        try { await miner.stop(); } catch {}
+
+        const next = engines.filter(name => name !== engine);
+        const added = !next.includes(fallback);
+        if (added) {
+            this.system.attachMinerCallbacks(session.id, fallbackMiner, fallback);
+            try {
+                await fallbackMiner.start(session);
+            } catch (error) {
+                // Nothing to move to; let the engine keep retrying on its own
+                this.logger.error('Fallback engine failed to start', { engine, fallback, error: error.message });
+                try { await miner.start(session); } catch {}
+                throw error;
+            }
+            if (session.stagedJob && typeof fallbackMiner.stageJob === 'function') {
+                try { fallbackMiner.stageJob(session.stagedJob.config); } catch {}
+            }
+            next.push(fallback);
+        }
+        session.engines = next;
+        session.miner = this.system.getEngineMiner(next[0]);
+        this.failures.delete(engine);
+
+        this.state = {
+            sessionId: session.id,
+            engine,
+            fallback,
+            originalEngines: [...engines],
+            added,
+            phase: 'failed_over',
+            since: Date.now(),
+            reason,
+            probes: 0,
+            probeStartedAt: null,
+            timer: null
+        };
+        this.transition('failover', { from: engine, to: fallback, reason });
+        this.scheduleProbe();
+        return next;
+    }
+
+    scheduleProbe() {
+        const state = this.state;
+        if (!state) return;
+        clearTimeout(state.timer);
+        state.timer = setTimeout(() => this.run(() => this.probe()), this.getSettings(state.engine).probeIntervalMs);
+    }
+
+    isCurrent(state) {
+        const session = this.system.currentSession;
+        return !!(state && this.state === state && session && session.id === state.sessionId &&
+            this.system.shouldRun && session.status === 'running');
+    }
+
+    /**
+     * Start the failed engine next to the fallback
+     */
+    async probe() {
+        const state = this.state;
+        if (!this.isCurrent(state)) return;
+        const session = this.system.currentSession;
+        const miner = this.system.getEngineMiner(state.engine);
+
+        state.phase = 'probing';
+        state.probes++;
+        state.probeStartedAt = Date.now();
+        this.transition('probe', { engine: state.engine, attempt: state.probes });
+
+        this.system.attachMinerCallbacks(session.id, miner, state.engine);
+        try {
+            await miner.start(session);
+        } catch (error) {
+            await this.failProbe(session, 'start_failed', error.message);
+            return;
+        }
+        if (this.state !== state || state.phase !== 'probing') {
+            // Stopped or paused while the probe was starting
+            if (this.state !== state) {
+                try { await miner.stop(); } catch {}
+            }
+            return;
+        }
+        if (session.stagedJob && typeof miner.stageJob === 'function') {
+            try { miner.stageJob(session.stagedJob.config); } catch {}
+        }
+        if (!session.engines.includes(state.engine)) session.engines = [...session.engines, state.engine];
+        state.timer = setTimeout(() => this.run(() => this.failBack()), this.getSettings(state.engine).healthyForMs);
+    }
+
+    async failProbe(session, type, error = null) {
+        const state = this.state;
+        if (!state || state.phase !== 'probing') return;
+        clearTimeout(state.timer);
+        try { await this.system.getEngineMiner(state.engine).stop(); } catch {}
+        session.engines = (session.engines || []).filter(name => name !== state.engine);
+        session.miner = this.system.getEngineMiner(session.engines[0]);
+        state.phase = 'failed_over';
+        this.transition('probe_failed', { engine: state.engine, attempt: state.probes, reason: error ? `${type}: ${error}` : type });
+        this.scheduleProbe();
+    }
+
+    /**
+     * The probed engine stayed healthy: give it the session back
+     */
+    async failBack() {
+        const state = this.state;
+        if (!this.isCurrent(state) || state.phase !== 'probing') return;
+        const session = this.system.currentSession;
+        if (!this.system.getEngineMiner(state.engine).isRunning) {
+            await this.failProbe(session, 'not_running');
+            return;
+        }
+        if (state.added) {
+            try { await this.system.getEngineMiner(state.fallback).stop(); } catch {}
+        }
+        session.engines = state.originalEngines.filter(name => this.system.getEngineMiner(name));
+        session.miner = this.system.getEngineMiner(session.engines[0]);
+        this.state = null;
+        this.transition('failback', {
+            from: state.fallback,
+            to: state.engine,
+            downtimeMs: Date.now() - state.since,
+            probes: state.probes
+        }, state);
+    }
+
+    transition(type, data, state = this.state) {
+        const entry = {
+            type,
+            sessionId: state.sessionId,
+            engine: state.engine,
+            fallback: state.fallback,
+            at: Date.now(),
+            ...data
+        };
+        this.history.push(entry);
+        if (this.history.length > HISTORY_SIZE) this.history.shift();
+        const log = type === 'failover' || type === 'probe_failed' ? 'warn' : 'info';
+        this.logger[log](`Engine ${type.replace('_', ' ')}`, entry);
+        this.system.emit('failover', entry);
+    }
+
+    /**
+     * Forget the failover state (session stopped, paused or restarted)
+     */
+    reset() {
+        if (this.state) clearTimeout(this.state.timer);
+        this.state = null;
+        this.failures.clear();
+    }
+
+    /**
+     * Failover state for stats and health
+     */
+    getStatus() {
+        const state = this.state;
+        const now = Date.now();
+        const failures = {};
+        for (const [engine, list] of this.failures) {
+            failures[engine] = list.filter(at => now - at < this.getSettings(engine).windowMs).length;
+        }
+        return {
+            state: state ? state.phase : 'normal',
+            engine: state ? state.engine : null,
+            fallback: state ? state.fallback : null,
+            since: state ? state.since : null,
+            reason: state ? state.reason : null,
+            probes: state ? state.probes : 0,
+            failures,
+            history: this.history.slice()
+        };
+    }
+}
+
+module.exports = EngineFailover;
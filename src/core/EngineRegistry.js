@@ -0,0 +1,277 @@
+/**
+ * Mining Engine Registry
+ * سجل محركات التعدين
+ *
+ * Engines are registered by name with a factory. The built-in GPU and CPU
+ * engines are registered by MiningSystem; more are loaded from the modules
+ * listed in `engines.modules`. Every engine is checked against the engine
+ * contract before it is initialized.
+ */
+
+const path = require('path');
+
+/**
+ * The engine contract. MiningSystem drives every engine through these.
+ *
+ * Required:
+ *   initialize()                       Prepare the engine (probe hardware, compile kernels); throw if unusable
+ *   start(session)                     Mine session.config ({ ticket_data, leader_address, reward_address,
+ *                                      block_height, mining_type, timestamp, difficulty_target }); resolve once mining
+ *   stop()                             Stop mining and release leases; safe to call when stopped
+ *   getStats()                         { hashRate, totalHashes, solutions, lastNonce, ... }; totalHashes may reset on restart
+ *   getHealth()                        { status: 'healthy' | 'stopped' | ..., hashRate, solutions, ... }
+ *   setSolutionCallback(fn)            fn(sessionId, { nonce, hash, header }) per solution (header: 176 hex)
+ *   setErrorCallback(fn)               fn({ type, error }); type 'nonce_exhausted' rolls the job over
+ *   setMetricsCallback(fn)             fn(sessionId, { rate, totalHashes, lastNonce, timestamp, worker, workerLastNonce });
+ *                                      worker/workerLastNonce (optional) name the reporting worker or device
+ *
+ * Optional:
+ *   isRunning                          Whether the engine is mining (property or getter)
+ *   setNonceAllocator(allocator)       Lease nonce ranges from the shared NonceAllocator instead of searching the whole space
+ *   updateJob(session)                 Switch to session.config in place; resolve true if switched, false to be restarted
+ *   stageJob(config)                   Prepare the next job ahead of a rollover (null drops it)
+ *   getActiveLeases()                  Nonce leases the engine holds
+ *   restartWorker(worker)              Restart one worker or device that stopped reporting; resolve false if there is none
+ *   cleanup()                          Release resources on shutdown
+ *
+ * @typedef {Object} MiningEngine
+ */
+const REQUIRED_METHODS = [
+    'initialize',
+    'start',
+    'stop',
+    'getStats',
+    'getHealth',
+    'setSolutionCallback',
+    'setErrorCallback',
+    'setMetricsCallback'
+];
+const OPTIONAL_METHODS = ['setNonceAllocator', 'updateJob', 'stageJob', 'getActiveLeases', 'restartWorker', 'cleanup'];
+const PRIORITIES = { high: 3, medium: 2, low: 1 };
+
+/**
+ * Check an engine instance against the contract
+ * @throws {Error} Naming the missing or mistyped methods
+ */
+function validateEngine(name, engine) {
+    if (!engine || typeof engine !== 'object') {
+        throw new Error(`Engine '${name}' factory did not return an object`);
+    }
+    const missing = REQUIRED_METHODS.filter(method => typeof engine[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Engine '${name}' does not implement: ${missing.join(', ')}`);
+    }
+    const invalid = OPTIONAL_METHODS.filter(method => engine[method] !== undefined && typeof engine[method] !== 'function');
+    if (invalid.length > 0) {
+        throw new Error(`Engine '${name}' has non-function members: ${invalid.join(', ')}`);
+    }
+}
+
+/**
+ * Factory for a module's export: a class, or an object with create()
+ */
+function moduleFactory(exported, file) {
+    const target = exported && exported.__esModule && exported.default ? exported.default : exported;
+    if (typeof target === 'function') {
+        return (config, logger, options) => new target(config, logger, options);
+    }
+    if (target && typeof target.create === 'function') {
+        return (config, logger, options) => target.create(config, logger, options);
+    }
+    throw new Error(`Engine module ${file} must export a class or an object with create()`);
+}
+
+class EngineRegistry {
+    /**
+     * @param {Object} config - ConfigManager
+     * @param {Object} logger - Logger instance
+     */
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger;
+        // name -> { name, factory, source, required, options, enabled, priority }
+        this.definitions = new Map();
+        // name -> initialized engine
+        this.engines = new Map();
+        // name -> why it is not available
+        this.failures = new Map();
+    }
+
+    /**
+     * Register an engine
+     * @param {string} name - Engine name ('gpu', 'cpu', ...); used in stats, sessions and the ledger
+     * @param {Function} factory - (config, logger, options) => MiningEngine
+     * @param {Object} [definition]
+     * @param {string} [definition.source] - 'builtin' or the module path
+     * @param {boolean} [definition.required] - initialize() failure aborts startup
+     * @param {Object} [definition.options] - Passed to the factory
+     * @param {boolean|Function} [definition.enabled] - Default: engines.<name>.enabled (true if unset)
+     * @param {string|number|Function} [definition.priority] - Default: engines.<name>.priority
+     */
+    register(name, factory, definition = {}) {
+        if (!name || typeof name !== 'string' || !/^[a-z][a-z0-9_-]*$/i.test(name)) {
+            throw new Error(`Invalid engine name: ${name}`);
+        }
+        if (typeof factory !== 'function') {
+            throw new Error(`Engine '${name}' needs a factory function`);
+        }
+        if (this.definitions.has(name)) {
+            throw new Error(`Engine '${name}' is already registered`);
+        }
+        this.definitions.set(name, { source: 'builtin', required: false, options: {}, ...definition, name, factory });
+    }
+
+    /**
+     * Register the engines listed in engines.modules:
+     * [{ name, module, enabled?, priority?, options? }]; relative paths are
+     * resolved from the working directory
+     */
+    loadModules() {
+        const entries = this.config.get('engines.modules', []) || [];
+        for (const entry of entries) {
+            const name = entry && entry.name;
+            try {
+                if (!entry || !entry.module) throw new Error('engines.modules entry needs a module');
+                const file = entry.module.startsWith('.') || path.isAbsolute(entry.module)
+                    ? path.resolve(entry.module)
+                    : entry.module;
+                const factory = moduleFactory(require(file), file);
+                this.register(name, factory, {
+                    source: entry.module,
+                    options: entry.options || {},
+                    ...(entry.enabled !== undefined ? { enabled: entry.enabled } : {}),
+                    ...(entry.priority !== undefined ? { priority: entry.priority } : {})
+                });
+                this.logger.info('Engine module registered', { engine: name, module: entry.module });
+            } catch (error) {
+                // require() appends the require stack to the message
+                const message = error.message.split('\n')[0];
+                this.failures.set(name || String(entry && entry.module), message);
+                this.logger.error('Failed to load engine module', { engine: name, module: entry && entry.module, error: message });
+            }
+        }
+    }
+
+    /**
+     * Create, validate and initialize every enabled engine in registration order
+     * @returns {Promise<{initialized: string[], failed: Array<{name: string, error: Error}>}>}
+     */
+    async initializeAll() {
+        const initialized = [];
+        const failed = [];
+        for (const definition of this.definitions.values()) {
+            const { name } = definition;
+            if (!this.isEnabled(name)) continue;
+            let engine = null;
+            try {
+                engine = definition.factory(this.config, this.logger, definition.options);
+                validateEngine(name, engine);
+                await engine.initialize();
+                this.engines.set(name, engine);
+                this.failures.delete(name);
+                initialized.push(name);
+            } catch (error) {
+                if (definition.required) throw error;
+                this.failures.set(name, error.message);
+                failed.push({ name, error });
+                if (engine && typeof engine.cleanup === 'function') {
+                    try { await engine.cleanup(); } catch {}
+                }
+            }
+        }
+        return { initialized, failed };
+    }
+
+    isEnabled(name) {
+        const definition = this.definitions.get(name);
+        if (!definition) return false;
+        if (typeof definition.enabled === 'function') return !!definition.enabled(this.config);
+        if (definition.enabled !== undefined) return !!definition.enabled;
+        return this.config.get(`engines.${name}.enabled`, true) !== false;
+    }
+
+    /**
+     * Numeric priority ('high' 3, 'medium' 2, 'low' 1, or a number)
+     */
+    getPriority(name) {
+        const definition = this.definitions.get(name);
+        if (!definition) return 0;
+        let priority = definition.priority;
+        if (typeof priority === 'function') priority = priority(this.config);
+        if (priority === undefined) priority = this.config.get(`engines.${name}.priority`, 'medium');
+        return typeof priority === 'number' ? priority : (PRIORITIES[priority] ?? PRIORITIES.medium);
+    }
+
+    /**
+     * Initialized engine by name
+     * @returns {MiningEngine|null}
+     */
+    get(name) {
+        return this.engines.get(name) || null;
+    }
+
+    /**
+     * Name an engine instance was registered under
+     */
+    nameOf(engine) {
+        for (const [name, instance] of this.engines) {
+            if (instance === engine) return name;
+        }
+        return null;
+    }
+
+    /**
+     * Initialized and enabled engines, highest priority first
+     * (registration order on ties)
+     * @returns {string[]}
+     */
+    available() {
+        const order = [...this.definitions.keys()];
+        return [...this.engines.keys()]
+            .filter(name => this.isEnabled(name))
+            .sort((a, b) => this.getPriority(b) - this.getPriority(a) || order.indexOf(a) - order.indexOf(b));
+    }
+
+    /**
+     * Every registered engine and its state, for the API
+     */
+    describe() {
+        const list = [...this.definitions.values()].map(definition => ({
+            name: definition.name,
+            source: definition.source,
+            required: !!definition.required,
+            enabled: this.isEnabled(definition.name),
+            priority: this.getPriority(definition.name),
+            initialized: this.engines.has(definition.name),
+            running: !!this.engines.get(definition.name)?.isRunning,
+            error: this.failures.get(definition.name) || null
+        }));
+        // Modules that failed before they could register
+        for (const [name, error] of this.failures) {
+            if (!this.definitions.has(name)) {
+                list.push({ name, source: null, required: false, enabled: false, priority: 0, initialized: false, running: false, error });
+            }
+        }
+        return list;
+    }
+
+    /**
+     * Clean up every initialized engine
+     */
+    async cleanupAll() {
+        for (const [name, engine] of this.engines) {
+            if (typeof engine.cleanup !== 'function') continue;
+            try {
+                await engine.cleanup();
+            } catch (error) {
+                this.logger.error('Engine cleanup failed', { engine: name, error: error.message });
+            }
+        }
+    }
+}
+
+EngineRegistry.REQUIRED_METHODS = REQUIRED_METHODS;
+EngineRegistry.OPTIONAL_METHODS = OPTIONAL_METHODS;
+EngineRegistry.validateEngine = validateEngine;
+
+module.exports = EngineRegistry;
@@ -0,0 +1,311 @@
+/**
+ * Engine Watchdog
+ * مراقب المحركات المتوقفة عن العمل
+ *
+ * Tracks, per engine and per worker/device, when metrics last arrived and
+ * when the nonce last advanced. An engine (or worker) that stays silent for
+ * monitoring.watchdog.stallTimeoutMs, or reports without advancing for
+ * noProgressMs, is marked stalled: its hash rate drops to 0 and it gets the
+ * next action of monitoring.watchdog.actions. Each further stall of the same
+ * engine within resetAfterMs escalates one step:
+ *   restart_worker   restart the worker/device (engines with restartWorker)
+ *   restart_engine   stop and start the engine on the session
+ *   failover         hand the session to engines.<name>.fallback
+ * Stalls, interventions and recoveries are kept in session.meta.watchdog.
+ */
+
+const ACTIONS = ['restart_worker', 'restart_engine', 'failover'];
+// Stalls and recoveries kept per session
+const HISTORY_SIZE = 20;
+
+class EngineWatchdog {
+    /**
+     * @param {Object} system - MiningSystem
+     * @param {Object} config - ConfigManager
+     * @param {Object} logger - Logger instance
+     */
+    constructor(system, config, logger) {
+        this.system = system;
+        this.config = config;
+        this.logger = logger;
+        // 'engine' or 'engine:worker' -> { engine, worker, lastMetricsAt, lastAdvanceAt, lastNonce, totalHashes, stalled }
+        this.targets = new Map();
+        // engine -> { count, lastAt } stalls in a row
+        this.strikes = new Map();
+        this.timer = null;
+        this.busy = false;
+    }
+
+    getSettings() {
+        const watchdog = this.config.get('monitoring.watchdog', {}) || {};
+        const actions = Array.isArray(watchdog.actions) ? watchdog.actions.filter(a => ACTIONS.includes(a)) : ACTIONS;
+        return {
+            enabled: watchdog.enabled !== false,
+            checkIntervalMs: watchdog.checkIntervalMs ?? 5000,
+            stallTimeoutMs: watchdog.stallTimeoutMs ?? 30000,
+            noProgressMs: watchdog.noProgressMs ?? 60000,
+            resetAfterMs: watchdog.resetAfterMs ?? 300000,
+            actions: actions.length > 0 ? actions : ['restart_engine']
+        };
+    }
+
+    /**
+     * Begin checking the running session
+     */
+    start() {
+        this.stop();
+        const { enabled, checkIntervalMs } = this.getSettings();
+        if (!enabled) return;
+        this.timer = setInterval(() => {
+            this.check().catch(error => {
+                this.logger.error('Engine watchdog check failed', { error: error.message });
+            });
+        }, checkIntervalMs);
+        if (typeof this.timer.unref === 'function') this.timer.unref();
+    }
+
+    /**
+     * Stop checking and forget the tracked engines (pause, stop, cleanup)
+     */
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+        this.targets.clear();
+        this.strikes.clear();
+    }
+
+    getTarget(engine, worker = null, now = Date.now()) {
+        const key = worker === null ? engine : `${engine}:${worker}`;
+        let target = this.targets.get(key);
+        if (!target) {
+            // A new target gets a full timeout before it can stall
+            target = { engine, worker, lastMetricsAt: now, lastAdvanceAt: now, lastNonce: null, totalHashes: null, stalled: null };
+            this.targets.set(key, target);
+        }
+        return target;
+    }
+
+    /**
+     * Note a metrics report (called from handleMinerMetrics)
+     * @param {Object} session
+     * @param {string} engine
+     * @param {Object} metrics - { lastNonce, totalHashes, worker, workerLastNonce }
+     */
+    record(session, engine, metrics) {
+        if (!this.timer || session !== this.system.currentSession) return;
+        const now = Date.now();
+        const target = this.getTarget(engine, null, now);
+        const advanced = (Number.isFinite(metrics.lastNonce) && metrics.lastNonce !== target.lastNonce) ||
+            (Number.isFinite(metrics.totalHashes) && metrics.totalHashes !== target.totalHashes);
+        this.touch(session, target, now, advanced, metrics.lastNonce, metrics.totalHashes);
+
+        if (metrics.worker !== undefined && metrics.worker !== null) {
+            const worker = this.getTarget(engine, metrics.worker, now);
+            const nonce = metrics.workerLastNonce;
+            this.touch(session, worker, now, Number.isFinite(nonce) && nonce !== worker.lastNonce, nonce, null);
+        }
+    }
+
+    touch(session, target, now, advanced, lastNonce, totalHashes) {
+        target.lastMetricsAt = now;
+        if (Number.isFinite(lastNonce)) target.lastNonce = lastNonce;
+        if (Number.isFinite(totalHashes)) target.totalHashes = totalHashes;
+        if (!advanced) return;
+        target.lastAdvanceAt = now;
+        if (target.stalled) {
+            this.addHistory(session, {
+                type: 'recovered',
+                engine: target.engine,
+                worker: target.worker,
+                stalledMs: now - target.stalled.since
+            });
+            target.stalled = null;
+        }
+    }
+
+    /**
+     * Look for stalled engines and workers; at most one intervention per check
+     */
+    async check() {
+        const session = this.system.currentSession;
+        if (this.busy || !session || !this.system.shouldRun || session.status !== 'running' || this.system.rollingJob) return;
+        const settings = this.getSettings();
+        const engines = this.system.getSessionEngines(session);
+        const failover = this.system.engineFailover.state;
+        const now = Date.now();
+
+        // Engines that left the session start over when they come back
+        for (const [key, target] of this.targets) {
+            if (!engines.includes(target.engine)) this.targets.delete(key);
+        }
+
+        for (const engine of engines) {
+            const miner = this.system.getEngineMiner(engine);
+            // The failover probe and the engine's own restart loop come first
+            if (!miner || (failover && failover.engine === engine) || miner.isRunning === false) {
+                this.rearm(engine, null, now);
+                continue;
+            }
+            const targets = [this.getTarget(engine, null, now)];
+            for (const target of this.targets.values()) {
+                if (target.engine === engine && target.worker !== null) targets.push(target);
+            }
+            for (const target of targets) {
+                const silentMs = now - target.lastMetricsAt;
+                const idleMs = now - target.lastAdvanceAt;
+                const reason = silentMs > settings.stallTimeoutMs ? 'no_metrics'
+                    : idleMs > settings.noProgressMs ? 'no_progress' : null;
+                if (!reason) continue;
+                await this.intervene(session, target, reason, reason === 'no_metrics' ? silentMs : idleMs, settings);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Give an engine (or one of its workers) a fresh timeout
+     */
+    rearm(engine, worker, now = Date.now()) {
+        for (const [key, target] of this.targets) {
+            if (target.engine !== engine) continue;
+            if (worker === null && target.worker !== null) {
+                // Worker ids are reassigned when the engine restarts
+                this.targets.delete(key);
+            } else if (worker === null || target.worker === worker) {
+                target.lastMetricsAt = now;
+                target.lastAdvanceAt = now;
+            }
+        }
+    }
+
+    /**
+     * Next action for a stall of `target`
+     */
+    pickAction(target, settings) {
+        const now = Date.now();
+        const strikes = this.strikes.get(target.engine);
+        const count = strikes && now - strikes.lastAt < settings.resetAfterMs ? strikes.count : 0;
+        this.strikes.set(target.engine, { count: count + 1, lastAt: now });
+
+        const miner = this.system.getEngineMiner(target.engine);
+        const usable = settings.actions.filter(action => {
+            if (action === 'restart_worker') return target.worker !== null && typeof miner.restartWorker === 'function';
+            if (action === 'failover') return !this.system.engineFailover.state && this.system.engineFailover.canFailOver(target.engine);
+            return true;
+        });
+        if (usable.length === 0) return { action: 'restart_engine', strike: count + 1 };
+        return { action: usable[Math.min(count, usable.length - 1)], strike: count + 1 };
+    }
+
+    async intervene(session, target, reason, ageMs, settings) {
+        const { engine, worker } = target;
+        const { action, strike } = this.pickAction(target, settings);
+        // Still stalled after an intervention: escalate, keeping the first stall time
+        target.stalled = { since: target.stalled ? target.stalled.since : Date.now(), reason };
+
+        // The last reported rate is stale
+        if (worker === null) {
+            this.system.getEngineMeta(session, engine).hashRate = 0;
+            this.system.updateHashRate(session);
+        }
+
+        const entry = this.addHistory(session, { type: 'stall', engine, worker, reason, ageMs, action, strike, result: null });
+        this.busy = true;
+        try {
+            entry.result = await this.perform(session, engine, worker, action);
+        } catch (error) {
+            entry.result = `failed: ${error.message}`;
+            this.logger.error('Engine watchdog action failed', { engine, worker, action, error: error.message });
+            if (action === 'restart_engine' && !this.system.engineFailover.state && this.system.engineFailover.canFailOver(engine)) {
+                // Nothing is mining on this engine now
+                await this.perform(session, engine, worker, 'failover');
+                entry.result += '; failed over';
+            }
+        } finally {
+            this.busy = false;
+            this.rearm(engine, action === 'restart_worker' ? worker : null);
+        }
+        this.system.emit('watchdog', entry);
+    }
+
+    async perform(session, engine, worker, action) {
+        const miner = this.system.getEngineMiner(engine);
+        if (action === 'restart_worker') {
+            const restarted = await miner.restartWorker(worker);
+            if (!restarted) this.targets.delete(`${engine}:${worker}`);
+            return restarted ? 'restarted' : 'gone';
+        }
+        if (action === 'failover') {
+            const failover = this.system.engineFailover;
+            await failover.run(() => failover.failOver(session, engine, `stalled (watchdog)`));
+            return failover.state && failover.state.engine === engine ? 'failed_over' : 'not_failed_over';
+        }
+        await miner.stop();
+        await miner.start(session);
+        if (session.stagedJob && typeof miner.stageJob === 'function') {
+            try { miner.stageJob(session.stagedJob.config); } catch {}
+        }
+        return 'restarted';
+    }
+
+    /**
+     * Append to the session's watchdog history
+     */
+    addHistory(session, data) {
+        session.meta = session.meta || {};
+        const watchdog = session.meta.watchdog || (session.meta.watchdog = { stalls: 0, recoveries: 0, history: [] });
+        const entry = { ...data, sessionId: session.id, at: Date.now() };
+        if (data.type === 'stall') watchdog.stalls++;
+        else watchdog.recoveries++;
+        watchdog.history.push(entry);
+        if (watchdog.history.length > HISTORY_SIZE) {
+            watchdog.history = watchdog.history.slice(-HISTORY_SIZE);
+        }
+        const label = data.worker === null ? data.engine : `${data.engine} worker ${data.worker}`;
+        if (data.type === 'stall') {
+            this.logger.warn(`Engine stalled: ${label}`, entry);
+        } else {
+            this.logger.info(`Engine recovered: ${label}`, entry);
+            this.system.emit('watchdog', entry);
+        }
+        return entry;
+    }
+
+    /**
+     * Whether the engine as a whole is stalled
+     */
+    isStalled(engine) {
+        const target = this.targets.get(engine);
+        return !!(target && target.stalled);
+    }
+
+    /**
+     * Watchdog state of a session for stats and health
+     */
+    getStatus(session) {
+        const now = Date.now();
+        const stalled = [];
+        const targets = [];
+        for (const target of this.targets.values()) {
+            const view = {
+                engine: target.engine,
+                worker: target.worker,
+                metricsAgeMs: now - target.lastMetricsAt,
+                progressAgeMs: now - target.lastAdvanceAt
+            };
+            targets.push(view);
+            if (target.stalled) stalled.push({ ...view, reason: target.stalled.reason, since: target.stalled.since });
+        }
+        const watchdog = session?.meta?.watchdog;
+        return {
+            enabled: !!this.timer,
+            stalled,
+            targets,
+            stalls: watchdog ? watchdog.stalls : 0,
+            recoveries: watchdog ? watchdog.recoveries : 0,
+            history: watchdog ? watchdog.history.slice(-5) : []
+        };
+    }
+}
+
+module.exports = EngineWatchdog;
@@ -0,0 +1,306 @@
+/**
+ * Log Reader
+ * قارئ ملفات السجل
+ *
+ * Reads the winston log file (and its rotated siblings) newest first for the
+ * logs API, and tails the live file for WebSocket subscribers. Pagination
+ * cursors point at a byte offset in a file identified by inode, so they stay
+ * valid when winston renames files on rotation.
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+
+const CHUNK_SIZE = 64 * 1024;
+const LEVELS = { error: 0, warn: 1, info: 2, http: 3, verbose: 4, debug: 5, silly: 6 };
+// Text format written by Logger.getFileFormat(): "YYYY-MM-DD HH:mm:ss [LEVEL] message {meta}"
+const TEXT_LINE = /^(\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}) \[(\w+)\] (.*)$/;
+
+class LogReader {
+    /**
+     * @param {Object} options
+     * @param {string} options.file - Active log file (logging.file)
+     * @param {Object} [options.logger] - Logger instance
+     * @param {number} [options.tailIntervalMs] - Poll interval for live tail
+     */
+    constructor(options) {
+        this.file = path.resolve(options.file);
+        this.logger = options.logger;
+        this.tailIntervalMs = options.tailIntervalMs || 1000;
+
+        this.tailTimer = null;
+        this.tailState = null;
+        this.tailListeners = new Set();
+    }
+
+    /**
+     * Log files newest first: the active file, winston's numbered files
+     * (mining1.log, mining2.log, ...) and Logger.rotateLogs() backups
+     * @returns {Promise<Array<{path: string, name: string, ino: number, size: number}>>}
+     */
+    async listFiles() {
+        const dir = path.dirname(this.file);
+        const ext = path.extname(this.file);
+        const base = path.basename(this.file, ext);
+        if (!(await fs.pathExists(dir))) return [];
+
+        const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`^${escape(base)}(\\d*)${escape(ext)}(\\..+)?$`);
+        const files = [];
+        for (const name of await fs.readdir(dir)) {
+            const match = name.match(pattern);
+            if (!match) continue;
+            const filePath = path.join(dir, name);
+            const stat = await fs.stat(filePath).catch(() => null);
+            if (!stat || !stat.isFile()) continue;
+            files.push({
+                path: filePath,
+                name,
+                ino: stat.ino,
+                size: stat.size,
+                mtimeMs: stat.mtimeMs,
+                active: filePath === this.file,
+                index: match[1] ? parseInt(match[1], 10) : 0
+            });
+        }
+        // With `tailable`, a larger number is older; backups sort by modification time
+        return files.sort((a, b) => (b.active - a.active) || (b.mtimeMs - a.mtimeMs) || (a.index - b.index));
+    }
+
+    /**
+     * Query log entries, newest first
+     * @param {Object} [filters] - { level, component, sessionId, since, until, q, limit, cursor }
+     *   level is the lowest severity to include (e.g. 'warn' returns warn and error);
+     *   since/until are epoch ms
+     * @returns {Promise<{items: Array<Object>, nextCursor: string|null}>}
+     */
+    async query(filters = {}) {
+        const limit = Math.max(1, filters.limit || 100);
+        const files = await this.listFiles();
+        if (files.length === 0) return { items: [], nextCursor: null };
+
+        let startIndex = 0;
+        let startPos = files[0].size;
+        if (filters.cursor) {
+            const cursor = this.decodeCursor(filters.cursor);
+            startIndex = files.findIndex(f => (cursor.i ? f.ino === cursor.i : f.name === cursor.f));
+            if (startIndex === -1) {
+                // The file the cursor pointed into has been rotated away
+                return { items: [], nextCursor: null };
+            }
+            startPos = Math.min(cursor.p, files[startIndex].size);
+        }
+
+        const items = [];
+        for (let i = startIndex; i < files.length; i++) {
+            const file = files[i];
+            const from = i === startIndex ? startPos : file.size;
+            for await (const { line, offset } of this.readLinesBackward(file.path, from)) {
+                const entry = this.parseLine(line);
+                if (!entry) continue;
+                const ts = Date.parse(entry.timestamp);
+                if (filters.until && ts > filters.until) continue;
+                // Files are chronological, so everything further back is older too
+                if (filters.since && ts < filters.since) return { items, nextCursor: null };
+                if (!this.matches(entry, filters)) continue;
+
+                items.push(entry);
+                if (items.length >= limit) {
+                    return { items, nextCursor: this.encodeCursor(file, offset) };
+                }
+            }
+        }
+        return { items, nextCursor: null };
+    }
+
+    /**
+     * Whether an entry passes level/component/session/text filters
+     */
+    matches(entry, filters = {}) {
+        if (filters.level && LEVELS[filters.level] !== undefined) {
+            const severity = LEVELS[entry.level] ?? LEVELS.info;
+            if (severity > LEVELS[filters.level]) return false;
+        }
+        if (filters.component && entry.component !== filters.component) return false;
+        if (filters.sessionId && entry.sessionId !== filters.sessionId) return false;
+        if (filters.q) {
+            const haystack = `${entry.message} ${JSON.stringify(entry.meta)}`.toLowerCase();
+            if (!haystack.includes(String(filters.q).toLowerCase())) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Parse a JSON or text log line into { timestamp, level, message, component, sessionId, meta }
+     * @returns {Object|null} Entry, or null for partial/unrecognized lines
+     */
+    parseLine(line) {
+        const text = line.trim();
+        if (!text) return null;
+
+        let record = null;
+        if (text.startsWith('{')) {
+            try {
+                record = JSON.parse(text);
+            } catch {
+                return null;
+            }
+        } else {
+            const match = text.match(TEXT_LINE);
+            if (!match) return null;
+            let message = match[3];
+            let meta = {};
+            const brace = message.indexOf(' {');
+            if (brace !== -1) {
+                try {
+                    meta = JSON.parse(message.slice(brace + 1));
+                    message = message.slice(0, brace);
+                } catch {}
+            }
+            record = {
+                ...meta,
+                timestamp: new Date(match[1].replace(' ', 'T')).toISOString(),
+                level: match[2].toLowerCase(),
+                message
+            };
+        }
+
+        const { timestamp, level, message, component, sessionId, ...meta } = record;
+        if (!timestamp || !level) return null;
+        return {
+            timestamp,
+            level,
+            message: typeof message === 'string' ? message : JSON.stringify(message),
+            component: component || null,
+            sessionId: sessionId || null,
+            meta
+        };
+    }
+
+    /**
+     * Yield complete lines before `end`, last line first, with their byte offsets
+     */
+    async *readLinesBackward(filePath, end) {
+        const handle = await fs.promises.open(filePath, 'r');
+        try {
+            let pos = end;
+            let carry = Buffer.alloc(0);
+            while (pos > 0) {
+                const size = Math.min(CHUNK_SIZE, pos);
+                pos -= size;
+                const chunk = Buffer.alloc(size);
+                await handle.read(chunk, 0, size, pos);
+                const data = Buffer.concat([chunk, carry]);
+                let lineEnd = data.length;
+                for (let i = data.length - 1; i >= 0; i--) {
+                    if (data[i] !== 0x0a) continue;
+                    if (i + 1 < lineEnd) {
+                        yield { line: data.subarray(i + 1, lineEnd).toString('utf8'), offset: pos + i + 1 };
+                    }
+                    lineEnd = i;
+                }
+                carry = data.subarray(0, lineEnd);
+            }
+            if (carry.length > 0) {
+                yield { line: carry.toString('utf8'), offset: 0 };
+            }
+        } finally {
+            await handle.close();
+        }
+    }
+
+    encodeCursor(file, offset) {
+        return Buffer.from(JSON.stringify({ f: file.name, i: file.ino, p: offset })).toString('base64url');
+    }
+
+    decodeCursor(cursor) {
+        try {
+            const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+            if (!Number.isInteger(parsed.p) || parsed.p < 0) throw new Error('bad offset');
+            return parsed;
+        } catch {
+            const error = new Error('Invalid cursor');
+            error.reason = 'bad-cursor';
+            throw error;
+        }
+    }
+
+    /**
+     * Follow the active log file; listeners receive each new parsed entry
+     * @param {Function} listener - (entry) => void
+     * @returns {Function} Unsubscribe function (stops polling with the last listener)
+     */
+    tail(listener) {
+        this.tailListeners.add(listener);
+        if (!this.tailTimer) {
+            this.tailState = null;
+            this.pollTail().catch(() => {});
+            this.tailTimer = setInterval(() => {
+                this.pollTail().catch(error => {
+                    this.logger?.debug('Log tail poll failed', { error: error.message });
+                });
+            }, this.tailIntervalMs);
+            this.tailTimer.unref?.();
+        }
+        return () => {
+            this.tailListeners.delete(listener);
+            if (this.tailListeners.size === 0) this.stopTail();
+        };
+    }
+
+    stopTail() {
+        if (this.tailTimer) {
+            clearInterval(this.tailTimer);
+            this.tailTimer = null;
+        }
+        this.tailState = null;
+        this.tailListeners.clear();
+    }
+
+    /**
+     * Read bytes appended since the last poll; restart from the top after rotation
+     */
+    async pollTail() {
+        if (this.tailPolling) return;
+        this.tailPolling = true;
+        try {
+            const stat = await fs.stat(this.file).catch(() => null);
+            if (!stat) return;
+            if (!this.tailState) {
+                // Only lines written after subscribing are streamed
+                this.tailState = { ino: stat.ino, pos: stat.size, partial: '' };
+                return;
+            }
+            if (stat.ino !== this.tailState.ino || stat.size < this.tailState.pos) {
+                this.tailState = { ino: stat.ino, pos: 0, partial: '' };
+            }
+            if (stat.size === this.tailState.pos) return;
+
+            const length = stat.size - this.tailState.pos;
+            const buf = Buffer.alloc(length);
+            const handle = await fs.promises.open(this.file, 'r');
+            try {
+                await handle.read(buf, 0, length, this.tailState.pos);
+            } finally {
+                await handle.close();
+            }
+            this.tailState.pos = stat.size;
+
+            const lines = (this.tailState.partial + buf.toString('utf8')).split('\n');
+            this.tailState.partial = lines.pop();
+            for (const line of lines) {
+                const entry = this.parseLine(line);
+                if (!entry) continue;
+                for (const listener of this.tailListeners) {
+                    try { listener(entry); } catch {}
+                }
+            }
+        } finally {
+            this.tailPolling = false;
+        }
+    }
+}
+
+LogReader.LEVELS = LEVELS;
+
+module.exports = LogReader;
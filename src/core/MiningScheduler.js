@@ -0,0 +1,479 @@
+/**
+ * Mining Scheduler
+ * جدولة التعدين حسب الوقت
+ *
+ * Runs the rules in schedules.rules at the minutes their cron expressions
+ * match, in the rule's time zone, else schedules.timezone, else the
+ * system's:
+ *   start     resume the paused session or start a new one
+ *   stop      stop mining
+ *   pause     pause the session, keeping its nonce progress
+ *   resume    resume the paused session
+ *   throttle  cap the CPU workers (workers, null lifts the cap) and/or the
+ *             CPU usage (maxUsage)
+ * Rules act through MiningSystem.start/stop/pause/resume, so they move the
+ * shouldRun intent the same way the API does. A rule fires once per
+ * matching minute; manual changes in between stand until the next rule.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { parseCron, checkTimeZone, matches, nextRun, previousRun } = require('../utils/cronSchedule');
+
+const ACTIONS = ['start', 'stop', 'pause', 'resume', 'throttle'];
+const MINUTE_MS = 60000;
+// Minutes missed (event loop stall, suspend) that still fire late
+const CATCH_UP_MINUTES = 10;
+// How far back start() looks for the rule that decides the run state
+const STARTUP_LOOKBACK_MS = 7 * 24 * 60 * MINUTE_MS;
+// perform() results that leave the run state as the schedule wants it
+const DECIDED_RESULTS = new Set(['started', 'resumed', 'already_running', 'paused', 'stopped', 'restart_cancelled', 'already_paused', 'not_running']);
+// Fired rules kept for the API
+const HISTORY_SIZE = 50;
+
+/**
+ * Build a schedule validation error
+ */
+function scheduleError(message) {
+    const error = new Error(message);
+    error.reason = 'invalid-schedule';
+    return error;
+}
+
+class MiningScheduler {
+    /**
+     * @param {Object} system - MiningSystem
+     * @param {Object} config - ConfigManager
+     * @param {Object} logger - Logger instance
+     */
+    constructor(system, config, logger) {
+        this.system = system;
+        this.config = config;
+        this.logger = logger;
+        // rule id -> { firedFor, lastRunAt, lastResult }
+        this.ruleState = new Map();
+        // rule id -> parsed cron, rebuilt when the rules change
+        this.crons = new Map();
+        this.history = [];
+        this.timer = null;
+        this.lastTickAt = null;
+        // Actions run one at a time
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Time zone of the host
+     */
+    getSystemTimeZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    }
+
+    /**
+     * Schedules as configured (schedules.enabled, timezone, rules)
+     */
+    getSettings() {
+        const schedules = this.config.get('schedules', {}) || {};
+        return {
+            enabled: schedules.enabled !== false,
+            timezone: schedules.timezone || null,
+            rules: Array.isArray(schedules.rules) ? schedules.rules : []
+        };
+    }
+
+    getRuleTimeZone(rule, settings = this.getSettings()) {
+        return rule.timezone || settings.timezone || this.getSystemTimeZone();
+    }
+
+    getCron(rule) {
+        let cron = this.crons.get(rule.id);
+        if (!cron || cron.expression !== rule.cron.trim().split(/\s+/).join(' ')) {
+            cron = parseCron(rule.cron);
+            this.crons.set(rule.id, cron);
+        }
+        return cron;
+    }
+
+    /**
+     * Validate a rule and fill in its defaults
+     * @param {Object} input
+     * @param {string} [id] - Id of the rule being replaced
+     * @returns {Object} The rule as stored
+     * @throws {Error} reason 'invalid-schedule'
+     */
+    normalizeRule(input, id = undefined) {
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            throw scheduleError('A rule must be an object');
+        }
+        const ruleId = id ?? input.id ?? uuidv4();
+        if (typeof ruleId !== 'string' || !/^[\w-]{1,64}$/.test(ruleId)) {
+            throw scheduleError('id must be 1-64 letters, digits, "_" or "-"');
+        }
+        if (input.name !== undefined && typeof input.name !== 'string') {
+            throw scheduleError('name must be a string');
+        }
+        if (!ACTIONS.includes(input.action)) {
+            throw scheduleError(`action must be one of ${ACTIONS.join(', ')}`);
+        }
+        parseCron(input.cron);
+        if (input.timezone !== undefined && input.timezone !== null) {
+            if (typeof input.timezone !== 'string') throw scheduleError('timezone must be a string or null');
+            checkTimeZone(input.timezone);
+        }
+        if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+            throw scheduleError('enabled must be a boolean');
+        }
+
+        const rule = {
+            id: ruleId,
+            name: input.name || '',
+            cron: input.cron.trim().split(/\s+/).join(' '),
+            action: input.action,
+            timezone: input.timezone || null,
+            enabled: input.enabled !== false
+        };
+        if (input.action === 'throttle') {
+            const { workers, maxUsage } = input;
+            if (workers === undefined && (maxUsage === undefined || maxUsage === null)) {
+                throw scheduleError('A throttle rule needs workers and/or maxUsage');
+            }
+            if (workers !== undefined) {
+                if (workers !== null && (!Number.isInteger(workers) || workers < 1)) {
+                    throw scheduleError('workers must be a positive integer, or null to lift the limit');
+                }
+                rule.workers = workers;
+            }
+            if (maxUsage !== undefined && maxUsage !== null) {
+                if (!Number.isFinite(maxUsage) || maxUsage < 1 || maxUsage > 100) {
+                    throw scheduleError('maxUsage must be a number between 1 and 100');
+                }
+                rule.maxUsage = maxUsage;
+            }
+        }
+        return rule;
+    }
+
+    /**
+     * Replace the whole schedule configuration
+     * استبدال إعدادات الجدولة بالكامل
+     * @param {Object} schedules - { enabled, timezone, rules }; omitted fields keep their value
+     * @returns {Promise<Object>} Status, as getStatus()
+     */
+    async replace(schedules) {
+        if (!schedules || typeof schedules !== 'object' || Array.isArray(schedules)) {
+            throw scheduleError('Schedules must be an object');
+        }
+        const current = this.getSettings();
+        const { enabled = current.enabled, timezone = current.timezone, rules = current.rules } = schedules;
+        if (typeof enabled !== 'boolean') throw scheduleError('enabled must be a boolean');
+        if (timezone !== null) {
+            if (typeof timezone !== 'string') throw scheduleError('timezone must be a string or null');
+            checkTimeZone(timezone);
+        }
+        if (!Array.isArray(rules)) throw scheduleError('rules must be an array');
+
+        const normalized = rules.map(rule => this.normalizeRule(rule));
+        const ids = new Set();
+        for (const rule of normalized) {
+            if (ids.has(rule.id)) throw scheduleError(`Duplicate rule id '${rule.id}'`);
+            ids.add(rule.id);
+        }
+        await this.save({ enabled, timezone: timezone || null, rules: normalized });
+        return this.getStatus();
+    }
+
+    /**
+     * Add a rule
+     * @returns {Promise<Object>} The stored rule
+     */
+    async addRule(input) {
+        const settings = this.getSettings();
+        const rule = this.normalizeRule(input);
+        if (settings.rules.some(r => r.id === rule.id)) {
+            throw scheduleError(`Duplicate rule id '${rule.id}'`);
+        }
+        await this.save({ ...settings, rules: [...settings.rules, rule] });
+        return this.describeRule(rule);
+    }
+
+    /**
+     * Change a rule; omitted fields keep their value unless replace is set
+     * @param {Object} [options] - { replace }: store changes as the whole rule
+     * @returns {Promise<Object|null>} The stored rule, or null if there is no such rule
+     */
+    async updateRule(id, changes, { replace = false } = {}) {
+        const settings = this.getSettings();
+        const index = settings.rules.findIndex(r => r.id === id);
+        if (index === -1) return null;
+        const merged = replace ? { ...changes } : { ...settings.rules[index], ...changes };
+        if (merged.action !== 'throttle') {
+            delete merged.workers;
+            delete merged.maxUsage;
+        }
+        const rule = this.normalizeRule(merged, id);
+        const rules = settings.rules.slice();
+        rules[index] = rule;
+        await this.save({ ...settings, rules });
+        return this.describeRule(rule);
+    }
+
+    /**
+     * Remove a rule
+     * @returns {Promise<boolean>} False if there is no such rule
+     */
+    async removeRule(id) {
+        const settings = this.getSettings();
+        const rules = settings.rules.filter(r => r.id !== id);
+        if (rules.length === settings.rules.length) return false;
+        await this.save({ ...settings, rules });
+        return true;
+    }
+
+    async save(schedules) {
+        this.config.set('schedules', schedules);
+        const ids = new Set(schedules.rules.map(rule => rule.id));
+        for (const id of [...this.ruleState.keys(), ...this.crons.keys()]) {
+            if (!ids.has(id)) {
+                this.ruleState.delete(id);
+                this.crons.delete(id);
+            }
+        }
+        if (typeof this.config.save === 'function') {
+            await this.config.save();
+        }
+    }
+
+    /**
+     * Begin following the schedule. Applies the last run-state rule and the
+     * last throttle rule that fired before now, so a restart lands in the
+     * state the schedule calls for.
+     * @returns {Promise<boolean>} True if a rule decided whether to mine; false
+     * leaves starting to the caller
+     */
+    async start() {
+        this.stop();
+        this.lastTickAt = Date.now();
+        this.arm();
+
+        const settings = this.getSettings();
+        if (!settings.enabled) return false;
+        const now = this.lastTickAt;
+        const latest = { run: null, throttle: null };
+        for (const rule of settings.rules) {
+            if (!rule.enabled) continue;
+            let at;
+            try {
+                at = previousRun(this.getCron(rule), now, this.getRuleTimeZone(rule, settings));
+            } catch (error) {
+                this.logger.warn('Skipping invalid schedule rule', { id: rule.id, error: error.message });
+                continue;
+            }
+            if (at === null || now - at > STARTUP_LOOKBACK_MS) continue;
+            const kind = rule.action === 'throttle' ? 'throttle' : 'run';
+            if (!latest[kind] || at > latest[kind].at) latest[kind] = { rule, at };
+        }
+
+        if (latest.throttle) await this.fire(latest.throttle.rule, latest.throttle.at, 'catch_up');
+        if (!latest.run) return false;
+        // Nothing is paused right after a restart, so a resume window means mine
+        const { rule, at } = latest.run;
+        const entry = await this.fire(rule, at, 'catch_up', rule.action === 'resume' ? 'start' : rule.action);
+        return Boolean(entry && DECIDED_RESULTS.has(entry.result));
+    }
+
+    /**
+     * Stop following the schedule
+     */
+    stop() {
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Wake up just after the next minute boundary
+     */
+    arm() {
+        const delay = MINUTE_MS - (Date.now() % MINUTE_MS) + 50;
+        this.timer = setTimeout(() => {
+            this.tick().catch(error => {
+                this.logger.error('Mining schedule check failed', { error: error.message });
+            }).finally(() => {
+                if (this.timer) this.arm();
+            });
+        }, delay);
+        if (typeof this.timer.unref === 'function') this.timer.unref();
+    }
+
+    /**
+     * Fire the rules matching the minutes since the last tick
+     */
+    async tick(now = Date.now()) {
+        const since = Math.max(this.lastTickAt ?? now, now - CATCH_UP_MINUTES * MINUTE_MS);
+        this.lastTickAt = now;
+        const settings = this.getSettings();
+        if (!settings.enabled) return;
+
+        const due = [];
+        const first = Math.floor(since / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+        for (const rule of settings.rules) {
+            if (!rule.enabled) continue;
+            let cron;
+            try {
+                cron = this.getCron(rule);
+            } catch {
+                continue;
+            }
+            const timeZone = this.getRuleTimeZone(rule, settings);
+            // Latest matching minute; a rule fires once even after a long stall
+            for (let at = Math.floor(now / MINUTE_MS) * MINUTE_MS; at >= first; at -= MINUTE_MS) {
+                if (matches(cron, at, timeZone)) {
+                    due.push({ rule, at });
+                    break;
+                }
+            }
+        }
+        due.sort((a, b) => a.at - b.at);
+        for (const { rule, at } of due) {
+            await this.fire(rule, at, at < Math.floor(now / MINUTE_MS) * MINUTE_MS ? 'late' : 'schedule');
+        }
+    }
+
+    /**
+     * Run a rule now regardless of its cron
+     * تشغيل قاعدة الجدولة فورًا
+     * @returns {Promise<Object|null>} History entry, or null if there is no such rule
+     */
+    async runNow(id) {
+        const rule = this.getSettings().rules.find(r => r.id === id);
+        if (!rule) return null;
+        return this.fire(rule, Date.now(), 'manual');
+    }
+
+    fire(rule, at, trigger, action = rule.action) {
+        const state = this.ruleState.get(rule.id) || {};
+        if (trigger !== 'manual' && state.firedFor === at) return Promise.resolve(null);
+        if (trigger !== 'manual') state.firedFor = at;
+        this.ruleState.set(rule.id, state);
+
+        const run = this.queue.then(async () => {
+            const entry = {
+                ruleId: rule.id,
+                name: rule.name,
+                action,
+                cron: rule.cron,
+                trigger,
+                scheduledAt: at,
+                at: Date.now(),
+                result: null
+            };
+            try {
+                entry.result = await this.perform(rule, action);
+                this.logger.info(`Schedule rule ran: ${rule.name || rule.id}`, entry);
+            } catch (error) {
+                entry.result = `failed: ${error.message}`;
+                this.logger.error('Schedule rule failed', { ...entry, error: error.message });
+            }
+            state.lastRunAt = entry.at;
+            state.lastResult = entry.result;
+            this.history.push(entry);
+            if (this.history.length > HISTORY_SIZE) this.history.shift();
+            this.system.emit('schedule', entry);
+            return entry;
+        });
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Apply a rule's action
+     * @returns {Promise<string>} What happened
+     */
+    async perform(rule, action = rule.action) {
+        const system = this.system;
+        const paused = system.currentSession?.status === 'paused';
+        switch (action) {
+            case 'start':
+                if (system.isRunning) return 'already_running';
+                if (paused) {
+                    await system.resume();
+                    return 'resumed';
+                }
+                await system.start();
+                return 'started';
+            case 'resume':
+                if (!paused) return system.isRunning ? 'already_running' : 'no_paused_session';
+                await system.resume();
+                return 'resumed';
+            case 'pause':
+            case 'stop': {
+                if (system.isRunning) {
+                    if (action === 'pause') await system.pause();
+                    else await system.stop();
+                    return action === 'pause' ? 'paused' : 'stopped';
+                }
+                // Between the stop and start of a restart: keep it from starting again
+                if (system.shouldRun) {
+                    system.shouldRun = false;
+                    return 'restart_cancelled';
+                }
+                return paused ? 'already_paused' : 'not_running';
+            }
+            case 'throttle': {
+                const done = [];
+                if (rule.workers !== undefined) {
+                    const maxWorkers = await system.setCpuWorkerLimit(rule.workers);
+                    done.push(`workers ${maxWorkers}`);
+                }
+                if (rule.maxUsage !== undefined) {
+                    await system.setCpuThrottle({ maxUsage: rule.maxUsage });
+                    done.push(`maxUsage ${rule.maxUsage}%`);
+                }
+                return `throttled: ${done.join(', ')}`;
+            }
+            default:
+                throw new Error(`Unknown schedule action '${action}'`);
+        }
+    }
+
+    /**
+     * A rule with its effective time zone, next and last run
+     */
+    describeRule(rule, settings = this.getSettings(), now = Date.now()) {
+        const state = this.ruleState.get(rule.id) || {};
+        const timezone = this.getRuleTimeZone(rule, settings);
+        let nextRunAt = null;
+        if (rule.enabled && settings.enabled) {
+            try {
+                nextRunAt = nextRun(this.getCron(rule), now, timezone);
+            } catch {}
+        }
+        return {
+            ...rule,
+            effectiveTimezone: timezone,
+            nextRunAt,
+            lastRunAt: state.lastRunAt ?? null,
+            lastResult: state.lastResult ?? null
+        };
+    }
+
+    /**
+     * Schedule state for the API
+     */
+    getStatus() {
+        const settings = this.getSettings();
+        const now = Date.now();
+        const rules = settings.rules.map(rule => this.describeRule(rule, settings, now));
+        const upcoming = rules.filter(rule => rule.nextRunAt !== null)
+            .sort((a, b) => a.nextRunAt - b.nextRunAt)[0];
+        return {
+            enabled: settings.enabled,
+            active: !!this.timer,
+            timezone: settings.timezone,
+            systemTimezone: this.getSystemTimeZone(),
+            actions: ACTIONS,
+            rules,
+            next: upcoming ? { ruleId: upcoming.id, action: upcoming.action, at: upcoming.nextRunAt } : null,
+            history: this.history.slice(-20).reverse()
+        };
+    }
+}
+
+module.exports = MiningScheduler;
@@ -12,24 +12,60 @@ const { v4: uuidv4 } = require('uuid');
 
 // Import mining engines
 const GPUMiner = require('../engines/GPUMiner');
+const MultiGPUMiner = require('../engines/MultiGPUMiner');
+const ExternalMiner = require('../engines/ExternalMiner');
 const CPUMiner = require('../engines/CPUMiner');
+const EngineRegistry = require('./EngineRegistry');
+const EngineFailover = require('./EngineFailover');
+const EngineWatchdog = require('./EngineWatchdog');
+const MiningScheduler = require('./MiningScheduler');
 const BlockchainDataManager = require('./BlockchainDataManager');
 const BlockchainBroadcaster = require('./BlockchainBroadcaster');
+const RpcClient = require('./RpcClient');
+const SolutionLedger = require('./SolutionLedger');
+const NonceAllocator = require('./NonceAllocator');
+const { decodeTicket } = require('../utils/ticketCodec');
+const { buildHeaderPrefix } = require('../utils/hashingUtils');
 
 class MiningSystem {
     constructor(config, logger) {
         this.config = config;
         this.logger = logger.child({ component: 'MiningSystem' });
         
+        // Shared RPC client (endpoint failover and health tracking)
+        this.rpcClient = new RpcClient(config, this.logger);
+
         // Initialize blockchain data manager
-        this.blockchainDataManager = new BlockchainDataManager(config, this.logger);
+        this.blockchainDataManager = new BlockchainDataManager(config, this.logger, this.rpcClient);
         
         // Initialize blockchain broadcaster
-        this.blockchainBroadcaster = new BlockchainBroadcaster(config, this.logger);
+        this.blockchainBroadcaster = new BlockchainBroadcaster(config, this.logger, this.rpcClient);
+        // Tickets are validated against the job currently being mined
+        this.blockchainBroadcaster.setJobProvider(() => this.currentSession?.config || null);
+
+        // Append-only history of found solutions and their broadcast outcome
+        this.solutionLedger = new SolutionLedger({
+            dir: config.get('storage.paths.solutions', 'data/solutions'),
+            logger: this.logger
+        });
+        this.blockchainBroadcaster.setFinishListener((ticket) => this.recordBroadcastOutcome(ticket));
         
-        // Mining engines
-        this.gpuMiner = null;
-        this.cpuMiner = null;
+        // Mining engines, by name ('gpu', 'cpu' and any from engines.modules)
+        this.engineRegistry = new EngineRegistry(config, this.logger);
+        this.registerBuiltinEngines();
+        // Moves a session to engines.<name>.fallback while an engine keeps failing
+        this.engineFailover = new EngineFailover(this, config, this.logger);
+        // Restarts engines whose metrics or nonces stop moving
+        this.engineWatchdog = new EngineWatchdog(this, config, this.logger);
+        // Starts, stops, pauses and throttles mining on the schedules.rules cron rules
+        this.scheduler = new MiningScheduler(this, config, this.logger);
+
+        // Nonce leases shared by every engine, so no two ever search the same range
+        this.nonceAllocator = new NonceAllocator({
+            logger: this.logger,
+            onDrained: (coverage) => this.handleNonceDrained(coverage)
+        });
+        this.rollingJob = false;
         
         // State management
         this.isRunning = false;
@@ -41,7 +77,8 @@ class MiningSystem {
             totalHashes: 0,
             solutions: 0,
             errors: 0,
-            restarts: 0
+            restarts: 0,
+            jobSwitches: 0
         };
         
         // Performance tracking
@@ -66,50 +103,39 @@ class MiningSystem {
     /**
      * Handle miner metrics (real-time)
      * إدارة مقاييس المحرك لحظيًا على مستوى النظام
+     * @param {string} sessionId
+     * @param {Object} metrics - { rate, totalHashes, lastNonce, ... }
+     * @param {string} [engine] - Engine name ('gpu', 'cpu', ...)
      */
-    handleMinerMetrics(sessionId, metrics) {
+    handleMinerMetrics(sessionId, metrics, engine) {
         try {
             const session = this.sessions.get(sessionId);
             if (!session) return;
+            session.meta = session.meta || {};
+            engine = engine || this.getSessionEngines(session)[0] || 'cpu';
+            const engineMeta = this.getEngineMeta(session, engine);
 
             // Update current nonce at system level for visibility
+            // (restarts resume from the leases, not from this value)
             try {
-                session.meta = session.meta || {};
                 if (Number.isFinite(metrics?.lastNonce)) {
+                    engineMeta.lastNonce = metrics.lastNonce >>> 0;
                     session.meta.currentNonce = metrics.lastNonce >>> 0;
-                    // Keep session.config.base_nonce aligned so that any miner self-restart resumes from last known nonce
-                    try {
-                        session.config = session.config || {};
-                        // Use currentNonce as base; worker will continue from here (off-by-one duplication is harmless)
-                        session.config.base_nonce = session.meta.currentNonce >>> 0;
-                    } catch {}
                 }
             } catch {}
 
-            // Update system stats in real-time
+            // Update system stats in real-time (sum of the engines mining this session)
             if (Number.isFinite(metrics?.rate)) {
-                this.stats.hashRate = Math.max(0, metrics.rate);
+                engineMeta.hashRate = Math.max(0, metrics.rate);
+                this.updateHashRate(session);
             }
             // Accumulate total hashes across miner restarts using delta from miner-reported counter
             if (Number.isFinite(metrics?.totalHashes)) {
-                const minerTotal = metrics.totalHashes >>> 0;
-                const last = session.meta.lastMinerTotalHashes;
-                if (typeof last === 'number' && Number.isFinite(last)) {
-                    if (minerTotal >= last) {
-                        session.meta.totalHashesAcc += (minerTotal - last);
-                    } else {
-                        // Counter reset (restart). Add the new segment fully.
-                        session.meta.totalHashesAcc += minerTotal;
-                    }
-                } else {
-                    // First observation in this session segment
-                    session.meta.totalHashesAcc += minerTotal;
-                }
-                // Update baseline to current miner total
-                session.meta.lastMinerTotalHashes = minerTotal;
-                // Reflect aggregated total in system stats
-                this.stats.totalHashes = Math.max(0, session.meta.totalHashesAcc >>> 0);
+                this.accumulateHashes(session, engine, metrics.totalHashes);
             }
+            // Prepare the next timestamp job before the nonce space runs out
+            this.maybeStageNextJob(session);
+            this.engineWatchdog.record(session, engine, metrics);
 
             // Keep short performance history
             this.performanceHistory.push({
@@ -128,6 +154,55 @@ class MiningSystem {
         }
     }
 
+    /**
+     * System hash rate: the sum of the engines mining the session
+     */
+    updateHashRate(session) {
+        this.stats.hashRate = this.getSessionEngines(session)
+            .reduce((sum, name) => sum + (this.getEngineMeta(session, name).hashRate || 0), 0);
+    }
+
+    /**
+     * Fold a miner's hash counter into the session totals
+     * Each engine keeps its own baseline, so two miners never mix counters
+     */
+    accumulateHashes(session, engine, minerTotalHashes) {
+        const engineMeta = this.getEngineMeta(session, engine);
+        const minerTotal = minerTotalHashes >>> 0;
+        const last = engineMeta.lastMinerTotalHashes;
+        let delta;
+        if (typeof last === 'number' && Number.isFinite(last)) {
+            // Counter reset (restart): add the new segment fully
+            delta = minerTotal >= last ? (minerTotal - last) : minerTotal;
+        } else {
+            // First observation in this session segment
+            delta = minerTotal;
+        }
+        engineMeta.lastMinerTotalHashes = minerTotal;
+        engineMeta.totalHashes += delta;
+        session.meta.totalHashesAcc = (session.meta.totalHashesAcc || 0) + delta;
+        // Reflect aggregated total in system stats
+        this.stats.totalHashes = Math.max(0, session.meta.totalHashesAcc);
+    }
+
+    /**
+     * Per-engine counters kept in session meta
+     */
+    getEngineMeta(session, engine) {
+        session.meta = session.meta || {};
+        session.meta.engines = session.meta.engines || {};
+        if (!session.meta.engines[engine]) {
+            session.meta.engines[engine] = {
+                hashRate: 0,
+                totalHashes: 0,
+                lastMinerTotalHashes: undefined,
+                solutions: 0,
+                lastNonce: null
+            };
+        }
+        return session.meta.engines[engine];
+    }
+
     /**
      * Initialize the mining system
      * تهيئة نظام التعدين
@@ -139,6 +214,12 @@ class MiningSystem {
             // Initialize mining engines
             await this.initializeEngines();
 
+            // Load the solution ledger before replayed tickets report their outcome
+            await this.solutionLedger.initialize();
+
+            // Load persistent broadcast queue (replays tickets left from a previous run)
+            await this.blockchainBroadcaster.initialize();
+
             // Load previous state if exists
             await this.loadState();
 
@@ -153,42 +234,75 @@ class MiningSystem {
         }
     }
 
+    /**
+     * Register the built-in engines
+     * تسجيل المحركات المدمجة
+     */
+    registerBuiltinEngines() {
+        // WebGPU; engines.gpu.devices runs one worker per selected adapter
+        this.engineRegistry.register('gpu', (config, logger) => (
+            MultiGPUMiner.isConfigured(config)
+                ? new MultiGPUMiner(config, logger)
+                : new GPUMiner(config, logger)
+        ));
+        // CPU miner (always available as fallback)
+        this.engineRegistry.register('cpu', (config, logger) => new CPUMiner(config, logger), {
+            required: true,
+            enabled: true
+        });
+    }
+
+    /**
+     * Register an ExternalMiner per engines.external entry
+     * تسجيل محركات التعدين الخارجية
+     */
+    registerExternalEngines() {
+        for (const name of ExternalMiner.configuredNames(this.config)) {
+            const key = `engines.external.${name}`;
+            try {
+                this.engineRegistry.register(name, (config, logger) => new ExternalMiner(config, logger, { name }), {
+                    source: this.config.get(`${key}.command`, null),
+                    enabled: config => config.get(`${key}.enabled`, true) !== false,
+                    priority: config => config.get(`${key}.priority`, 'medium')
+                });
+            } catch (error) {
+                this.logger.error('Failed to register external miner', { engine: name, error: error.message });
+            }
+        }
+    }
+
     /**
      * Initialize mining engines
      * تهيئة محركات التعدين
      */
     async initializeEngines() {
-        const gpuConfig = this.config.get('engines.gpu');
-        const cpuConfig = this.config.get('engines.cpu');
-
-        // Initialize GPU miners if enabled
-        if (gpuConfig.enabled) {
+        // External miner programs (engines.external)
+        this.registerExternalEngines();
+        // Engines shipped as modules (engines.modules)
+        this.engineRegistry.loadModules();
+
+        const { failed } = await this.engineRegistry.initializeAll();
+        for (const { name, error } of failed) {
+            this.logger.warn(`⚠️ Failed to initialize ${name === 'gpu' ? 'WebGPU miner' : `engine '${name}'`}`, {
+                error: error.message,
+                stack: error.stack,
+                type: error.constructor.name
+            });
 
-            try {
-                const GPUMiner = require('../engines/GPUMiner');
-                this.webgpuMiner = new GPUMiner(this.config, this.logger);
-                await this.webgpuMiner.initialize();
-            } catch (error) {
-                this.logger.warn('⚠️ Failed to initialize WebGPU miner', { 
-                    error: error.message,
-                    stack: error.stack,
-                    type: error.constructor.name
-                });
-                
-                // Provide helpful suggestions
-                if (error.message.includes('adapter') || error.message.includes('device')) {
-                    this.logger.warn('💡 WebGPU suggestions:');
-                    this.logger.warn('   - Update your GPU drivers');
-                    this.logger.warn('   - Check if your GPU supports WebGPU');
-                    this.logger.warn('   - Try running: node test-webgpu-diagnostic.js');
-                }
-                this.webgpuMiner = null;
+            // Provide helpful suggestions
+            if (name === 'gpu' && (error.message.includes('adapter') || error.message.includes('device'))) {
+                this.logger.warn('💡 WebGPU suggestions:');
+                this.logger.warn('   - Update your GPU drivers');
+                this.logger.warn('   - Check if your GPU supports WebGPU');
+                this.logger.warn('   - Try running: node test-webgpu-diagnostic.js');
             }
         }
 
-        // Initialize CPU miner (always available as fallback)
-        this.cpuMiner = new CPUMiner(this.config, this.logger);
-        await this.cpuMiner.initialize();
+        for (const miner of this.engineRegistry.engines.values()) {
+            if (typeof miner.setNonceAllocator === 'function') {
+                miner.setNonceAllocator(this.nonceAllocator);
+            }
+        }
     }
 
     /**
@@ -221,7 +335,8 @@ class MiningSystem {
                     currentNonce: 0,
                     // Accumulate total hashes across miner restarts
                     totalHashesAcc: 0,
-                    lastMinerTotalHashes: undefined,
+                    // Per-engine rate/hashes/solutions (hybrid mode runs both engines)
+                    engines: {},
                     // Accumulate solutions across miner restarts (session-scoped)
                     solutionsAcc: 0,
                     lastMinerSolutions: undefined,
@@ -235,6 +350,9 @@ class MiningSystem {
 
             this.isRunning = true;
             this.stats.startTime = Date.now();
+
+            // Watch for a new leader/height to re-target without a restart
+            this.startJobPolling();
             
             this.logger.info('Mining system started successfully', { sessionId });
 
@@ -255,42 +373,60 @@ class MiningSystem {
         }
 
         try {
-            // Determine which miner to use
-            const miner = this.selectMiner();
+            // Determine which engines to use (both in hybrid mode)
+            const engines = this.selectEngines();
             
-            if (!miner) {
+            if (engines.length === 0) {
                 throw new Error('No available mining engine');
             }
 
-            // Set solution callback for the miner
-            if (miner.setSolutionCallback) {
-                miner.setSolutionCallback((sessionId, solution) => this.handleSolution(sessionId, solution));
-            }
-            // Set error callback for the miner (e.g., nonce exhaustion, device lost, worker exit)
-            if (miner.setErrorCallback) {
-                miner.setErrorCallback((err) => this.handleMinerError(sessionId, err));
+            session.meta = session.meta || {};
+            session.config = session.config || {};
+            const hybrid = engines.length > 1;
+            // A new start tries the preferred engines again
+            this.engineFailover.reset();
+
+            // Engines lease their ranges from the shared allocator; on resume
+            // the ranges released at pause are handed out again first
+            const started = [];
+            for (const engine of engines) {
+                const miner = this.getEngineMiner(engine);
+                this.attachMinerCallbacks(sessionId, miner, engine);
+
+                try {
+                    await miner.start(session);
+                    started.push(engine);
+                } catch (error) {
+                    if (!hybrid && this.engineFailover.canFailOver(engine)) {
+                        // Mine on the fallback engine and keep probing this one
+                        const fallback = await this.engineFailover.failOver(session, engine, `start_failed: ${error.message}`, [engine]);
+                        started.push(...fallback);
+                        continue;
+                    }
+                    if (!hybrid) throw error;
+                    // The other engine keeps the session going
+                    this.logger.warn('Engine failed to start, continuing hybrid session without it', {
+                        sessionId,
+                        engine,
+                        error: error.message
+                    });
+                    try { await miner.stop(); } catch {}
+                }
             }
-            // Set metrics callback for real-time stats and nonce tracking at system level
-            if (miner.setMetricsCallback) {
-                miner.setMetricsCallback((sid, metrics) => this.handleMinerMetrics(sessionId, metrics));
+
+            if (started.length === 0) {
+                throw new Error('No mining engine could be started');
             }
-            // Start mining
-            // Ensure base_nonce reflects last known progress when (re)starting miner
-            try {
-                session.meta = session.meta || {};
-                session.config = session.config || {};
-                if (Number.isFinite(session.meta.currentNonce)) {
-                    session.config.base_nonce = session.meta.currentNonce >>> 0;
-                }
-            } catch {}
-            await miner.start(session);
             
             session.status = 'running';
-            session.miner = miner;
+            session.engines = started;
+            session.miner = this.getEngineMiner(started[0]);
+            this.engineWatchdog.start();
 
             this.logger.info('✅ Mining started', { 
                 sessionId, 
-                miner: miner.constructor.name,
+                miner: started.map(engine => this.getEngineMiner(engine).constructor.name).join(' + '),
+                hybrid,
                 config: session.config 
             });
 
@@ -304,24 +440,131 @@ class MiningSystem {
         }
     }
 
+    /**
+     * Route a miner's callbacks to the system, tagged with its engine
+     */
+    attachMinerCallbacks(sessionId, miner, engine) {
+        // Set solution callback for the miner
+        if (miner.setSolutionCallback) {
+            miner.setSolutionCallback((sid, solution) => this.handleSolution(sessionId, solution, engine));
+        }
+        // Set error callback for the miner (e.g., nonce exhaustion, device lost, worker exit)
+        if (miner.setErrorCallback) {
+            miner.setErrorCallback((err) => this.handleMinerError(sessionId, err, engine));
+        }
+        // Set metrics callback for real-time stats and nonce tracking at system level
+        if (miner.setMetricsCallback) {
+            miner.setMetricsCallback((sid, metrics) => this.handleMinerMetrics(sessionId, metrics, engine));
+        }
+    }
+
     /**
      * Select the best mining engine
      * اختيار أفضل محرك تعدين
      */
     selectMiner() {
-        const gpuConfig = this.config.get('engines.gpu');
-        const cpuConfig = this.config.get('engines.cpu');
+        // Highest engines.<name>.priority among the enabled, initialized engines
+        const [engine] = this.engineRegistry.available();
+        if (!engine) return null;
 
-        if (gpuConfig?.enabled && this.webgpuMiner) {
-            return this.webgpuMiner;
+        if (engine === 'cpu') {
+            this.logger.info('GPU not available, using CPU miner (always available)');
         }
+        return this.getEngineMiner(engine);
+    }
 
-        if (this.cpuMiner) {
-            this.logger.info('GPU not available, using CPU miner (always available)');
-            return this.cpuMiner;
+    /**
+     * Engines to run for a session: engines.hybrid.engines together in
+     * hybrid mode, otherwise the single miner from selectMiner()
+     * اختيار المحركات: المعالج الرسومي والمعالج معًا في الوضع الهجين
+     * @returns {Array<string>} Engine names ('gpu', 'cpu', ...)
+     */
+    selectEngines() {
+        if (this.isHybridMode()) {
+            return this.getHybridEngines();
+        }
+        const miner = this.selectMiner();
+        return miner ? [this.getMinerEngine(miner)] : [];
+    }
+
+    /**
+     * Available engines listed in engines.hybrid.engines (default GPU and CPU)
+     */
+    getHybridEngines() {
+        const wanted = this.config.get('engines.hybrid.engines', ['gpu', 'cpu']);
+        return this.engineRegistry.available().filter(engine => wanted.includes(engine));
+    }
+
+    /**
+     * Whether several engines should mine the same session together
+     */
+    isHybridMode() {
+        return !!this.config.get('engines.hybrid.enabled', false) && this.getHybridEngines().length > 1;
+    }
+
+    getEngineMiner(engine) {
+        return this.engineRegistry.get(engine);
+    }
+
+    getMinerEngine(miner) {
+        return this.engineRegistry.nameOf(miner);
+    }
+
+    /**
+     * Registered engines with their state (enabled, initialized, running, load errors)
+     */
+    getEngines() {
+        return this.engineRegistry.describe();
+    }
+
+    /**
+     * CPU usage cap and worker niceness
+     */
+    getCpuThrottle() {
+        const miner = this.getEngineMiner('cpu');
+        if (!miner) throw new Error('CPU engine is not available');
+        return { ...miner.getThrottle(), workerNiceness: Object.fromEntries(miner.workerNiceness), workerLimit: miner.workerLimit };
+    }
+
+    /**
+     * Cap the number of CPU workers (null lifts the cap)
+     * @returns {Promise<number>} The worker count now allowed
+     */
+    async setCpuWorkerLimit(limit) {
+        const miner = this.getEngineMiner('cpu');
+        if (!miner) throw new Error('CPU engine is not available');
+        return miner.setWorkerLimit(limit);
+    }
+
+    /**
+     * Change the CPU usage cap and worker niceness while mining
+     * تعديل حد استخدام المعالج وأولوية العمال أثناء التعدين
+     * @param {Object} throttle - { maxUsage, niceness }
+     * @param {Object} [options]
+     * @param {boolean} [options.persist] - Write them to the config file; otherwise they last until the process restarts
+     */
+    async setCpuThrottle(throttle, { persist = false } = {}) {
+        const miner = this.getEngineMiner('cpu');
+        if (!miner) throw new Error('CPU engine is not available');
+        await miner.setThrottle(throttle, { persist });
+        if (persist && typeof this.config.save === 'function') {
+            await this.config.save();
+        }
+        return this.getCpuThrottle();
+    }
+
+    /**
+     * Engines mining a session
+     */
+    getSessionEngines(session) {
+        if (Array.isArray(session?.engines) && session.engines.length > 0) {
+            return session.engines;
         }
+        return session?.miner ? [this.getMinerEngine(session.miner)].filter(Boolean) : [];
+    }
 
-        return null;
+    getSessionMiners(session) {
+        return this.getSessionEngines(session).map(engine => this.getEngineMiner(engine)).filter(Boolean);
     }
 
     /**
@@ -342,7 +585,7 @@ class MiningSystem {
             // Use a fixed timestamp for the entire mining session
             
             return {
-                ticket_data: this.config.get('mining.blockchain.defaultTicketData'),
+                ticket_data: this.config.get('mining.blockchain.defaultTicketData') ?? this.config.get('mining.default_ticket_data'),
                 leader_address: leaderAddress,
                 reward_address: this.config.get('mining.blockchain.defaultRewardAddress'),
                 block_height: blockHeight,
@@ -373,10 +616,15 @@ class MiningSystem {
                 return;
             }
 
+            this.engineFailover.reset();
+            this.engineWatchdog.stop();
+
             // Stop all active sessions
             for (const [sessionId, session] of this.sessions) {
                 if (session.status === 'running' && session.miner) {
-                    await session.miner.stop();
+                    for (const miner of this.getSessionMiners(session)) {
+                        await miner.stop();
+                    }
                     session.status = 'stopped';
                     this.logger.logMiningStop(sessionId, 'manual_stop');
                 }
@@ -390,6 +638,7 @@ class MiningSystem {
 
             // Clear run intent
             this.shouldRun = false;
+            this.blockchainDataManager.stopPolling();
 
             this.isRunning = false;
             this.currentSession = null;
@@ -424,8 +673,10 @@ class MiningSystem {
                 return { paused: true, sessionId: session.id };
             }
 
-            if (session.miner) {
-                await session.miner.stop();
+            this.engineFailover.reset();
+            this.engineWatchdog.stop();
+            for (const miner of this.getSessionMiners(session)) {
+                await miner.stop();
             }
 
             session.status = 'paused';
@@ -433,6 +684,7 @@ class MiningSystem {
 
             // Clear run intent while paused to block any auto restarts
             this.shouldRun = false;
+            this.blockchainDataManager.stopPolling();
 
             // Clear session timeouts to ensure no auto-restarts while paused
             for (const handle of this.sessionTimeouts.values()) {
@@ -477,6 +729,7 @@ class MiningSystem {
             // Start mining and reinstate timeout management
             await this.startMiningWithTimeout(sessionId);
             this.isRunning = true;
+            this.startJobPolling();
             this.logger.info('Mining session resumed', { sessionId });
             return { resumed: true, sessionId };
         } catch (error) {
@@ -535,86 +788,94 @@ class MiningSystem {
                 id: this.currentSession.id,
                 status: this.currentSession.status,
                 startTime: this.currentSession.startTime,
-                uptime: Date.now() - this.currentSession.startTime
+                uptime: Date.now() - this.currentSession.startTime,
+                blockHeight: this.currentSession.config?.block_height
             } : null,
             activeSessions: this.sessions.size,
-            performanceHistory: this.performanceHistory.slice(-10) // Last 10 entries
+            performanceHistory: this.performanceHistory.slice(-10), // Last 10 entries
+            broadcastQueue: this.blockchainBroadcaster.getQueueStats()
         };
 
-        // Get stats from active miners
-        if (this.currentSession && this.currentSession.miner) {
-            try {
-                const minerStats = await this.currentSession.miner.getStats();
-                if (minerStats) {
-                    // Ensure we have valid stats
-                    currentStats.hashRate = Math.max(0, minerStats.hashRate || 0);
-                    // Prefer aggregated session total hashes if available
-                    if (this.currentSession.meta && Number.isFinite(this.currentSession.meta.totalHashesAcc)) {
-                        // Also perform a delta catch-up in case metrics callback missed updates
-                        if (Number.isFinite(minerStats.totalHashes)) {
-                            const minerTotal = minerStats.totalHashes >>> 0;
-                            const last = this.currentSession.meta.lastMinerTotalHashes;
-                            if (typeof last === 'number' && Number.isFinite(last)) {
-                                if (minerTotal >= last) {
-                                    this.currentSession.meta.totalHashesAcc += (minerTotal - last);
-                                }
-                                // else: miner restarted; baseline will be updated below
-                            }
-                            this.currentSession.meta.lastMinerTotalHashes = minerTotal;
-                        }
-                        currentStats.totalHashes = Math.max(0, this.currentSession.meta.totalHashesAcc >>> 0);
-                        // Keep system-wide copy in sync
-                        this.stats.totalHashes = currentStats.totalHashes;
-                    } else {
-                        currentStats.totalHashes = Math.max(0, minerStats.totalHashes || 0);
+        // Get stats from active miners (one per engine in hybrid mode)
+        const session = this.currentSession;
+        const engines = session ? this.getSessionEngines(session) : [];
+        if (engines.length > 0) {
+            currentStats.hybrid = engines.length > 1;
+            currentStats.engines = {};
+            let hashRate = 0;
+            for (const engine of engines) {
+                const miner = this.getEngineMiner(engine);
+                if (!miner) continue;
+                try {
+                    const [minerStats, minerHealth] = await Promise.all([miner.getStats(), miner.getHealth()]);
+                    if (!minerStats) continue;
+                    const engineMeta = this.getEngineMeta(session, engine);
+                    // Delta catch-up in case metrics callback missed updates
+                    if (Number.isFinite(minerStats.totalHashes)) {
+                        this.accumulateHashes(session, engine, minerStats.totalHashes);
                     }
-                    // Prefer session-aggregated solutions (does not reset with miner restarts)
-                    if (this.currentSession.meta && Number.isFinite(this.currentSession.meta.solutionsAcc)) {
-                        currentStats.solutions = Math.max(0, this.currentSession.meta.solutionsAcc >>> 0);
-                        // Track miner's internal solutions for observability (do not aggregate to avoid double count)
-                        if (Number.isFinite(minerStats.solutions)) {
-                            this.currentSession.meta.lastMinerSolutions = minerStats.solutions >>> 0;
-                        }
-                    } else {
-                        currentStats.solutions = Math.max(0, minerStats.solutions || 0);
+                    // A stalled engine keeps reporting its last rate
+                    const stalled = this.engineWatchdog.isStalled(engine);
+                    const rate = stalled ? 0 : Math.max(0, minerStats.hashRate || 0);
+                    engineMeta.hashRate = rate;
+                    hashRate += rate;
+                    // Track miner's internal solutions for observability (do not aggregate to avoid double count)
+                    if (Number.isFinite(minerStats.solutions)) {
+                        session.meta.lastMinerSolutions = minerStats.solutions >>> 0;
                     }
-                    currentStats.startTime = this.currentSession.startTime;
+
+                    const lastNonce = Number.isFinite(minerStats.lastNonce) ? minerStats.lastNonce >>> 0 : null;
                     // System-level tracking of current nonce for visibility
-                    try {
-                        this.currentSession.meta = this.currentSession.meta || {};
-                        if (Number.isFinite(minerStats.lastNonce)) {
-                            this.currentSession.meta.currentNonce = minerStats.lastNonce >>> 0;
-                        }
-                    } catch {}
-                    
-                    // Add GPU/CPU breakdown if available
-                    if (minerStats.gpuHashRate !== undefined) {
-                        currentStats.gpuHashRate = Math.max(0, minerStats.gpuHashRate);
-                    } else if (this.gpuMiner && this.gpuMiner.isRunning) {
-                        // If GPU miner is running, use total hash rate as GPU hash rate
-                        currentStats.gpuHashRate = Math.max(0, minerStats.hashRate || 0);
+                    if (lastNonce !== null) {
+                        engineMeta.lastNonce = lastNonce;
+                        session.meta.currentNonce = lastNonce;
                     }
-                    if (minerStats.cpuHashRate !== undefined) {
-                        currentStats.cpuHashRate = Math.max(0, minerStats.cpuHashRate);
-                    } else if (this.cpuMiner && this.cpuMiner.isRunning) {
-                        // If CPU miner is running, use total hash rate as CPU hash rate
-                        currentStats.cpuHashRate = Math.max(0, minerStats.hashRate || 0);
+                    currentStats.engines[engine] = {
+                        miner: miner.constructor.name,
+                        hashRate: rate,
+                        totalHashes: engineMeta.totalHashes,
+                        solutions: engineMeta.solutions,
+                        lastNonce,
+                        stalled,
+                        activeLeases: typeof miner.getActiveLeases === 'function' ? miner.getActiveLeases() : [],
+                        health: minerHealth || null
+                    };
+                    if (minerStats.devices) {
+                        currentStats.engines[engine].devices = minerStats.devices;
                     }
                     if (minerStats.gpuCapabilities) {
                         currentStats.gpuCapabilities = minerStats.gpuCapabilities;
                     }
-                    
-                    // Log stats for debugging
-                    this.logger.debug('Mining stats updated', {
-                        hashRate: currentStats.hashRate,
-                        gpuHashRate: currentStats.gpuHashRate,
-                        cpuHashRate: currentStats.cpuHashRate,
-                        totalHashes: currentStats.totalHashes
-                    });
+                } catch (error) {
+                    this.logger.error('Failed to get miner stats', { engine, error: error.message });
+                    currentStats.engines[engine] = {
+                        miner: miner.constructor.name,
+                        health: { status: 'error', error: error.message }
+                    };
                 }
-            } catch (error) {
-                this.logger.error('Failed to get miner stats', { error: error.message });
             }
+
+            currentStats.hashRate = hashRate;
+            currentStats.gpuHashRate = currentStats.engines.gpu?.hashRate ?? 0;
+            currentStats.cpuHashRate = currentStats.engines.cpu?.hashRate ?? 0;
+            // Prefer aggregated session totals (they do not reset with miner restarts)
+            currentStats.totalHashes = Math.max(0, session.meta.totalHashesAcc || 0);
+            currentStats.solutions = Math.max(0, session.meta.solutionsAcc || 0);
+            currentStats.startTime = session.startTime;
+            currentStats.nonceRollovers = session.meta.nonceRollovers || 0;
+            currentStats.rollover = this.getRolloverStats(session);
+            // How much of the current job's 2^32 nonce space has been searched
+            currentStats.nonceCoverage = this.nonceAllocator.getCoverage(session.config);
+            currentStats.failover = this.engineFailover.getStatus();
+            currentStats.watchdog = this.engineWatchdog.getStatus(session);
+
+            // Log stats for debugging
+            this.logger.debug('Mining stats updated', {
+                hashRate: currentStats.hashRate,
+                gpuHashRate: currentStats.gpuHashRate,
+                cpuHashRate: currentStats.cpuHashRate,
+                totalHashes: currentStats.totalHashes
+            });
         }
 
         return currentStats;
@@ -647,8 +908,11 @@ class MiningSystem {
     /**
      * Handle solution found
      * معالجة الحل الموجود
+     * @param {string} sessionId
+     * @param {Object} solution - { nonce, hash, header, workerId? }
+     * @param {string} [engine] - Engine that found it ('gpu' or 'cpu')
      */
-    async handleSolution(sessionId, solution) {
+    async handleSolution(sessionId, solution, engine) {
         try {
             // Log solution received
             this.logger.debug('Solution received for processing', {
@@ -704,6 +968,7 @@ class MiningSystem {
                 const session = this.sessions.get(sessionId);
                 if (session && session.meta) {
                     session.meta.solutionsAcc = (session.meta.solutionsAcc || 0) + 1;
+                    if (engine) this.getEngineMeta(session, engine).solutions++;
                 }
             } catch {}
             
@@ -715,10 +980,14 @@ class MiningSystem {
             const targetDifficultyLevel = this.calculateTargetDifficultyLevel(targetDifficulty);
 
             // Save solution
-            await this.saveSolution(solution);
+            const record = await this.saveSolution(solution, sessionId, {
+                ...(engine ? { engine } : {}),
+                difficultyBits: solutionDifficulty,
+                isTarget: solutionDifficulty >= targetDifficultyLevel
+            });
 
             // Broadcast solution (both target and sub-solutions)
-            await this.broadcastSolution(solution);
+            await this.broadcastSolution(solution, sessionId, record);
 
             // Log broadcast confirmation
             this.logger.debug('Solution processed and broadcasted', {
@@ -757,8 +1026,11 @@ class MiningSystem {
     /**
      * Handle miner-level errors and lifecycle events
      * يعالج أخطاء محرك التعدين على مستوى منخفض
+     * @param {string} sessionId
+     * @param {Object} err - { type, error, ... }
+     * @param {string} [engine] - Engine that reported it ('gpu' or 'cpu')
      */
-    async handleMinerError(sessionId, err) {
+    async handleMinerError(sessionId, err, engine) {
         try {
             const session = this.sessions.get(sessionId);
             if (!session) {
@@ -767,45 +1039,239 @@ class MiningSystem {
             }
 
             const type = err && err.type ? err.type : 'unknown_error';
-            this.logger.debug('Miner error callback', { sessionId, type, error: err && err.error });
+            this.logger.debug('Miner error callback', { sessionId, engine, type, error: err && err.error });
 
             if (type === 'nonce_exhausted') {
-                // Perform nonce rollover at system level and restart miner
-                session.meta = session.meta || {};
-                session.meta.nonceRollovers = (session.meta.nonceRollovers || 0) + 1;
-                session.meta.currentNonce = 0;
-
-                if (session.config) {
-                    session.config.timestamp = Math.floor(Date.now() / 1000);
-                    session.config.base_nonce = 0;
+                this.logger.info('Nonce space exhausted. Performing rollover', { sessionId, engine });
+                await this.rollJob(session);
+                return;
+            }
+
+            // Other errors: the miner recovers on its own; crashes also count
+            // toward the engine's failover budget (engines.<name>.fallback)
+            this.stats.errors++;
+            this.logger.warn('Miner error', { sessionId, engine, type, err });
+            this.engineFailover.recordFailure(session, engine, err);
+        } catch (e) {
+            this.logger.error('handleMinerError failed', { sessionId, error: e.message });
+        }
+    }
+
+    /**
+     * Nonce coverage of the current job and of recent jobs
+     * تغطية نطاق الـ nonce للمهمة الحالية والمهام الأخيرة
+     */
+    getNonceCoverage() {
+        const session = this.currentSession;
+        return {
+            current: session?.config ? this.nonceAllocator.getCoverage(session.config) : null,
+            jobs: this.nonceAllocator.listCoverage(),
+            activeLeases: this.nonceAllocator.getActiveLeases(),
+            rollover: session ? this.getRolloverStats(session) : null
+        };
+    }
+
+    /**
+     * The allocator has no range left to lease for a job: roll the session
+     * that mines it over to a fresh timestamp
+     */
+    handleNonceDrained(coverage) {
+        const session = this.currentSession;
+        if (!session || !session.config) return;
+        if (coverage.jobKey !== this.nonceAllocator.jobKey(session.config)) return;
+        // Called from inside a lease request; roll once it has returned
+        setImmediate(() => {
+            this.rollJob(session).catch(error => {
+                this.logger.error('Nonce rollover failed', { sessionId: session.id, error: error.message });
+            });
+        });
+    }
+
+    /**
+     * Next job of a session: same leader and height, next timestamp
+     * (a new header prefix, so a fresh 2^32 nonce space)
+     */
+    buildNextJobConfig(config) {
+        const previous = config.timestamp || 0;
+        const next = {
+            ...config,
+            timestamp: Math.max(Math.floor(Date.now() / 1000), previous + 1),
+            base_nonce: 0
+        };
+        // Throws on a config the miners would reject, before anything depends on it
+        buildHeaderPrefix(next);
+        return next;
+    }
+
+    /**
+     * Stage the next job once the unleased part of the current one falls to
+     * `mining.nonce.prestageThreshold` of the nonce space
+     */
+    maybeStageNextJob(session) {
+        if (session !== this.currentSession || session.stagedJob || !session.config) return;
+        if (!this.shouldRun || session.status === 'paused') return;
+        const coverage = this.nonceAllocator.getCoverage(session.config);
+        if (!coverage) return;
+        const threshold = Number(this.config.get('mining.nonce.prestageThreshold', 0.125));
+        if (coverage.unleased > coverage.space * threshold) return;
+        this.stageNextJob(session);
+    }
+
+    /**
+     * Compute the next job ahead of time and hand it to the engines, which
+     * switch to it on their own when the current job has nothing left to lease
+     * تجهيز المهمة التالية مسبقًا قبل استنفاد نطاق الـ nonce
+     */
+    stageNextJob(session) {
+        try {
+            const config = this.buildNextJobConfig(session.config);
+            session.stagedJob = {
+                config,
+                jobKey: this.nonceAllocator.jobKey(config),
+                fromJobKey: this.nonceAllocator.jobKey(session.config),
+                stagedAt: Date.now()
+            };
+            for (const miner of this.getSessionMiners(session)) {
+                if (typeof miner.stageJob === 'function') {
+                    try { miner.stageJob(config); } catch {}
                 }
+            }
+            this.logger.info('Next nonce job staged', {
+                sessionId: session.id,
+                timestamp: config.timestamp,
+                jobKey: session.stagedJob.jobKey
+            });
+            return session.stagedJob;
+        } catch (error) {
+            this.logger.warn('Failed to stage next nonce job', { sessionId: session.id, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Drop a staged job that no longer follows the current one (retarget)
+     */
+    clearStagedJob(session) {
+        if (!session.stagedJob) return;
+        session.stagedJob = null;
+        for (const miner of this.getSessionMiners(session)) {
+            if (typeof miner.stageJob === 'function') {
+                try { miner.stageJob(null); } catch {}
+            }
+        }
+    }
 
-                this.logger.info('Nonce space exhausted. Performing rollover and restarting miner', { sessionId });
+    /**
+     * Start a new job with the next timestamp once the nonce space is searched,
+     * and hand it to every engine of the session
+     * تدوير المهمة بطابع زمني جديد عند استنفاد نطاق الـ nonce
+     */
+    async rollJob(session) {
+        if (this.rollingJob) return false;
+        this.rollingJob = true;
+        const startedAt = Date.now();
+        try {
+            session.meta = session.meta || {};
+            session.meta.nonceRollovers = (session.meta.nonceRollovers || 0) + 1;
+            session.meta.currentNonce = 0;
+            // The staged job is used if it still follows the current one
+            const staged = session.stagedJob;
+            const useStaged = !!(staged && staged.fromJobKey === this.nonceAllocator.jobKey(session.config));
+            const previousTimestamp = session.config.timestamp;
+            session.config = useStaged ? staged.config : this.buildNextJobConfig(session.config);
+            session.stagedJob = null;
+
+            // Only restart if user intends to run and session isn't paused
+            if (!this.shouldRun || session.status === 'paused') {
+                this.logger.info('Skipping miner restart after nonce rollover due to pause/shouldRun=false', { sessionId: session.id });
+                return false;
+            }
 
+            let restarted = false;
+            for (const engine of this.getSessionEngines(session)) {
+                const miner = this.getEngineMiner(engine);
+                if (!miner) continue;
                 try {
-                    // Only restart if user intends to run and session isn't paused
-                    if (this.shouldRun && session.status !== 'paused') {
-                        await session.miner.start(session);
-                        session.status = 'running';
-                        // Track successful system-level restart due to nonce rollover
-                        this.stats.restarts++;
-                    } else {
-                        this.logger.info('Skipping miner restart after nonce rollover due to pause/shouldRun=false', { sessionId });
+                    // Miners still alive take the rolled job in place (a no-op
+                    // for engines already on the staged job)
+                    const switched = miner.isRunning && typeof miner.updateJob === 'function'
+                        ? await miner.updateJob(session)
+                        : false;
+                    if (!switched) {
+                        await miner.start(session);
+                        restarted = true;
                     }
                 } catch (e) {
-                    this.logger.error('Failed to restart miner after nonce rollover', { sessionId, error: e.message });
+                    this.logger.error('Failed to restart miner after nonce rollover', { sessionId: session.id, engine, error: e.message });
                 }
-                return;
             }
+            session.status = 'running';
+            // Track successful system-level restart due to nonce rollover
+            this.stats.restarts++;
+            const switchMs = Date.now() - startedAt;
+            this.recordRollover(session, {
+                at: startedAt,
+                fromTimestamp: previousTimestamp,
+                toTimestamp: session.config.timestamp,
+                staged: useStaged,
+                stagedAheadMs: useStaged ? startedAt - staged.stagedAt : null,
+                restarted,
+                switchMs
+            });
+            this.logger.info('Nonce rollover: mining next timestamp', {
+                sessionId: session.id,
+                timestamp: session.config.timestamp,
+                rollovers: session.meta.nonceRollovers,
+                staged: useStaged,
+                switchMs
+            });
+            return true;
+        } finally {
+            this.rollingJob = false;
+        }
+    }
 
-            // Other errors: just log; miner may auto-recover based on its own logic
-            this.stats.errors++;
-            this.logger.warn('Unhandled miner error (no system action taken)', { sessionId, type, err });
-        } catch (e) {
-            this.logger.error('handleMinerError failed', { sessionId, error: e.message });
+    /**
+     * Per-session rollover counters and switch latency
+     */
+    recordRollover(session, entry) {
+        const rollover = session.meta.rollover || (session.meta.rollover = {
+            count: 0,
+            staged: 0,
+            restarts: 0,
+            lastSwitchMs: null,
+            maxSwitchMs: 0,
+            totalSwitchMs: 0,
+            history: []
+        });
+        rollover.count++;
+        if (entry.staged) rollover.staged++;
+        if (entry.restarted) rollover.restarts++;
+        rollover.lastSwitchMs = entry.switchMs;
+        rollover.maxSwitchMs = Math.max(rollover.maxSwitchMs, entry.switchMs);
+        rollover.totalSwitchMs += entry.switchMs;
+        rollover.history.push(entry);
+        if (rollover.history.length > 20) {
+            rollover.history = rollover.history.slice(-20);
         }
     }
 
+    getRolloverStats(session) {
+        const rollover = session.meta?.rollover;
+        return {
+            count: rollover ? rollover.count : 0,
+            staged: rollover ? rollover.staged : 0,
+            restarts: rollover ? rollover.restarts : 0,
+            lastSwitchMs: rollover ? rollover.lastSwitchMs : null,
+            avgSwitchMs: rollover && rollover.count > 0 ? Math.round(rollover.totalSwitchMs / rollover.count) : null,
+            maxSwitchMs: rollover ? rollover.maxSwitchMs : null,
+            nextJob: session.stagedJob
+                ? { timestamp: session.stagedJob.config.timestamp, jobKey: session.stagedJob.jobKey, stagedAt: session.stagedJob.stagedAt }
+                : null,
+            history: rollover ? rollover.history.slice(-5) : []
+        };
+    }
+
     /**
      * Calculate solution difficulty level (number of leading zeros)
      * حساب مستوى صعوبة الحل (عدد الأصفار في البداية)
@@ -865,77 +1331,201 @@ class MiningSystem {
     }
 
     /**
-     * Save solution to file
-     * حفظ الحل في ملف
+     * Record a found solution in the solution ledger
+     * حفظ الحل في سجل الحلول
+     * @returns {Promise<Object|null>} Ledger record
      */
-    async saveSolution(solution) {
+    async saveSolution(solution, sessionId, extra = {}) {
         try {
-            const solutionsPath = this.config.get('storage.paths.solutions');
-            await fs.ensureDir(solutionsPath);
-
-            const filename = `solution_${Date.now()}.json`;
-            const filepath = path.join(solutionsPath, filename);
-
-            const solutionData = {
-                ...solution,
-                timestamp: new Date().toISOString(),
-                sessionId: this.currentSession?.id
-            };
+            const session = this.sessions.get(sessionId) || this.currentSession;
+            const miner = session?.miner;
+            // The ticket itself is authoritative (a stale job may differ from the session)
+            let ticket = null;
+            try {
+                ticket = decodeTicket(solution.header);
+            } catch {}
+            const record = await this.solutionLedger.record({
+                sessionId: session?.id || sessionId,
+                engine: miner ? this.getMinerEngine(miner) : null,
+                workerId: solution.workerId ?? null,
+                blockHeight: ticket ? ticket.block_height : (session?.config?.block_height ?? null),
+                leaderAddress: ticket ? ticket.leader_address : (session?.config?.leader_address ?? null),
+                nonce: solution.nonce,
+                hash: solution.hash,
+                header: solution.header,
+                ...extra
+            });
 
-            await fs.writeFile(filepath, JSON.stringify(solutionData, null, 2));
-            
-            this.logger.debug('Solution saved to file', { 
+            this.logger.debug('Solution recorded in ledger', {
                 component: 'MiningSystem',
-                filename, 
+                solutionId: record.id,
                 nonce: solution.nonce,
-                hash: solution.hash,
-                note: 'Solution data saved locally'
+                hash: solution.hash
             });
+            return record;
 
         } catch (error) {
             this.logger.error('Failed to save solution', { error: error.message });
+            return null;
         }
     }
 
+    /**
+     * Record the final broadcast status of a queued ticket in the ledger
+     */
+    recordBroadcastOutcome(ticket) {
+        if (!ticket || !ticket.solutionId) return;
+        const attempts = Array.isArray(ticket.attempts) ? ticket.attempts : [];
+        const lastError = [...attempts].reverse().find(a => !a.ok);
+        this.solutionLedger.update(ticket.solutionId, {
+            status: ticket.status,
+            ticketId: ticket.id,
+            attempts: ticket.attemptCount ?? attempts.length,
+            response: ticket.response ?? null,
+            error: ticket.status === 'sent' ? null : (lastError?.error ?? null)
+        }).catch(error => {
+            this.logger.warn('Failed to record broadcast outcome', { error: error.message });
+        });
+    }
+
     /**
      * Broadcast solution to blockchain
+     * Tickets go through the persistent broadcast queue, which retries with backoff
+     * until the node accepts them.
      */
-    async broadcastSolution(solution) {
+    async broadcastSolution(solution, sessionId, record = null) {
         try {
             // Log broadcast start
             this.logger.debug('Starting solution broadcast', {
                 component: 'MiningSystem',
                 nonce: solution.nonce,
                 hash: solution.hash,
-                note: 'Initiating blockchain broadcast'
+                note: 'Queueing for blockchain broadcast'
             });
 
+            const session = this.sessions.get(sessionId) || this.currentSession;
+            const ticket = await this.blockchainBroadcaster.submitSolution(solution, {
+                sessionId: sessionId || this.currentSession?.id,
+                blockHeight: session?.config?.block_height,
+                solutionId: record?.id
+            });
 
-            // Broadcast to blockchain
-            const success = await this.blockchainBroadcaster.broadcastSupportTicket(solution);
-            
-            if (success) {
-                this.logger.debug('Solution broadcasted successfully to blockchain', { 
-                    component: 'MiningSystem',
+            if (!ticket) {
+                // best-only mode already holds or sent a lower hash for this height
+                await this.solutionLedger.update(record?.id, { status: 'skipped' });
+                return;
+            }
+
+            // The queue may already have settled the ticket
+            if (record && this.solutionLedger.get(record.id)?.status === 'found') {
+                await this.solutionLedger.update(record.id, { status: 'queued', ticketId: ticket.id });
+            }
+
+            this.logger.debug('Solution queued for blockchain broadcast', {
+                component: 'MiningSystem',
+                ticketId: ticket.id,
+                nonce: solution.nonce,
+                hash: solution.hash
+            });
+
+        } catch (error) {
+            if (error.reason) {
+                // Rejected by ticket validation (e.g. stale job after a switch); never sent
+                this.logger.warn('Solution rejected before broadcast', {
+                    reason: error.reason,
+                    error: error.message,
+                    details: error.details,
                     nonce: solution.nonce,
-                    hash: solution.hash,
-                    note: 'Blockchain broadcast completed successfully'
+                    hash: solution.hash
                 });
-            } else {
-                this.logger.error('Failed to broadcast solution to blockchain', { 
-                    component: 'MiningSystem',
-                    nonce: solution.nonce,
-                    hash: solution.hash,
-                    note: 'Blockchain broadcast failed'
+                await this.solutionLedger.update(record?.id, {
+                    status: 'invalid',
+                    reason: error.reason,
+                    error: error.message
                 });
+                return;
             }
-
-        } catch (error) {
             this.logger.error('Failed to broadcast solution', { 
                 error: error.message,
                 nonce: solution.nonce,
                 hash: solution.hash
             });
+            await this.solutionLedger.update(record?.id, { status: 'error', error: error.message });
+        }
+    }
+
+    /**
+     * Start polling the node for leader/height changes
+     * بدء مراقبة تغيّر القائد أو ارتفاع الكتلة
+     */
+    startJobPolling() {
+        if (!this.config.get('mining.retarget.enabled', true)) {
+            return;
+        }
+        const intervalMs = this.config.get('mining.retarget.pollIntervalMs', 15000);
+        this.blockchainDataManager.startPolling(intervalMs, (job) => this.retarget(job));
+    }
+
+    /**
+     * Hot-switch the running session to a new leader/height
+     * Rebuilds the header prefix and resets the nonce without tearing down the session
+     * التبديل الفوري لمهمة التعدين عند تغيّر القائد أو الارتفاع
+     */
+    async retarget({ leaderAddress, blockHeight }) {
+        const session = this.currentSession;
+        if (!session || session.status !== 'running' || !this.shouldRun) {
+            return false;
+        }
+        if (session.config.leader_address === leaderAddress && session.config.block_height === blockHeight) {
+            return false;
+        }
+
+        try {
+            const previousHeight = session.config.block_height;
+            session.config = {
+                ...session.config,
+                leader_address: leaderAddress,
+                block_height: blockHeight,
+                timestamp: Math.floor(Date.now() / 1000),
+                base_nonce: 0
+            };
+            session.meta = session.meta || {};
+            session.meta.currentNonce = 0;
+            session.meta.nonceRollovers = 0;
+            session.meta.jobSwitches = (session.meta.jobSwitches || 0) + 1;
+            // A staged timestamp roll belongs to the previous leader/height
+            this.clearStagedJob(session);
+
+            let switched = true;
+            for (const engine of this.getSessionEngines(session)) {
+                const miner = this.getEngineMiner(engine);
+                if (!miner) continue;
+                // Engines lease their ranges of the new job from the shared allocator
+                const hot = typeof miner.updateJob === 'function'
+                    ? await miner.updateJob(session)
+                    : false;
+
+                if (!hot) {
+                    // Engine can't take a live job: restart only the miner with the new config
+                    await miner.stop();
+                    await miner.start(session);
+                }
+                switched = switched && hot;
+            }
+
+            this.stats.jobSwitches++;
+            this.logger.info('🔁 Mining job switched', {
+                sessionId: session.id,
+                leaderAddress,
+                blockHeight,
+                previousHeight,
+                hot: switched
+            });
+            this.emit('jobSwitch', { sessionId: session.id, leaderAddress, blockHeight, previousHeight });
+            return true;
+        } catch (error) {
+            this.logger.error('Failed to switch mining job', { sessionId: session.id, error: error.message });
+            return false;
         }
     }
 
@@ -1174,10 +1764,34 @@ class MiningSystem {
             activeSessions: this.sessions.size
         };
 
-        // Check miner health
-        if (this.currentSession && this.currentSession.miner) {
-            const minerHealth = await this.currentSession.miner.getHealth();
+        const failover = this.engineFailover.getStatus();
+        if (failover.state !== 'normal') {
+            health.failover = failover;
+        }
+
+        const watchdog = this.engineWatchdog.getStatus(this.currentSession);
+        if (watchdog.stalled.length > 0) {
+            health.watchdog = watchdog;
+        }
+
+        // Check miner health (per engine; hybrid sessions report both)
+        const engines = this.currentSession ? this.getSessionEngines(this.currentSession) : [];
+        if (engines.length === 1) {
+            const minerHealth = await this.getEngineMiner(engines[0]).getHealth();
             Object.assign(health, minerHealth);
+            health.engines = { [engines[0]]: minerHealth };
+        } else if (engines.length > 1) {
+            health.hybrid = true;
+            health.engines = {};
+            health.hashRate = 0;
+            health.solutions = 0;
+            for (const engine of engines) {
+                const minerHealth = await this.getEngineMiner(engine).getHealth();
+                health.engines[engine] = minerHealth;
+                health.hashRate += minerHealth.hashRate || 0;
+                health.solutions += minerHealth.solutions || 0;
+                if (minerHealth.workers !== undefined) health.workers = minerHealth.workers;
+            }
         }
 
         return health;
@@ -1192,9 +1806,16 @@ class MiningSystem {
             this.logger.info('Cleaning up mining system...');
 
             // Stop all miners
-            if (this.gpuMiner) await this.gpuMiner.cleanup();
-            if (this.cpuMiner) await this.cpuMiner.cleanup();
-    
+            this.scheduler.stop();
+            this.engineFailover.reset();
+            this.engineWatchdog.stop();
+            await this.engineRegistry.cleanupAll();
+
+            this.blockchainDataManager.stopPolling();
+
+            // Stop retrying queued broadcasts (pending tickets stay on disk)
+            await this.blockchainBroadcaster.shutdown();
+            await this.solutionLedger.flush();
 
             // Save state
             await this.saveState();
@@ -0,0 +1,264 @@
+/**
+ * Nonce Allocator
+ * موزّع نطاقات الـ nonce
+ *
+ * Hands out fixed-size nonce leases per job (header prefix) so CPU workers and
+ * the WebGPU child never search the same range twice. Unfinished leases are
+ * reclaimed when their holder dies or stops, and searched ranges are merged
+ * into an exact per-job coverage of the 2^32 nonce space.
+ */
+
+const crypto = require('crypto');
+const { buildHeaderPrefix } = require('../utils/hashingUtils');
+
+const NONCE_SPACE = 0x100000000;
+// Coverage is kept for this many recent jobs
+const MAX_JOBS = 32;
+
+class NonceAllocator {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.logger] - Logger instance
+     * @param {Function} [options.onDrained] - (coverage) => void, called once per job
+     *   when a lease is requested and no range is left to hand out
+     */
+    constructor(options = {}) {
+        this.logger = options.logger;
+        this.onDrained = options.onDrained || null;
+
+        this.jobs = new Map();
+        this.leases = new Map();
+        this.nextLeaseId = 1;
+    }
+
+    /**
+     * Identify a job by its header prefix (everything the nonce is hashed with)
+     */
+    jobKey(config) {
+        return crypto.createHash('sha256').update(buildHeaderPrefix(config)).digest('hex').slice(0, 16);
+    }
+
+    getJob(config, create = true) {
+        const key = this.jobKey(config);
+        let job = this.jobs.get(key);
+        if (!job && create) {
+            job = {
+                key,
+                blockHeight: config.block_height ?? null,
+                leaderAddress: config.leader_address ?? null,
+                timestamp: config.timestamp ?? null,
+                createdAt: Date.now(),
+                cursor: 0,
+                reclaimed: [],
+                searched: [],
+                searchedCount: 0,
+                active: new Set(),
+                leasesGranted: 0,
+                leasesReclaimed: 0,
+                drained: false
+            };
+            this.jobs.set(key, job);
+            this.pruneJobs();
+        }
+        return job || null;
+    }
+
+    /**
+     * Lease the next range of a job; reclaimed ranges are handed out first
+     * @param {Object} config - Job config (the header prefix fields)
+     * @param {string} owner - Lease holder, e.g. 'cpu:3' or 'gpu'
+     * @param {number} size - Nonces per lease
+     * @returns {{id: number, jobKey: string, start: number, end: number}|null}
+     *   null when the whole space of the job is searched or leased
+     */
+    acquire(config, owner, size) {
+        const job = this.getJob(config);
+        size = Math.max(1, Math.min(NONCE_SPACE, Math.floor(size) || 1));
+
+        let start;
+        let end;
+        if (job.reclaimed.length > 0) {
+            const range = job.reclaimed.shift();
+            start = range.start;
+            end = Math.min(range.end, start + size - 1);
+            if (end < range.end) {
+                job.reclaimed.unshift({ start: end + 1, end: range.end });
+            }
+        } else if (job.cursor < NONCE_SPACE) {
+            start = job.cursor;
+            end = Math.min(NONCE_SPACE - 1, start + size - 1);
+            job.cursor = end + 1;
+        } else {
+            if (!job.drained) {
+                job.drained = true;
+                this.logger?.info('Nonce space of job fully leased', { jobKey: job.key, blockHeight: job.blockHeight });
+                if (this.onDrained) {
+                    try { this.onDrained(this.summarize(job)); } catch {}
+                }
+            }
+            return null;
+        }
+
+        const lease = { id: this.nextLeaseId++, jobKey: job.key, owner, start, end, progress: start - 1, grantedAt: Date.now() };
+        this.leases.set(lease.id, lease);
+        job.active.add(lease.id);
+        job.leasesGranted++;
+        return { id: lease.id, jobKey: job.key, start, end };
+    }
+
+    /**
+     * Record the last nonce a holder has searched in its lease
+     */
+    progress(id, lastNonce) {
+        const lease = this.leases.get(id);
+        if (!lease || !Number.isFinite(lastNonce)) return;
+        lease.progress = Math.max(lease.progress, Math.min(lease.end, lastNonce));
+    }
+
+    /**
+     * The holder searched its whole lease (or up to lastNonce)
+     */
+    complete(id, lastNonce) {
+        const lease = this.leases.get(id);
+        if (!lease) return;
+        this.progress(id, Number.isFinite(lastNonce) ? lastNonce : lease.end);
+        this.settle(lease);
+    }
+
+    /**
+     * Give a lease back: the searched part counts as covered, the rest is
+     * reclaimed for the next holder
+     */
+    release(id) {
+        const lease = this.leases.get(id);
+        if (!lease) return;
+        this.settle(lease);
+    }
+
+    /**
+     * Release every lease held by an owner (e.g. a worker that died)
+     * @returns {number} Number of leases released
+     */
+    releaseOwner(owner) {
+        let released = 0;
+        for (const lease of [...this.leases.values()]) {
+            if (lease.owner === owner) {
+                this.settle(lease);
+                released++;
+            }
+        }
+        return released;
+    }
+
+    settle(lease) {
+        this.leases.delete(lease.id);
+        const job = this.jobs.get(lease.jobKey);
+        if (!job) return;
+        job.active.delete(lease.id);
+        this.markSearched(job, lease.start, lease.progress);
+        if (lease.progress < lease.end) {
+            this.reclaim(job, lease.progress + 1, lease.end);
+        }
+    }
+
+    reclaim(job, start, end) {
+        const index = job.reclaimed.findIndex(r => r.start > start);
+        job.reclaimed.splice(index === -1 ? job.reclaimed.length : index, 0, { start, end });
+        job.leasesReclaimed++;
+        job.drained = false;
+    }
+
+    /**
+     * Merge [start, end] into the job's searched intervals
+     */
+    markSearched(job, start, end) {
+        if (end < start) return;
+        const merged = [];
+        let s = start;
+        let e = end;
+        let inserted = false;
+        for (const range of job.searched) {
+            if (range.end + 1 < s) {
+                merged.push(range);
+            } else if (e + 1 < range.start) {
+                if (!inserted) {
+                    merged.push({ start: s, end: e });
+                    inserted = true;
+                }
+                merged.push(range);
+            } else {
+                s = Math.min(s, range.start);
+                e = Math.max(e, range.end);
+            }
+        }
+        if (!inserted) merged.push({ start: s, end: e });
+        job.searched = merged;
+        job.searchedCount = merged.reduce((n, range) => n + (range.end - range.start + 1), 0);
+    }
+
+    /**
+     * Coverage of one job, or null if it was never leased
+     */
+    getCoverage(config) {
+        const job = config ? this.getJob(config, false) : null;
+        return job ? this.summarize(job) : null;
+    }
+
+    /**
+     * Coverage of recent jobs, newest first
+     */
+    listCoverage() {
+        return [...this.jobs.values()].reverse().map(job => this.summarize(job));
+    }
+
+    /**
+     * Active leases, optionally for one owner prefix ('cpu', 'gpu')
+     */
+    getActiveLeases(ownerPrefix) {
+        return [...this.leases.values()]
+            .filter(l => !ownerPrefix || l.owner === ownerPrefix || l.owner.startsWith(`${ownerPrefix}:`))
+            .map(({ id, jobKey, owner, start, end, progress, grantedAt }) => ({ id, jobKey, owner, start, end, progress, grantedAt }));
+    }
+
+    summarize(job) {
+        let inProgress = 0;
+        for (const id of job.active) {
+            const lease = this.leases.get(id);
+            if (lease) inProgress += lease.progress - lease.start + 1;
+        }
+        const reclaimed = job.reclaimed.reduce((n, r) => n + (r.end - r.start + 1), 0);
+        return {
+            jobKey: job.key,
+            blockHeight: job.blockHeight,
+            leaderAddress: job.leaderAddress,
+            timestamp: job.timestamp,
+            createdAt: job.createdAt,
+            space: NONCE_SPACE,
+            searched: job.searchedCount,
+            inProgress,
+            coverage: job.searchedCount / NONCE_SPACE,
+            unleased: (NONCE_SPACE - job.cursor) + reclaimed,
+            reclaimed,
+            activeLeases: job.active.size,
+            leasesGranted: job.leasesGranted,
+            leasesReclaimed: job.leasesReclaimed,
+            searchedRanges: job.searched.length,
+            complete: job.searchedCount === NONCE_SPACE,
+            drained: job.drained
+        };
+    }
+
+    /**
+     * Forget the oldest jobs that no longer hold leases
+     */
+    pruneJobs() {
+        for (const [key, job] of this.jobs) {
+            if (this.jobs.size <= MAX_JOBS) break;
+            if (job.active.size === 0) this.jobs.delete(key);
+        }
+    }
+}
+
+NonceAllocator.NONCE_SPACE = NONCE_SPACE;
+
+module.exports = NonceAllocator;
@@ -0,0 +1,303 @@
+const axios = require('axios');
+
+/**
+ * RPC Client
+ * Shared JSON-RPC client for one or more KBUC nodes.
+ * Tracks latency and error rate per endpoint, orders endpoints by health
+ * score and fails over to the next endpoint on transport errors.
+ */
+class RpcClient {
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger;
+
+        const rpcConfig = config.get('rpc', {}) || {};
+        const failover = rpcConfig.failover || {};
+
+        this.timeout = rpcConfig.timeout || 30000;
+        this.fanout = !!rpcConfig.fanout;
+        this.maxFailures = failover.maxFailures || 3;
+        this.cooldownMs = failover.cooldownMs ?? 30000;
+
+        const list = Array.isArray(rpcConfig.endpoints) && rpcConfig.endpoints.length > 0
+            ? rpcConfig.endpoints
+            : [rpcConfig];
+        this.endpoints = list.map((entry, index) => this.createEndpoint(entry, rpcConfig, index));
+        this.requestId = 0;
+    }
+
+    /**
+     * Normalize an endpoint entry (string URL or {host, port, user, password})
+     * تهيئة بيانات نقطة الاتصال
+     */
+    createEndpoint(entry, defaults, index) {
+        const spec = typeof entry === 'string' ? { host: entry } : { ...entry };
+        let host = spec.url || spec.host;
+        if (!host) {
+            throw new Error(`RPC endpoint ${index} is missing host`);
+        }
+        const port = spec.port ?? (spec.url ? undefined : defaults.port);
+        let user = spec.user ?? (entry === defaults ? defaults.user : '');
+        let password = spec.password ?? (entry === defaults ? defaults.password : '');
+
+        if (!/^https?:\/\//.test(host)) {
+            // Ensure proper protocol
+            host = `${port === 443 ? 'https://' : 'http://'}${host}`;
+        }
+
+        const url = new URL(host);
+        if (!url.port && port) {
+            url.port = String(port);
+        }
+        // Credentials embedded in the URL take effect unless given explicitly
+        if (url.username) {
+            user = user || decodeURIComponent(url.username);
+            password = password || decodeURIComponent(url.password);
+            url.username = '';
+            url.password = '';
+        }
+
+        const rpcUrl = url.pathname === '/' ? url.origin : `${url.origin}${url.pathname}`;
+        const headers = { 'Content-Type': 'application/json' };
+        if (user && password) {
+            headers['Authorization'] = `Basic ${Buffer.from(`${user}:${password}`).toString('base64')}`;
+        }
+
+        return {
+            name: spec.name || url.host,
+            url: rpcUrl,
+            headers,
+            stats: {
+                requests: 0,
+                errors: 0,
+                consecutiveFailures: 0,
+                latencyMs: null,
+                successRate: 1,
+                lastSuccessAt: null,
+                lastErrorAt: null,
+                lastError: null,
+                cooldownUntil: 0
+            }
+        };
+    }
+
+    /**
+     * Health score in [0, 1]: success rate weighted by latency
+     * @param {Object} endpoint - Endpoint record
+     * @returns {number} Score (higher is better)
+     */
+    score(endpoint) {
+        const { successRate, latencyMs } = endpoint.stats;
+        const latency = latencyMs === null ? 0 : latencyMs;
+        return successRate * (1000 / (1000 + latency));
+    }
+
+    /**
+     * Whether the endpoint is outside its failure cooldown
+     */
+    isHealthy(endpoint, now = Date.now()) {
+        return endpoint.stats.cooldownUntil <= now;
+    }
+
+    /**
+     * Endpoints ordered for the next request: healthy ones by score,
+     * then those in cooldown (tried only as a last resort)
+     * @returns {Array<Object>} Ordered endpoints
+     */
+    orderedEndpoints() {
+        const now = Date.now();
+        const byScore = (a, b) => this.score(b) - this.score(a);
+        const healthy = this.endpoints.filter(e => this.isHealthy(e, now)).sort(byScore);
+        const cooling = this.endpoints.filter(e => !this.isHealthy(e, now))
+            .sort((a, b) => a.stats.cooldownUntil - b.stats.cooldownUntil);
+        return [...healthy, ...cooling];
+    }
+
+    /**
+     * Call an RPC method, failing over between endpoints on transport errors.
+     * An RPC error from a node is final (the node answered) and is thrown with
+     * `retryable: false`; if every endpoint fails at transport level the last
+     * transport error is thrown.
+     * @param {string} method - RPC method
+     * @param {Array} [params] - RPC params
+     * @param {Object} [options] - { id }
+     * @returns {Promise<*>} RPC result
+     */
+    async call(method, params = [], options = {}) {
+        const body = {
+            jsonrpc: '1.0',
+            id: options.id || `kbuc_${++this.requestId}`,
+            method,
+            params
+        };
+        const data = await this.postWithFailover(body);
+        if (data.error) {
+            throw this.rpcError(data.error, data.endpoint);
+        }
+        return data.result;
+    }
+
+    /**
+     * Send a JSON-RPC batch (array of requests) with failover
+     * @param {Array<Object>} requests - Request objects with ids
+     * @returns {Promise<Array<Object>>} Raw response objects
+     */
+    async batch(requests) {
+        const data = await this.postWithFailover(requests);
+        if (!Array.isArray(data.body)) {
+            throw new Error('RPC node returned a non-batch response to a batch request');
+        }
+        return data.body;
+    }
+
+    /**
+     * Send the same call to every healthy endpoint at once.
+     * Resolves with the first successful result; rejects only if every node
+     * failed, preferring an RPC error (ticket refused) over transport errors.
+     * @param {string} method - RPC method
+     * @param {Array} [params] - RPC params
+     * @returns {Promise<*>} RPC result
+     */
+    async broadcast(method, params = []) {
+        const now = Date.now();
+        let targets = this.endpoints.filter(e => this.isHealthy(e, now));
+        if (targets.length === 0) {
+            targets = this.orderedEndpoints().slice(0, 1);
+        }
+
+        const body = { jsonrpc: '1.0', id: `kbuc_${++this.requestId}`, method, params };
+        const results = await Promise.allSettled(targets.map(async endpoint => {
+            const data = await this.post(endpoint, body);
+            if (data.error) {
+                throw this.rpcError(data.error, endpoint.name);
+            }
+            return data.result;
+        }));
+
+        const ok = results.find(r => r.status === 'fulfilled');
+        if (ok) {
+            return ok.value;
+        }
+        const errors = results.map(r => r.reason);
+        throw errors.find(e => e.retryable === false) || errors[errors.length - 1];
+    }
+
+    /**
+     * Send a call using fan-out when `rpc.fanout` is enabled, otherwise with failover
+     */
+    async submit(method, params = []) {
+        return this.fanout && this.endpoints.length > 1
+            ? this.broadcast(method, params)
+            : this.call(method, params);
+    }
+
+    /**
+     * POST a body to endpoints in health order until one answers
+     * @returns {Promise<Object>} Response data (single) or {body} (batch), with endpoint name
+     */
+    async postWithFailover(body) {
+        let lastError = null;
+        for (const endpoint of this.orderedEndpoints()) {
+            try {
+                const data = await this.post(endpoint, body);
+                return Array.isArray(data)
+                    ? { body: data, endpoint: endpoint.name }
+                    : { ...data, endpoint: endpoint.name };
+            } catch (error) {
+                lastError = error;
+                if (this.endpoints.length > 1) {
+                    this.logger.warn('RPC endpoint failed, trying next', {
+                        endpoint: endpoint.name,
+                        error: error.message
+                    });
+                }
+            }
+        }
+        throw lastError || new Error('No RPC endpoints configured');
+    }
+
+    /**
+     * POST to a single endpoint and record its health.
+     * Node-level RPC errors count as successful round trips: bitcoind-style
+     * nodes answer them with HTTP 500 and a JSON error body.
+     * @returns {Promise<Object|Array>} Parsed response body
+     */
+    async post(endpoint, body) {
+        const started = Date.now();
+        endpoint.stats.requests++;
+        try {
+            const response = await axios.post(endpoint.url, body, {
+                headers: endpoint.headers,
+                timeout: this.timeout
+            });
+            this.recordSuccess(endpoint, Date.now() - started);
+            return response.data;
+        } catch (error) {
+            if (error.response?.data?.error) {
+                this.recordSuccess(endpoint, Date.now() - started);
+                return error.response.data;
+            }
+            error.endpoint = endpoint.name;
+            this.recordFailure(endpoint, error);
+            throw error;
+        }
+    }
+
+    recordSuccess(endpoint, latencyMs) {
+        const stats = endpoint.stats;
+        stats.latencyMs = stats.latencyMs === null ? latencyMs : Math.round(0.3 * latencyMs + 0.7 * stats.latencyMs);
+        stats.successRate = 0.1 + 0.9 * stats.successRate;
+        stats.consecutiveFailures = 0;
+        stats.cooldownUntil = 0;
+        stats.lastSuccessAt = Date.now();
+    }
+
+    recordFailure(endpoint, error) {
+        const stats = endpoint.stats;
+        stats.errors++;
+        stats.successRate = 0.9 * stats.successRate;
+        stats.consecutiveFailures++;
+        stats.lastErrorAt = Date.now();
+        stats.lastError = error.message;
+        if (stats.consecutiveFailures >= this.maxFailures) {
+            stats.cooldownUntil = Date.now() + this.cooldownMs;
+        }
+    }
+
+    /**
+     * Build a non-retryable error from a JSON-RPC error object
+     */
+    rpcError(rpcError, endpoint) {
+        const error = new Error(`RPC Error: ${rpcError.message || rpcError || 'Unknown error'}`);
+        error.code = rpcError.code;
+        error.endpoint = endpoint;
+        error.retryable = false;
+        return error;
+    }
+
+    /**
+     * Get endpoint health for monitoring
+     * @returns {Array<Object>} Endpoint health, best first
+     */
+    getEndpoints() {
+        const now = Date.now();
+        return this.orderedEndpoints().map(endpoint => ({
+            name: endpoint.name,
+            url: endpoint.url,
+            healthy: this.isHealthy(endpoint, now),
+            score: Number(this.score(endpoint).toFixed(3)),
+            ...endpoint.stats,
+            errorRate: endpoint.stats.requests > 0 ? endpoint.stats.errors / endpoint.stats.requests : 0
+        }));
+    }
+
+    /**
+     * Display string for logging (first endpoint in health order)
+     */
+    describe() {
+        const [first] = this.orderedEndpoints();
+        return first ? first.url : null;
+    }
+}
+
+module.exports = RpcClient;
@@ -0,0 +1,234 @@
+/**
+ * Solution Ledger
+ * سجل الحلول
+ *
+ * Append-only JSONL record of every solution found: one `add` line when the
+ * solution is found, then `update` lines as its broadcast progresses. The file
+ * is folded into an in-memory index on load so history can be queried without
+ * rescanning the solutions directory.
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+
+const LEDGER_FILE = 'ledger.jsonl';
+const CSV_COLUMNS = [
+    'id', 'foundAt', 'sessionId', 'engine', 'workerId', 'blockHeight', 'leaderAddress',
+    'nonce', 'hash', 'difficultyBits', 'isTarget', 'status', 'reason', 'ticketId',
+    'attempts', 'response', 'error', 'updatedAt'
+];
+
+class SolutionLedger {
+    /**
+     * @param {Object} options
+     * @param {string} options.dir - Directory holding the ledger file
+     * @param {Object} options.logger - Logger instance
+     */
+    constructor(options) {
+        this.dir = options.dir;
+        this.file = path.join(this.dir, LEDGER_FILE);
+        this.logger = options.logger;
+
+        this.records = new Map();
+        this.order = [];
+        this._writeChain = Promise.resolve();
+    }
+
+    /**
+     * Load the ledger into memory
+     * تحميل السجل إلى الذاكرة
+     */
+    async initialize() {
+        await fs.ensureDir(this.dir);
+        if (!(await fs.pathExists(this.file))) {
+            await this.importLegacyFiles();
+            return;
+        }
+
+        const lines = (await fs.readFile(this.file, 'utf8')).split('\n');
+        let skipped = 0;
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                this.apply(JSON.parse(line));
+            } catch {
+                // A torn last line from a crash mid-append is expected; keep going
+                skipped++;
+            }
+        }
+        if (skipped > 0) {
+            this.logger.warn('Skipped unreadable solution ledger lines', { skipped });
+        }
+        this.logger.debug('Solution ledger loaded', { solutions: this.order.length });
+    }
+
+    /**
+     * Seed a new ledger from per-solution `solution_<ts>.json` files written by
+     * earlier versions (their broadcast outcome was never recorded)
+     */
+    async importLegacyFiles() {
+        const files = (await fs.readdir(this.dir))
+            .filter(name => /^solution_\d+\.json$/.test(name))
+            .sort();
+        for (const name of files) {
+            try {
+                const data = JSON.parse(await fs.readFile(path.join(this.dir, name), 'utf8'));
+                const foundAt = Date.parse(data.timestamp) || parseInt(name.slice(9), 10);
+                await this.append({
+                    op: 'add',
+                    id: uuidv4(),
+                    foundAt,
+                    sessionId: data.sessionId || null,
+                    workerId: data.workerId ?? null,
+                    nonce: data.nonce,
+                    hash: data.hash,
+                    header: data.header,
+                    status: 'unknown',
+                    source: name
+                });
+            } catch (error) {
+                this.logger.warn('Skipped unreadable solution file', { file: name, error: error.message });
+            }
+        }
+        if (files.length > 0) {
+            this.logger.info('Imported legacy solution files into ledger', { files: files.length });
+        }
+    }
+
+    /**
+     * Fold a ledger entry into the in-memory index
+     */
+    apply(entry) {
+        const { op, ...fields } = entry;
+        if (op === 'add') {
+            if (!this.records.has(fields.id)) this.order.push(fields.id);
+            this.records.set(fields.id, fields);
+        } else if (op === 'update') {
+            const record = this.records.get(fields.id);
+            if (record) Object.assign(record, fields);
+        }
+    }
+
+    /**
+     * Record a newly found solution
+     * @param {Object} solution - Solution fields (sessionId, engine, workerId, blockHeight, nonce, hash, ...)
+     * @returns {Promise<Object>} The ledger record
+     */
+    async record(solution) {
+        const record = {
+            id: uuidv4(),
+            foundAt: Date.now(),
+            status: 'found',
+            ...solution
+        };
+        await this.append({ op: 'add', ...record });
+        return record;
+    }
+
+    /**
+     * Record a status change (broadcast outcome, RPC response, ...)
+     * @param {string} id - Ledger record id
+     * @param {Object} changes - Fields to update
+     */
+    async update(id, changes) {
+        if (!id || !this.records.has(id)) return null;
+        await this.append({ op: 'update', id, ...changes, updatedAt: Date.now() });
+        return this.records.get(id);
+    }
+
+    /**
+     * Apply and append an entry (appends are serialized)
+     */
+    append(entry) {
+        this.apply(entry);
+        const line = `${JSON.stringify(entry)}\n`;
+        this._writeChain = this._writeChain.then(async () => {
+            try {
+                await fs.appendFile(this.file, line);
+            } catch (error) {
+                this.logger.error('Failed to append to solution ledger', { error: error.message });
+            }
+        });
+        return this._writeChain;
+    }
+
+    get(id) {
+        return this.records.get(id) || null;
+    }
+
+    /**
+     * Query solutions, newest first
+     * @param {Object} [filters] - { sessionId, blockHeight, status, engine, since, until, limit, offset }
+     * @returns {{total: number, offset: number, limit: number, items: Array<Object>}}
+     */
+    query(filters = {}) {
+        const height = filters.blockHeight !== undefined && filters.blockHeight !== ''
+            ? parseInt(filters.blockHeight, 10)
+            : null;
+        const statuses = filters.status ? String(filters.status).split(',') : null;
+        const since = filters.since ? Number(filters.since) : null;
+        const until = filters.until ? Number(filters.until) : null;
+
+        const matches = [];
+        for (let i = this.order.length - 1; i >= 0; i--) {
+            const record = this.records.get(this.order[i]);
+            if (filters.sessionId && record.sessionId !== filters.sessionId) continue;
+            if (height !== null && record.blockHeight !== height) continue;
+            if (statuses && !statuses.includes(record.status)) continue;
+            if (filters.engine && record.engine !== filters.engine) continue;
+            if (since && record.foundAt < since) continue;
+            if (until && record.foundAt > until) continue;
+            matches.push(record);
+        }
+
+        const offset = Math.max(0, parseInt(filters.offset, 10) || 0);
+        const limit = filters.limit === 0 ? matches.length : Math.max(1, parseInt(filters.limit, 10) || 50);
+        return {
+            total: matches.length,
+            offset,
+            limit,
+            items: matches.slice(offset, offset + limit).map(r => ({ ...r }))
+        };
+    }
+
+    /**
+     * Render records as CSV
+     * @param {Array<Object>} records
+     * @returns {string} CSV text with header row
+     */
+    toCSV(records) {
+        const cell = (value) => {
+            if (value === undefined || value === null) return '';
+            const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const rows = records.map(r => CSV_COLUMNS.map(col => {
+            if (col === 'foundAt' || col === 'updatedAt') {
+                return r[col] ? new Date(r[col]).toISOString() : '';
+            }
+            return cell(r[col]);
+        }).join(','));
+        return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+    }
+
+    /**
+     * Counts by status for monitoring
+     */
+    getStats() {
+        const byStatus = {};
+        for (const record of this.records.values()) {
+            byStatus[record.status] = (byStatus[record.status] || 0) + 1;
+        }
+        return { total: this.order.length, byStatus };
+    }
+
+    /**
+     * Wait for pending appends
+     */
+    async flush() {
+        await this._writeChain;
+    }
+}
+
+module.exports = SolutionLedger;
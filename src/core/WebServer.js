@@ -12,6 +12,8 @@ const path = require('path');
 const fs = require('fs');
 const WebSocket = require('ws');
 const BlockchainBroadcaster = require('./BlockchainBroadcaster');
+const LogReader = require('./LogReader');
+const { encodeTicket, decodeTicket } = require('../utils/ticketCodec');
 
 class WebServer {
     constructor(config, logger, miningSystem) {
@@ -20,13 +22,21 @@ class WebServer {
         this.miningSystem = miningSystem;
         
         // Initialize blockchain broadcaster
-        this.blockchainBroadcaster = new BlockchainBroadcaster(config, this.logger);
+        this.blockchainBroadcaster = new BlockchainBroadcaster(config, this.logger, miningSystem.rpcClient);
+        this.blockchainBroadcaster.setJobProvider(() => this.miningSystem.currentSession?.config || null);
         
         this.app = express();
         this.server = null;
         this.isRunning = false;
         this.wss = null;
         this.wsClients = new Set();
+        // WS clients following the log file, with their filters
+        this.logSubscribers = new Map();
+        this.stopLogTail = null;
+        this.logReader = new LogReader({
+            file: config.get('logging.file', 'logs/mining.log'),
+            logger: this.logger
+        });
         this.wsIntervals = { stats: null, health: null };
         
         // Setup middleware
@@ -404,6 +414,157 @@ class WebServer {
             }
         });
 
+        // Registered mining engines (built-in and engines.modules)
+        this.app.get('/api/mining/engines', (req, res) => {
+            try {
+                res.json({ engines: this.miningSystem.getEngines() });
+            } catch (error) {
+                this.logger.error('Failed to get mining engines', { error: error.message });
+                res.status(500).json({
+                    error: 'Internal server error',
+                    message: error.message
+                });
+            }
+        });
+
+        // CPU usage cap and worker niceness
+        this.app.get('/api/mining/cpu/throttle', (req, res) => {
+            try {
+                res.json(this.miningSystem.getCpuThrottle());
+            } catch (error) {
+                this.logger.error('Failed to get CPU throttle', { error: error.message });
+                res.status(500).json({
+                    error: 'Internal server error',
+                    message: error.message
+                });
+            }
+        });
+
+        this.app.put('/api/mining/cpu/throttle', async (req, res) => {
+            try {
+                const { maxUsage, niceness, persist } = req.body || {};
+                if (maxUsage !== undefined && !(typeof maxUsage === 'number' && maxUsage >= 1 && maxUsage <= 100)) {
+                    return res.status(400).json({
+                        error: 'Bad request',
+                        message: 'maxUsage must be a number between 1 and 100'
+                    });
+                }
+                if (niceness !== undefined && niceness !== null && !(Number.isInteger(niceness) && niceness >= 0 && niceness <= 19)) {
+                    return res.status(400).json({
+                        error: 'Bad request',
+                        message: 'niceness must be an integer between 0 and 19, or null'
+                    });
+                }
+                const throttle = await this.miningSystem.setCpuThrottle({ maxUsage, niceness }, { persist: persist === true });
+                res.json({ success: true, throttle });
+            } catch (error) {
+                this.logger.error('Failed to update CPU throttle', { error: error.message });
+                res.status(500).json({
+                    error: 'Internal server error',
+                    message: error.message
+                });
+            }
+        });
+
+        // Time-based mining schedules
+        this.app.get('/api/schedules', (req, res) => {
+            try {
+                res.json(this.miningSystem.scheduler.getStatus());
+            } catch (error) {
+                this.logger.error('Failed to get schedules', { error: error.message });
+                res.status(500).json({
+                    error: 'Internal server error',
+                    message: error.message
+                });
+            }
+        });
+
+        this.app.put('/api/schedules', async (req, res) => {
+            try {
+                const schedules = await this.miningSystem.scheduler.replace(req.body || {});
+                res.json({ success: true, schedules });
+            } catch (error) {
+                this.sendScheduleError(res, error, 'Failed to update schedules');
+            }
+        });
+
+        this.app.post('/api/schedules', async (req, res) => {
+            try {
+                const rule = await this.miningSystem.scheduler.addRule(req.body || {});
+                res.status(201).json({ success: true, rule });
+            } catch (error) {
+                this.sendScheduleError(res, error, 'Failed to add schedule rule');
+            }
+        });
+
+        this.app.put('/api/schedules/:id', async (req, res) => {
+            try {
+                const rule = await this.miningSystem.scheduler.updateRule(req.params.id, req.body || {}, {
+                    replace: req.query.replace === 'true'
+                });
+                if (!rule) {
+                    return res.status(404).json({
+                        error: 'Not found',
+                        message: 'Schedule rule not found'
+                    });
+                }
+                res.json({ success: true, rule });
+            } catch (error) {
+                this.sendScheduleError(res, error, 'Failed to update schedule rule');
+            }
+        });
+
+        this.app.delete('/api/schedules/:id', async (req, res) => {
+            try {
+                const removed = await this.miningSystem.scheduler.removeRule(req.params.id);
+                if (!removed) {
+                    return res.status(404).json({
+                        error: 'Not found',
+                        message: 'Schedule rule not found'
+                    });
+                }
+                res.json({ success: true });
+            } catch (error) {
+                this.logger.error('Failed to remove schedule rule', { error: error.message });
+                res.status(500).json({
+                    error: 'Internal server error',
+                    message: error.message
+                });
+            }
+        });
+
+        this.app.post('/api/schedules/:id/run', async (req, res) => {
+            try {
+                const entry = await this.miningSystem.scheduler.runNow(req.params.id);
+                if (!entry) {
+                    return res.status(404).json({
+                        error: 'Not found',
+                        message: 'Schedule rule not found'
+                    });
+                }
+                res.json({ success: true, entry });
+            } catch (error) {
+                this.logger.error('Failed to run schedule rule', { error: error.message });
+                res.status(500).json({
+                    error: 'Internal server error',
+                    message: error.message
+                });
+            }
+        });
+
+        // Nonce coverage of the current and recent jobs
+        this.app.get('/api/mining/coverage', (req, res) => {
+            try {
+                res.json(this.miningSystem.getNonceCoverage());
+            } catch (error) {
+                this.logger.error('Failed to get nonce coverage', { error: error.message });
+                res.status(500).json({
+                    error: 'Internal server error',
+                    message: error.message
+                });
+            }
+        });
+
         // Get configuration
         this.app.get('/api/config', (req, res) => {
             try {
@@ -456,22 +617,44 @@ class WebServer {
             }
         });
 
-        // Get logs
-        this.app.get('/api/logs', (req, res) => {
+        // Query log files (newest first, cursor-paginated)
+        this.app.get('/api/logs', async (req, res) => {
             try {
-                const { level = 'info', limit = 100 } = req.query;
-                
-                // This would read from log files
-                const logs = [
-                    {
-                        timestamp: new Date().toISOString(),
-                        level: 'info',
-                        message: 'System started'
-                    }
-                ];
-                
-                res.json(logs);
+                const { level, component, sessionId, q, cursor } = req.query;
+                const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 100;
+                if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+                    return res.status(400).json({
+                        error: 'Bad request',
+                        message: 'limit must be an integer between 1 and 1000'
+                    });
+                }
+                if (level && LogReader.LEVELS[level] === undefined) {
+                    return res.status(400).json({
+                        error: 'Bad request',
+                        message: `level must be one of: ${Object.keys(LogReader.LEVELS).join(', ')}`
+                    });
+                }
+                const since = this.parseTime(req.query.since);
+                const until = this.parseTime(req.query.until);
+                if (Number.isNaN(since) || Number.isNaN(until)) {
+                    return res.status(400).json({
+                        error: 'Bad request',
+                        message: 'since/until must be epoch milliseconds or ISO dates'
+                    });
+                }
+
+                const result = await this.logReader.query({
+                    level, component, sessionId, q, since, until, limit, cursor
+                });
+                res.json(result);
             } catch (error) {
+                if (error.reason === 'bad-cursor') {
+                    return res.status(400).json({
+                        error: 'Bad request',
+                        message: error.message,
+                        reason: error.reason
+                    });
+                }
                 this.logger.error('Failed to get logs', { error: error.message });
                 res.status(500).json({
                     error: 'Internal server error',
@@ -501,10 +684,10 @@ class WebServer {
         // Broadcast solution endpoint
         this.app.post('/mine/broadcast', async (req, res) => {
             try {
-                const { nonce, hash, sessionId, ticket_data, leader_address, reward_address, block_height, mining_type, timestamp } = req.body;
+                const { nonce, hash, sessionId, header, ticket_data, leader_address, reward_address, block_height, mining_type, timestamp } = req.body;
                 
                 // Validate required fields
-                if (!nonce || !hash) {
+                if (nonce === undefined || nonce === null || nonce === '' || !hash) {
                     return res.status(400).json({
                         error: 'Bad request',
                         message: 'Nonce and hash are required'
@@ -518,8 +701,9 @@ class WebServer {
                 });
 
                 // Create solution object
+                // With a full header the nonce is kept as sent (hex string as in solution files)
                 const solution = {
-                    nonce: parseInt(nonce),
+                    nonce: header ? nonce : parseInt(nonce),
                     hash: hash,
                     config: {
                         ticket_data: ticket_data,
@@ -531,6 +715,21 @@ class WebServer {
                     },
                 };
 
+                // Use the full ticket if given, otherwise build it from the fields
+                try {
+                    solution.header = header
+                        ? String(header)
+                        : encodeTicket({ ...solution.config, nonce: solution.nonce });
+                    this.blockchainBroadcaster.validateSolution(solution);
+                } catch (error) {
+                    return res.status(400).json({
+                        error: 'Bad request',
+                        message: error.message,
+                        reason: error.reason || 'bad-ticket-fields',
+                        details: error.details
+                    });
+                }
+
                 // Broadcast to blockchain
                 const broadcastSuccess = await this.blockchainBroadcaster.broadcastSupportTicket(solution);
                 
@@ -552,6 +751,158 @@ class WebServer {
             }
         });
 
+        // Decode a ticket into its fields (body: { header } or a saved solution object)
+        this.app.post('/api/tickets/decode', (req, res) => {
+            try {
+                const header = req.body.header || req.body.solution?.header;
+                res.json(decodeTicket(header));
+            } catch (error) {
+                if (error.reason) {
+                    return res.status(400).json({
+                        error: 'Bad request',
+                        message: error.message,
+                        reason: error.reason
+                    });
+                }
+                this.logger.error('Failed to decode ticket', { error: error.message });
+                res.status(500).json({
+                    error: 'Internal server error',
+                    message: error.message
+                });
+            }
+        });
+
+        // Verify a ticket: hash, target and (optionally) the current job
+        // body: { header, hash?, nonce?, target?, checkJob? }
+        this.app.post('/api/tickets/verify', (req, res) => {
+            try {
+                const body = req.body.solution ? { ...req.body, ...req.body.solution } : req.body;
+                const ticket = decodeTicket(body.header);
+
+                const currentJob = this.miningSystem.currentSession?.config || null;
+                let job = body.checkJob ? { ...(currentJob || {}) } : null;
+                if (body.target) {
+                    job = { ...(job || {}), difficulty_target: body.target };
+                }
+
+                const result = { valid: true, ticket };
+                try {
+                    this.blockchainBroadcaster.validateSolution({
+                        header: body.header,
+                        nonce: body.nonce ?? ticket.nonce,
+                        hash: body.hash || ticket.hash
+                    }, job);
+                } catch (error) {
+                    if (!error.reason) throw error;
+                    Object.assign(result, {
+                        valid: false,
+                        reason: error.reason,
+                        message: error.message,
+                        details: error.details
+                    });
+                }
+                res.json(result);
+            } catch (error) {
+                if (error.reason) {
+                    return res.status(400).json({
+                        error: 'Bad request',
+                        message: error.message,
+                        reason: error.reason
+                    });
+                }
+                this.logger.error('Failed to verify ticket', { error: error.message });
+                res.status(500).json({
+                    error: 'Internal server error',
+                    message: error.message
+                });
+            }
+        });
+
+        // Solution ledger (filters: sessionId, height, status, engine, since, until; format=csv exports)
+        this.app.get('/api/solutions', (req, res) => {
+            try {
+                const { sessionId, height, status, engine, offset, format } = req.query;
+                const csv = format === 'csv';
+                const since = this.parseTime(req.query.since);
+                const until = this.parseTime(req.query.until);
+                if (Number.isNaN(since) || Number.isNaN(until)) {
+                    return res.status(400).json({
+                        error: 'Bad request',
+                        message: 'since/until must be epoch milliseconds or ISO dates'
+                    });
+                }
+                // CSV exports every match unless a limit is given
+                const limit = req.query.limit !== undefined
+                    ? parseInt(req.query.limit, 10)
+                    : (csv ? 0 : 50);
+                if (!Number.isInteger(limit) || limit < 0 || (!csv && (limit === 0 || limit > 1000))) {
+                    return res.status(400).json({
+                        error: 'Bad request',
+                        message: 'limit must be an integer between 1 and 1000'
+                    });
+                }
+
+                const result = this.miningSystem.solutionLedger.query({
+                    sessionId,
+                    blockHeight: height,
+                    status,
+                    engine,
+                    since,
+                    until,
+                    limit,
+                    offset
+                });
+
+                if (csv) {
+                    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+                    res.setHeader('Content-Disposition', 'attachment; filename="solutions.csv"');
+                    return res.send(this.miningSystem.solutionLedger.toCSV(result.items));
+                }
+                res.json({ ...result, stats: this.miningSystem.solutionLedger.getStats() });
+            } catch (error) {
+                this.logger.error('Failed to query solutions', { error: error.message });
+                res.status(500).json({
+                    error: 'Internal server error',
+                    message: error.message
+                });
+            }
+        });
+
+        this.app.get('/api/solutions/:id', (req, res) => {
+            try {
+                const record = this.miningSystem.solutionLedger.get(req.params.id);
+                if (!record) {
+                    return res.status(404).json({
+                        error: 'Not found',
+                        message: 'Solution not found'
+                    });
+                }
+                res.json(record);
+            } catch (error) {
+                this.logger.error('Failed to get solution', { error: error.message });
+                res.status(500).json({
+                    error: 'Internal server error',
+                    message: error.message
+                });
+            }
+        });
+
+        // RPC endpoint health
+        this.app.get('/api/rpc/endpoints', (req, res) => {
+            try {
+                res.json({
+                    fanout: this.miningSystem.rpcClient.fanout,
+                    endpoints: this.miningSystem.rpcClient.getEndpoints()
+                });
+            } catch (error) {
+                this.logger.error('Failed to get RPC endpoints', { error: error.message });
+                res.status(500).json({
+                    error: 'Internal server error',
+                    message: error.message
+                });
+            }
+        });
+
         // WebSocket endpoint hint (HTTP) for real-time updates
         this.app.get('/api/ws', (req, res) => {
             res.status(426).json({
@@ -633,11 +984,26 @@ class WebServer {
                     'GET /api/mining/health': 'Get mining system health',
                     'POST /api/mining/test-mode': 'Toggle test mode (body: {enabled, timeoutSeconds})',
                     'GET /api/mining/stats': 'Get mining statistics',
+                    'GET /api/mining/engines': 'Registered mining engines (built-in and engines.modules) with enabled, priority, initialized, running and load errors',
+                    'GET /api/mining/cpu/throttle': 'CPU usage cap and worker niceness (with the niceness each worker reported)',
+                    'PUT /api/mining/cpu/throttle': 'Change the CPU usage cap and worker niceness while mining (body: {maxUsage, niceness, persist})',
+                    'GET /api/schedules': 'Schedule rules with their next and last run, and recently fired rules',
+                    'PUT /api/schedules': 'Replace the schedules (body: {enabled, timezone, rules})',
+                    'POST /api/schedules': 'Add a schedule rule (body: {id?, name, cron, action: start|stop|pause|resume|throttle, workers?, maxUsage?, timezone?, enabled?})',
+                    'PUT /api/schedules/:id': 'Change a schedule rule (omitted fields keep their value; ?replace=true replaces it whole)',
+                    'DELETE /api/schedules/:id': 'Remove a schedule rule',
+                    'POST /api/schedules/:id/run': 'Run a schedule rule now',
+                    'GET /api/mining/coverage': 'Nonce space searched per job (current job and recent ones) with active leases and timestamp rollovers',
                     'GET /api/config': 'Get configuration',
                     'PUT /api/config': 'Update configuration',
-                    'GET /api/logs': 'Get system logs',
+                    'GET /api/logs': 'Query log files (?level, component, sessionId, since, until, q, limit, cursor); live tail via WS {type:"subscribe", channel:"logs"}',
                     'GET /api/alerts': 'Get system alerts',
-                    'GET /api/dashboard': 'Get dashboard data'
+                    'GET /api/dashboard': 'Get dashboard data',
+                    'POST /api/tickets/decode': 'Decode a 176-hex ticket into its fields (body: {header})',
+                    'POST /api/tickets/verify': 'Verify ticket hash and target (body: {header, hash?, nonce?, target?, checkJob?})',
+                    'GET /api/solutions': 'Query the solution ledger (?sessionId, height, status, engine, since, until, limit, offset, format=csv)',
+                    'GET /api/solutions/:id': 'Get a solution ledger record',
+                    'GET /api/rpc/endpoints': 'Get RPC endpoint health (latency, error rate, score)'
                 }
             };
             
@@ -782,6 +1148,11 @@ class WebServer {
                         try { client.terminate(); } catch {}
                     }
                     this.wsClients.clear();
+                    this.logSubscribers.clear();
+                    if (this.stopLogTail) {
+                        this.stopLogTail();
+                        this.stopLogTail = null;
+                    }
                 } catch (e) {
                     this.logger.debug('Error terminating WS clients (non-fatal)', { error: e.message });
                 }
@@ -829,6 +1200,14 @@ class WebServer {
         this.wss = new WebSocket.Server({ server: this.server, path: '/api/ws' });
         this.logger.info('WebSocket server initialized at /api/ws');
 
+        // Engine failover transitions, watchdog interventions and fired schedule rules are pushed as they happen
+        if (!this.failoverSubscribed && typeof this.miningSystem.on === 'function') {
+            this.miningSystem.on('failover', (event) => this.broadcast('failover', event));
+            this.miningSystem.on('watchdog', (event) => this.broadcast('watchdog', event));
+            this.miningSystem.on('schedule', (event) => this.broadcast('schedule', event));
+            this.failoverSubscribed = true;
+        }
+
         this.wss.on('connection', (ws, req) => {
             try {
                 // API key auth: header or query
@@ -850,8 +1229,11 @@ class WebServer {
                 // Start broadcast loops when first client connects
                 this.startBroadcastLoops();
 
+                ws.on('message', (raw) => this.handleWsMessage(ws, raw));
+
                 ws.on('close', () => {
                     this.wsClients.delete(ws);
+                    this.unsubscribeLogs(ws);
                     if (this.wsClients.size === 0) this.stopBroadcastLoops();
                 });
 
@@ -865,6 +1247,81 @@ class WebServer {
         });
     }
 
+    /**
+     * Handle client messages: {type: 'subscribe'|'unsubscribe', channel: 'logs', filters}
+     */
+    handleWsMessage(ws, raw) {
+        let msg;
+        try {
+            msg = JSON.parse(raw.toString());
+        } catch {
+            return;
+        }
+        if (!msg || msg.channel !== 'logs') return;
+
+        if (msg.type === 'subscribe') {
+            const filters = msg.filters && typeof msg.filters === 'object' ? msg.filters : {};
+            this.logSubscribers.set(ws, {
+                level: filters.level,
+                component: filters.component,
+                sessionId: filters.sessionId,
+                q: filters.q
+            });
+            if (!this.stopLogTail) {
+                this.stopLogTail = this.logReader.tail((entry) => this.publishLog(entry));
+            }
+            ws.send(this.safeJson({ type: 'subscribed', data: { channel: 'logs' }, ts: Date.now() }));
+        } else if (msg.type === 'unsubscribe') {
+            this.unsubscribeLogs(ws);
+        }
+    }
+
+    unsubscribeLogs(ws) {
+        this.logSubscribers.delete(ws);
+        if (this.logSubscribers.size === 0 && this.stopLogTail) {
+            this.stopLogTail();
+            this.stopLogTail = null;
+        }
+    }
+
+    /**
+     * Send a new log entry to subscribers whose filters match
+     */
+    publishLog(entry) {
+        const payload = this.safeJson({ type: 'log', data: entry, ts: Date.now() });
+        for (const [client, filters] of this.logSubscribers) {
+            if (client.readyState === WebSocket.OPEN && this.logReader.matches(entry, filters)) {
+                try { client.send(payload); } catch {}
+            }
+        }
+    }
+
+    /**
+     * Parse a query time (epoch ms or ISO date); undefined when absent, NaN when invalid
+     */
+    parseTime(value) {
+        if (value === undefined || value === '') return undefined;
+        return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    }
+
+    /**
+     * Answer a failed schedule change: 400 for a rule the scheduler rejected, 500 otherwise
+     */
+    sendScheduleError(res, error, message) {
+        if (error.reason === 'invalid-schedule') {
+            return res.status(400).json({
+                error: 'Bad request',
+                message: error.message,
+                reason: error.reason
+            });
+        }
+        this.logger.error(message, { error: error.message });
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+
     startBroadcastLoops() {
         if (!this.wsIntervals.stats) {
             this.wsIntervals.stats = setInterval(async () => {
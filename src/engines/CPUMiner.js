@@ -6,6 +6,8 @@ const { Worker } = require('worker_threads');
 const path = require('path');
 const os = require('os');
 const { doubleSHA256 } = require('../utils/hashingUtils');
+const { detectKernel } = require('../utils/sha256Wasm');
+const NonceAllocator = require('../core/NonceAllocator');
 
 class CPUMiner {
     constructor(config, logger) {
@@ -17,7 +19,20 @@ class CPUMiner {
         this.workers = [];
         this.currentSession = null;
         this.workerStats = new Map();
+        // Hashes of replaced workers, so the total never goes back when a worker id is reused
+        this.retiredHashes = 0;
         this.workerLastNonce = new Map();
+        // Niceness each worker thread reported after applying engines.cpu.niceness
+        this.workerNiceness = new Map();
+        // Throttle values set at runtime without persist; they win over the config until the process restarts
+        this.throttleOverride = {};
+        // Cap on the worker count set by a schedule (null = none)
+        this.workerLimit = null;
+        // Nonce lease held by each worker (Worker -> lease)
+        this.workerLeases = new Map();
+        this.nonceAllocator = null;
+        // Next job staged ahead of a nonce rollover
+        this.stagedConfig = null;
         
         this.stats = {
             hashRate: 0,
@@ -35,6 +50,8 @@ class CPUMiner {
             platform: os.platform(),
             totalMemory: os.totalmem()
         };
+        // Hashing path handed to workers; resolved in detectCPUCapabilities()
+        this.hashKernel = { hashPath: 'midstate', module: null };
         
         // Performance tracking
         this.performanceHistory = [];
@@ -93,6 +110,33 @@ class CPUMiner {
         } catch (error) {
             this.logger.warn('Failed to detect CPU capabilities', { error: error.message });
         }
+        this.selectHashKernel();
+    }
+
+    /**
+     * Resolve engines.cpu.hashPath: 'auto' uses the WebAssembly kernel (SIMD
+     * first) when it passes its self-test, otherwise the JS midstate path
+     * اختيار مسار التجزئة: نواة WebAssembly إن اجتازت الاختبار الذاتي
+     */
+    selectHashKernel() {
+        const hashPath = this.config.get('engines.cpu.hashPath', 'auto');
+        if (hashPath !== 'auto') {
+            this.hashKernel = { hashPath, module: null };
+            this.cpuCapabilities.hashPath = hashPath;
+            return;
+        }
+
+        const detected = detectKernel();
+        this.cpuCapabilities.wasm = detected.attempts;
+        if (detected.kernel) {
+            this.hashKernel = { hashPath: detected.kernel, module: detected.module };
+        } else {
+            this.hashKernel = { hashPath: 'midstate', module: null };
+            this.logger.warn('WebAssembly SHA-256 kernel unavailable, using the JS midstate path', {
+                attempts: detected.attempts
+            });
+        }
+        this.cpuCapabilities.hashPath = this.hashKernel.hashPath;
     }
 
     /**
@@ -161,10 +205,7 @@ class CPUMiner {
      * بدء عمال CPU
      */
     async startCPUWorkers(session) {
-        const maxWorkers = Math.min(
-            this.config.get('performance.workers.maxCount'),
-            this.cpuCapabilities.cores
-        );
+        const maxWorkers = this.getMaxWorkers();
         const batchSize = this.config.get('engines.cpu.batchSize');
 
         this.logger.info('Starting CPU workers', { 
@@ -175,61 +216,166 @@ class CPUMiner {
 
         // Create CPU workers
         for (let i = 0; i < maxWorkers; i++) {
-            const worker = new Worker(path.join(__dirname, '../workers/CPUWorker.js'), {
-                workerData: {
-                    workerId: i,
-                    sessionId: session.id,
-                    config: {
-                        ticket_data: session.config.ticket_data,
-                        leader_address: session.config.leader_address,
-                        reward_address: session.config.reward_address,
-                        block_height: session.config.block_height,
-                        mining_type: session.config.mining_type,
-                        timestamp: session.config.timestamp,
-                        difficulty_target: session.config.difficulty_target,
-                        timeLimit: session.config.timeLimit,
-                        base_nonce: session.config.base_nonce >>> 0,
-                    },
-                    baseNonce: session.config.base_nonce >>> 0,
-                    batchSize: batchSize,
-                    cpuCapabilities: this.cpuCapabilities
-                }
-            });
+            this.workers.push(this.spawnWorker(i, session));
+        }
 
-            worker.on('message', (data) => {
-                this.handleWorkerMessage(data);
-            });
+        this.logger.info('CPU workers started', { 
+            count: this.workers.length,
+            leaseSize: this.getLeaseSize()
+        });
+    }
+
+    /**
+     * Start one CPU worker on a freshly leased nonce range
+     */
+    spawnWorker(workerId, session) {
+        const lease = session ? this.acquireLease(workerId, session.config) : null;
+        const worker = new Worker(path.join(__dirname, '../workers/CPUWorker.js'), {
+            workerData: {
+                workerId,
+                sessionId: session?.id,
+                config: session ? this.buildWorkerConfig(session.config) : undefined,
+                lease,
+                batchSize: this.config.get('engines.cpu.batchSize'),
+                hashPath: this.hashKernel.hashPath,
+                wasmModule: this.hashKernel.module,
+                cpuCapabilities: this.cpuCapabilities,
+                throttle: this.getThrottle()
+            }
+        });
+        worker.workerId = workerId;
+        if (lease) this.workerLeases.set(worker, lease);
+
+        worker.on('message', (data) => {
+            this.handleWorkerMessage(data, worker);
+        });
 
-            worker.on('error', (error) => {
-                this.logger.error('CPU worker error', { workerId: i, error: error.message });
+        worker.on('error', (error) => {
+            this.logger.error('CPU worker error', { workerId, error: error.message });
+            if (typeof this.onError === 'function') {
+                try { this.onError({ type: 'worker_error', workerId, error: error.message }); } catch {}
+            }
+        });
+
+        worker.on('exit', (code) => {
+            // Hand the unsearched rest of its lease to the next worker
+            this.releaseWorkerLease(worker);
+            if (code !== 0 && !worker.replaced && !worker.stopping) {
+                this.logger.warn('CPU worker exited with code', { workerId, code });
                 if (typeof this.onError === 'function') {
-                    try { this.onError({ type: 'worker_error', workerId: i, error: error.message }); } catch {}
+                    try { this.onError({ type: 'worker_exit', workerId, code }); } catch {}
                 }
-            });
+            }
+        });
+
+        return worker;
+    }
+
+    buildWorkerConfig(config) {
+        return {
+            ticket_data: config.ticket_data,
+            leader_address: config.leader_address,
+            reward_address: config.reward_address,
+            block_height: config.block_height,
+            mining_type: config.mining_type,
+            timestamp: config.timestamp,
+            difficulty_target: config.difficulty_target,
+            timeLimit: config.timeLimit,
+        };
+    }
+
+    /**
+     * Share a nonce allocator with other engines
+     * مشاركة موزّع الـ nonce مع المحركات الأخرى
+     */
+    setNonceAllocator(allocator) {
+        this.nonceAllocator = allocator;
+    }
 
-            worker.on('exit', (code) => {
-                if (code !== 0) {
-                    this.logger.warn('CPU worker exited with code', { workerId: i, code });
-                    if (typeof this.onError === 'function') {
-                        try { this.onError({ type: 'worker_exit', workerId: i, code }); } catch {}
+    getNonceAllocator() {
+        if (!this.nonceAllocator) {
+            // Standalone use: roll over like the shared allocator would report
+            this.nonceAllocator = new NonceAllocator({
+                logger: this.logger,
+                onDrained: () => {
+                    if (this.isRunning && typeof this.onError === 'function') {
+                        try { this.onError({ type: 'nonce_exhausted' }); } catch {}
                     }
                 }
             });
+        }
+        return this.nonceAllocator;
+    }
+
+    getLeaseSize() {
+        return this.config.get('mining.nonce.cpuLeaseSize', 1048576);
+    }
+
+    acquireLease(workerId, config) {
+        return this.getNonceAllocator().acquire(config, `cpu:${workerId}`, this.getLeaseSize());
+    }
 
-            this.workers.push(worker);
+    releaseWorkerLease(worker) {
+        const lease = this.workerLeases.get(worker);
+        if (!lease) return;
+        this.workerLeases.delete(worker);
+        this.getNonceAllocator().release(lease.id);
+    }
+
+    /**
+     * A worker searched its whole lease: hand it the next one
+     */
+    handleLeaseDone(data, worker) {
+        const allocator = this.getNonceAllocator();
+        const lease = this.workerLeases.get(worker);
+        if (!lease || lease.id !== data.leaseId) return;
+        allocator.complete(lease.id, data.lastNonce);
+        this.workerLeases.delete(worker);
+        if (!this.isRunning || !this.currentSession) return;
+
+        const next = this.acquireLease(worker.workerId, this.currentSession.config);
+        if (next) {
+            this.workerLeases.set(worker, next);
+        } else if (this.stagedConfig) {
+            // Nothing left on this job: the worker moves on to the staged one
+            this.switchWorker(worker, this.stagedConfig);
+            return;
         }
+        // A null lease leaves the worker idle until the next job
+        try { worker.postMessage({ type: 'lease', lease: next }); } catch {}
+    }
 
-        this.logger.info('CPU workers started', { 
-            count: this.workers.length,
-            workDistribution: `Each worker starts ${1000000} nonces apart`
-        });
+    /**
+     * Hand one worker a job and a lease of it
+     */
+    switchWorker(worker, config) {
+        this.releaseWorkerLease(worker);
+        const lease = this.acquireLease(worker.workerId, config);
+        if (lease) this.workerLeases.set(worker, lease);
+        try { worker.postMessage({ type: 'update_config', config: this.buildWorkerConfig(config), lease }); } catch {}
+    }
+
+    /**
+     * Keep the next job ready so workers that run out of nonces switch to it
+     * without waiting for the rollover (null drops it)
+     */
+    stageJob(config) {
+        this.stagedConfig = config || null;
+        return true;
+    }
+
+    /**
+     * Nonce leases currently held by CPU workers
+     */
+    getActiveLeases() {
+        return [...this.workerLeases.values()].map(l => ({ id: l.id, start: l.start, end: l.end }));
     }
 
     /**
      * Handle messages from CPU workers
      * معالجة الرسائل من عمال CPU
      */
-    handleWorkerMessage(data) {
+    handleWorkerMessage(data, worker) {
         // Validate data
         if (!data || typeof data !== 'object') {
             this.logger.warn('Invalid worker message received', { data });
@@ -243,6 +389,10 @@ class CPUMiner {
                 {
                     const payload = data.data || data.stats || {};
                     const wid = payload.workerId ?? data.workerId;
+                    const lease = worker ? this.workerLeases.get(worker) : null;
+                    if (lease && payload.leaseId === lease.id && Number.isFinite(payload.lastNonce)) {
+                        this.getNonceAllocator().progress(lease.id, payload.lastNonce);
+                    }
                     if (wid !== undefined && payload.lastNonce !== undefined) {
                         this.workerLastNonce.set(wid, payload.lastNonce >>> 0);
                         // Aggregate max last nonce across workers
@@ -257,6 +407,8 @@ class CPUMiner {
                                     totalHashes: this.stats.totalHashes,
                                     solutions: this.stats.solutions,
                                     lastNonce: this.stats.lastNonce,
+                                    worker: wid,
+                                    workerLastNonce: payload.lastNonce >>> 0,
                                 });
                             } catch {}
                         }
@@ -292,7 +444,21 @@ class CPUMiner {
                 }
                 break;
             
+            case 'lease_done':
+                if (worker) this.handleLeaseDone(data.data || {}, worker);
+                break;
+
+            case 'throttled': {
+                const info = data.data || {};
+                this.workerNiceness.set(info.workerId, info.niceness);
+                if (info.error) {
+                    this.logger.warn('Could not set CPU worker niceness', { workerId: info.workerId, error: info.error });
+                }
+                break;
+            }
+
             case 'started':
+            case 'config_updated':
                 break;
             
             case 'info':
@@ -331,7 +497,7 @@ class CPUMiner {
 
         // Aggregate hashRate and totalHashes across workers
         let aggHashRate = 0;
-        let aggTotalHashes = 0;
+        let aggTotalHashes = this.retiredHashes;
         let maxLastNonce = 0;
         for (const s of this.workerStats.values()) {
             aggHashRate += s.hashRate || 0;
@@ -448,7 +614,7 @@ class CPUMiner {
             if (this.isRunning) {
                 this.updatePerformanceMetrics();
                 // Periodically attempt performance optimization
-                if ((this._perfTick++ % 2) === 0) { // ~ every 10s
+                if ((this._perfTick++ % 2) === 0 && this.config.get('performance.workers.autoScale', true)) { // ~ every 10s
                     this.optimizePerformance().catch(() => {});
                 }
             }
@@ -494,12 +660,19 @@ class CPUMiner {
                 this.performanceInterval = null;
             }
 
-            // Stop all workers
+            // Stop all workers; their exit is expected, not a failure
             await Promise.all(this.workers.map(w => {
+                w.stopping = true;
                 try { return w.terminate(); } catch { return Promise.resolve(); }
             }));
+            for (const worker of this.workers) {
+                this.releaseWorkerLease(worker);
+            }
             this.workers = [];
             this.workerStats.clear();
+            this.retiredHashes = 0;
+            this.workerNiceness.clear();
+            this.stagedConfig = null;
 
             this.currentSession = null;
 
@@ -511,6 +684,42 @@ class CPUMiner {
         }
     }
 
+    /**
+     * Switch running workers to a new job without restarting them
+     * تبديل مهمة العمال دون إعادة تشغيلهم
+     * @param {Object} session - Session with the updated config
+     * @returns {Promise<boolean>} True if the job was handed to the workers
+     */
+    async updateJob(session) {
+        if (!this.isRunning || this.workers.length === 0) {
+            return false;
+        }
+
+        this.currentSession = session;
+        this.stagedConfig = null;
+        const jobKey = this.getNonceAllocator().jobKey(session.config);
+
+        // Old per-worker nonces belong to the previous job
+        this.workerLastNonce.clear();
+        for (const stats of this.workerStats.values()) {
+            stats.lastNonce = undefined;
+        }
+        this.stats.lastNonce = 0;
+
+        for (const worker of this.workers) {
+            // Workers that already moved on to this (staged) job keep their lease
+            if (this.workerLeases.get(worker)?.jobKey === jobKey) continue;
+            this.switchWorker(worker, session.config);
+        }
+
+        this.logger.info('CPU workers switched to new job', {
+            sessionId: session.id,
+            blockHeight: session.config.block_height,
+            workers: this.workers.length
+        });
+        return true;
+    }
+
     /**
      * Get CPU mining statistics
      * الحصول على إحصائيات CPU
@@ -524,6 +733,8 @@ class CPUMiner {
             performanceHistory: this.performanceHistory.slice(-10), // Last 10 entries
             cpuHashRate: this.stats.hashRate, // Add CPU hash rate
             lastNonce: this.stats.lastNonce >>> 0,
+            throttle: { ...this.getThrottle(), workerNiceness: Object.fromEntries(this.workerNiceness) },
+            workerLimit: this.workerLimit,
         };
     }
 
@@ -583,7 +794,7 @@ class CPUMiner {
 
             // Adjust worker count based on system load
             const currentWorkers = this.workers.length;
-            const maxWorkers = this.config.get('performance.workers.maxCount');
+            const maxWorkers = this.getMaxWorkers();
             const cpuThreshold = this.config.get('performance.thresholds.cpu');
             const memoryThreshold = this.config.get('performance.thresholds.memory');
 
@@ -629,39 +840,9 @@ class CPUMiner {
             if (newCount > currentCount) {
                 // Add workers
                 const session = this.currentSession;
-                const batchSize = this.config.get('engines.cpu.batchSize');
 
                 for (let i = currentCount; i < newCount; i++) {
-                    const worker = new Worker(path.join(__dirname, '../workers/CPUWorker.js'), {
-                        workerData: {
-                            workerId: i,
-                            sessionId: session?.id,
-                            config: session ? {
-                                ticket_data: session.config.ticket_data,
-                                leader_address: session.config.leader_address,
-                                reward_address: session.config.reward_address,
-                                block_height: session.config.block_height,
-                                mining_type: session.config.mining_type,
-                                timestamp: session.config.timestamp,
-                                difficulty_target: session.config.difficulty_target,
-                                timeLimit: session.config.timeLimit,
-                                base_nonce: session.config.base_nonce >>> 0,
-                            } : undefined,
-                            baseNonce: session ? (session.config.base_nonce >>> 0) : 0,
-                            batchSize: batchSize,
-                            cpuCapabilities: this.cpuCapabilities
-                        }
-                    });
-
-                    worker.on('message', (data) => {
-                        this.handleWorkerMessage(data);
-                    });
-
-                    worker.on('error', (error) => {
-                        this.logger.error('CPU worker error', { workerId: i, error: error.message });
-                    });
-
-                    this.workers.push(worker);
+                    this.workers.push(this.spawnWorker(i, session));
                 }
 
                 this.logger.info('Added CPU workers', { added: newCount - currentCount });
@@ -672,7 +853,11 @@ class CPUMiner {
                 this.workers = this.workers.slice(0, newCount);
 
                 for (const worker of workersToRemove) {
+                    worker.replaced = true;
                     try { await worker.terminate(); } catch {}
+                    this.releaseWorkerLease(worker);
+                    this.workerLastNonce.delete(worker.workerId);
+                    this.retireWorkerStats(worker.workerId);
                 }
 
                 this.logger.info('Removed CPU workers', { removed: currentCount - newCount });
@@ -683,6 +868,114 @@ class CPUMiner {
         }
     }
 
+    /**
+     * Most workers to run: performance.workers.maxCount, the core count and the worker limit
+     */
+    getMaxWorkers() {
+        const maxCount = this.config.get('performance.workers.maxCount') || this.cpuCapabilities.cores;
+        const limit = this.workerLimit === null ? Infinity : this.workerLimit;
+        return Math.max(1, Math.min(maxCount, this.cpuCapabilities.cores, limit));
+    }
+
+    /**
+     * Cap the number of workers, adding or removing workers while mining
+     * تحديد الحد الأقصى لعدد العمال أثناء التعدين
+     * @param {number|null} limit - null removes the cap
+     * @returns {Promise<number>} The worker count now allowed
+     */
+    async setWorkerLimit(limit) {
+        this.workerLimit = Number.isInteger(limit) && limit > 0 ? limit : null;
+        const maxWorkers = this.getMaxWorkers();
+        if (this.isRunning && this.workers.length !== maxWorkers) {
+            await this.adjustWorkers(maxWorkers);
+        }
+        this.logger.info('CPU worker limit updated', { limit: this.workerLimit, maxWorkers });
+        return maxWorkers;
+    }
+
+    /**
+     * CPU usage cap (percent per worker thread) and Linux niceness of the workers
+     * @returns {{ maxUsage: number, niceness: number|null }}
+     */
+    getThrottle() {
+        const override = this.throttleOverride;
+        const niceness = 'niceness' in override ? override.niceness : this.config.get('engines.cpu.niceness', null);
+        return {
+            maxUsage: override.maxUsage ?? this.config.get('engines.cpu.maxUsage', 100),
+            niceness: Number.isInteger(niceness) ? niceness : null
+        };
+    }
+
+    /**
+     * Change the usage cap and niceness of running and future workers
+     * تعديل حد استخدام المعالج وأولوية العمال أثناء التشغيل
+     * @param {Object} throttle - { maxUsage, niceness }; omitted fields keep their value
+     * @param {Object} [options]
+     * @param {boolean} [options.persist] - Store them in the config (engines.cpu.*) rather than for this run only
+     * @returns {Promise<Object>} The throttle now in effect
+     */
+    async setThrottle({ maxUsage, niceness } = {}, { persist = false } = {}) {
+        const previous = this.getThrottle();
+        for (const [key, value] of Object.entries({ maxUsage, niceness })) {
+            if (value === undefined) continue;
+            if (persist) {
+                this.config.set(`engines.cpu.${key}`, value);
+                delete this.throttleOverride[key];
+            } else {
+                this.throttleOverride[key] = value;
+            }
+        }
+        const throttle = this.getThrottle();
+
+        // A thread may raise its niceness but lowering it needs privileges,
+        // so workers are replaced: new threads start at the process's niceness
+        const lowered = previous.niceness !== null &&
+            (throttle.niceness === null || throttle.niceness < previous.niceness);
+        if (lowered && this.isRunning) {
+            for (const worker of [...this.workers]) {
+                await this.restartWorker(worker.workerId);
+            }
+        } else {
+            for (const worker of this.workers) {
+                try { worker.postMessage({ type: 'throttle', ...throttle }); } catch {}
+            }
+        }
+        this.logger.info('CPU throttle updated', { ...throttle, workers: this.workers.length });
+        return throttle;
+    }
+
+    /**
+     * Replace a worker that stopped reporting with a fresh one on the same id
+     * استبدال عامل متوقف بعامل جديد
+     * @param {number} workerId
+     * @returns {Promise<boolean>} False if there is no such worker
+     */
+    async restartWorker(workerId) {
+        const index = this.workers.findIndex(w => w.workerId === workerId);
+        if (index === -1 || !this.isRunning) return false;
+
+        const worker = this.workers[index];
+        worker.replaced = true;
+        try { await worker.terminate(); } catch {}
+        // Its lease goes back to the pool and the new worker leases first
+        this.releaseWorkerLease(worker);
+        this.workerLastNonce.delete(workerId);
+        this.retireWorkerStats(workerId);
+        this.workers[index] = this.spawnWorker(workerId, this.currentSession);
+        this.logger.info('Restarted CPU worker', { workerId });
+        return true;
+    }
+
+    /**
+     * Keep the hashes of a worker that is going away; its replacement counts from 0
+     */
+    retireWorkerStats(workerId) {
+        const stats = this.workerStats.get(workerId);
+        if (!stats) return;
+        this.retiredHashes += stats.totalHashes || 0;
+        this.workerStats.delete(workerId);
+    }
+
     /**
      * Cleanup CPU resources
      * تنظيف موارد CPU
@@ -0,0 +1,124 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const WebGPUMiner = require("./GPUMiner");
+
+/**
+ * Mining engine backed by an external program (native, FPGA, ...) that
+ * speaks the WebGPU worker's protocol. Configured under
+ * engines.external.<name>; it gets the same leases, hot job switches and
+ * backoff/cooldown recovery as the WebGPU miner.
+ * محرك تعدين يشغّل برنامجًا خارجيًا يتحدث بروتوكول عامل WebGPU
+ *
+ * The program is started with:
+ *   MINER_CONFIG     JSON job: { ticket_data, leader_address, reward_address, block_height, mining_type,
+ *                    timestamp, target_hex, base_nonce, end_nonce, lease_id }
+ *   NONCE_LEASES     "true": search [base_nonce, end_nonce] and the leases that follow, never the whole space
+ *   JOB_STDIN        "true": read NDJSON from stdin:
+ *                      { type: "lease", id, start, end }   next range of the current job
+ *                      { type: "job", config, staged }     switch to config (drop queued leases)
+ *                      { type: "stage", config }           next job, to prepare ahead (null drops it)
+ *   STRUCTURED_LOGS  "true"; KEEP_ALIVE "false"
+ *
+ * It reports NDJSON on stdout (other lines are logged):
+ *   { type: "ready" }                                       once mining; start() fails without it
+ *   { type: "metrics", rate, avgRate, totalHashes, lastNonce, leaseId }  lastNonce: next nonce to search
+ *   { type: "solution", nonce, hash, header }               header: 176 hex
+ *   { type: "leaseDone", leaseId, lastNonce }               range finished; another lease follows
+ *   { type: "jobSwitched", baseNonce, block_height, staged }
+ *   { type: "deviceLost", reason }                          restarts it after cooldownMsOnDeviceLost
+ * A non-zero exit restarts it with backoff; exit code 0 means the job's
+ * nonce space is used up.
+ */
+class ExternalMiner extends WebGPUMiner {
+  /**
+   * @param {Object} config - ConfigManager
+   * @param {Object} logger - Logger instance
+   * @param {Object} options
+   * @param {string} options.name - Engine name; settings are read from engines.external.<name>
+   */
+  constructor(config, logger, options = {}) {
+    super(config, logger, { configPrefix: `engines.external.${options.name}` });
+    this.name = options.name;
+    this.logger = logger && typeof logger.child === "function" ? logger.child({ component: "ExternalMiner", engine: this.name }) : console;
+    this.leaseOwner = this.name;
+  }
+
+  /**
+   * Configured external engines: the entries of engines.external
+   * @returns {string[]}
+   */
+  static configuredNames(config) {
+    const external = config && typeof config.get === "function" ? config.get("engines.external", {}) : {};
+    return external && typeof external === "object" && !Array.isArray(external) ? Object.keys(external) : [];
+  }
+
+  async initialize() {
+    const { command } = this._getSpawnCommand();
+    if (!command) throw new Error(`engines.external.${this.name}.command is not set`);
+    // Bare names are looked up on PATH when spawned
+    if (command.includes("/") || command.includes("\\")) {
+      try {
+        fs.accessSync(command, fs.constants.X_OK);
+      } catch {
+        throw new Error(`External miner '${this.name}' command is not executable: ${command}`);
+      }
+    }
+    this.isInitialized = true;
+    this.logger.info && this.logger.info("ExternalMiner initialized", { command });
+  }
+
+  _getSpawnCommand() {
+    const command = this._getGpuCfg("command", null);
+    const args = this._getGpuCfg("args", []);
+    // Relative paths resolve from the working directory, like engines.modules
+    const resolve = (p) => (p && (p.startsWith(".") || path.isAbsolute(p)) ? path.resolve(p) : p);
+    return {
+      command: resolve(command),
+      args: Array.isArray(args) ? args.map(String) : [],
+      cwd: path.resolve(this._getGpuCfg("cwd", ".")),
+    };
+  }
+
+  _addEngineEnv(env) {
+    Object.assign(env, this._getGpuCfg("env", {}) || {});
+  }
+
+  _getLeaseSize() {
+    return this._getGpuCfg("leaseSize", this._getNonceCfg("gpuLeaseSize", 268435456));
+  }
+
+  _handleEvent(evt) {
+    // Launch-parameter tuning belongs to the WebGPU worker
+    if (evt && evt.type === "tuned") return;
+    super._handleEvent(evt);
+  }
+
+  async getStats() {
+    const { tuning, ...stats } = this.stats;
+    return {
+      ...stats,
+      uptime: this.stats.startTime ? Date.now() - this.stats.startTime : 0,
+      isRunning: this.isRunning,
+      command: this._getSpawnCommand().command,
+      restarts: this.restarts,
+      consecutiveFailures: this.consecutiveFailures,
+      backoffMs: this._currentBackoffMs,
+      activeLeases: this.getActiveLeases(),
+    };
+  }
+
+  async getHealth() {
+    return {
+      status: this.isRunning ? "healthy" : this._isRecovering ? "recovering" : "stopped",
+      uptime: this.stats.startTime ? Date.now() - this.stats.startTime : 0,
+      hashRate: this.stats.hashRate,
+      solutions: this.stats.solutions,
+      restarts: this.restarts,
+      consecutiveFailures: this.consecutiveFailures,
+    };
+  }
+}
+
+module.exports = ExternalMiner;
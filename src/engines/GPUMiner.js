@@ -1,12 +1,31 @@
 "use strict";
 
 const { spawn } = require("child_process");
+const fs = require("fs");
 const path = require("path");
+const NonceAllocator = require("../core/NonceAllocator");
+
+// Leases held by the child: the one being searched plus one queued
+const LEASE_DEPTH = 2;
+// How long the adapter probe may take
+const LIST_ADAPTERS_TIMEOUT_MS = 15000;
 
 class WebGPUMiner {
-  constructor(config, logger) {
+  /**
+   * @param {Object} config - ConfigManager
+   * @param {Object} logger - Logger instance
+   * @param {Object} [options]
+   * @param {Object} [options.device] - Adapter for the child: { index, name, backend, env }; default adapter when omitted
+   * @param {string} [options.configPrefix] - Config section with the recovery settings (default engines.gpu)
+   */
+  constructor(config, logger, options = {}) {
     this.config = config || {};
-    this.logger = logger && typeof logger.child === "function" ? logger.child({ component: "WebGPUMiner" }) : console;
+    this.configPrefix = options.configPrefix || "engines.gpu";
+    this.device = options.device || null;
+    const component = { component: "WebGPUMiner", ...(this.device ? { device: this.device.index } : {}) };
+    this.logger = logger && typeof logger.child === "function" ? logger.child(component) : console;
+    // Nonce lease owner; one per device when several adapters mine together
+    this.leaseOwner = this.device ? `gpu:${this.device.index}` : "gpu";
 
     this.isInitialized = false;
     this.isRunning = false;
@@ -23,13 +42,20 @@ class WebGPUMiner {
       totalHashes: 0,
       startTime: 0,
       lastUpdate: 0,
+      lastJobSwitchMs: null,
+      // Launch parameters in use and where they came from (profile/tuning/default)
+      tuning: null,
     };
 
     // Resilience / recovery state
     this.stopRequested = false;
     this._isRecovering = false;
     this._restartTimer = null;
+    this._deferredRestart = null;
     this.consecutiveFailures = 0;
+    this.restarts = 0;
+    // Child processes started so far
+    this.launches = 0;
 
     // Backoff and cooldown configuration (with safe defaults)
     this.initialBackoffMs = this._getGpuCfg("initialBackoffMs", 1000);
@@ -43,6 +69,17 @@ class WebGPUMiner {
     this._onReadyReject = null;
     this._readyTimer = null;
 
+    // Nonce leases handed to the child, oldest (being searched) first
+    this.nonceAllocator = null;
+    this.leases = [];
+    // Job the child is mining, and the next one staged ahead of a rollover
+    this._jobConfig = null;
+    this._stagedConfig = null;
+    this._jobSentAt = 0;
+
+    // Per-adapter launch profiles last passed to the child
+    this._tuningProfiles = {};
+
     this.onSolution = null;
     this.onError = null;
   }
@@ -63,8 +100,23 @@ class WebGPUMiner {
   }
 
   _getMinerPath() {
-    // Miner script is located at src/workers/StandaloneWebGPUWorker.js
-    return path.resolve(__dirname, "../workers/StandaloneWebGPUWorker.js");
+    return WebGPUMiner.workerPath(this.config);
+  }
+
+  /**
+   * Worker script: src/workers/StandaloneWebGPUWorker.js, or the CPU-backed
+   * SimulatedGPUWorker.js when engines.gpu.simulator.enabled is set
+   */
+  static workerPath(config) {
+    const simulator = config && typeof config.get === "function" ? config.get("engines.gpu.simulator", null) : null;
+    const worker = simulator && simulator.enabled ? "SimulatedGPUWorker.js" : "StandaloneWebGPUWorker.js";
+    return path.resolve(__dirname, "../workers", worker);
+  }
+
+  // Command that starts the child
+  _getSpawnCommand() {
+    const minerPath = this._getMinerPath();
+    return { command: process.execPath || "node", args: ["--expose-gc", minerPath], cwd: path.dirname(minerPath) };
   }
 
   _buildMinerEnv(session) {
@@ -72,10 +124,86 @@ class WebGPUMiner {
     env.STRUCTURED_LOGS = "true";
     env.NODE_ENV = env.NODE_ENV || "production";
     env.KEEP_ALIVE = "false"; // ensure the child exits when it finishes a range
+    env.JOB_STDIN = "true"; // accept hot job switches on stdin
+    env.NONCE_LEASES = "true"; // search leased ranges instead of running to MAX_NONCE
+
+    this._addEngineEnv(env);
 
+    env.MINER_CONFIG = JSON.stringify(this._buildMinerConfig(session, this._acquireLease(this._jobConfig)));
+    return env;
+  }
+
+  // Worker-specific environment: tuning profiles, adapter selection and the simulator script
+  _addEngineEnv(env) {
+    env.GPU_TUNING = JSON.stringify(this._buildTuningConfig());
+    const simulator = this._getGpuCfg("simulator", null);
+    if (simulator && simulator.enabled) {
+      // The launch number lets faults target the first start or a given restart
+      env.GPU_SIMULATOR = JSON.stringify({ ...simulator, run: this.launches });
+    }
+    if (this.device) {
+      env.GPU_ADAPTER = JSON.stringify({ name: this.device.name, backend: this.device.backend || undefined });
+      // Per-device environment, e.g. to tell identical cards apart
+      Object.assign(env, this.device.env || {});
+    }
+  }
+
+  // Tuning settings for the child, with the stored per-adapter profiles
+  _buildTuningConfig() {
+    const tuning = this._getGpuCfg("tuning", {}) || {};
+    const mode = ["auto", "retune", "off"].includes(tuning.mode) ? tuning.mode : "auto";
+    this._tuningProfiles = mode === "auto" ? this._loadTuningProfiles() : {};
+    return {
+      mode,
+      passes: tuning.passes || 3,
+      maxPassMs: tuning.maxPassMs || 100,
+      profiles: this._tuningProfiles,
+    };
+  }
+
+  _getProfilesPath() {
+    const tuning = this._getGpuCfg("tuning", {}) || {};
+    if (tuning.profilesFile) return path.resolve(tuning.profilesFile);
+    let stateDir = "data/state";
+    try {
+      if (this.config && typeof this.config.get === "function") {
+        stateDir = this.config.get("storage.paths.state", stateDir) || stateDir;
+      }
+    } catch {}
+    return path.resolve(stateDir, "gpu-profiles.json");
+  }
+
+  _loadTuningProfiles() {
+    const file = this._getProfilesPath();
+    try {
+      if (!fs.existsSync(file)) return {};
+      const profiles = JSON.parse(fs.readFileSync(file, "utf8"));
+      return profiles && typeof profiles === "object" ? profiles : {};
+    } catch (e) {
+      this.logger.warn && this.logger.warn("Ignoring unreadable GPU tuning profiles", { file, error: e.message });
+      return {};
+    }
+  }
+
+  // Store a tuned profile under its adapter name (written via a temp file)
+  _saveTuningProfile(adapter, profile) {
+    const file = this._getProfilesPath();
+    try {
+      const profiles = this._loadTuningProfiles();
+      profiles[adapter] = profile;
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(profiles, null, 2));
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      this.logger.warn && this.logger.warn("Failed to save GPU tuning profile", { file, error: e.message });
+    }
+  }
+
+  _buildMinerConfig(session, lease = null) {
     // Prepare miner configuration from session
     const cfg = (session && session.config) || {};
-    const minerConfig = {
+    return {
       ticket_data: cfg.ticket_data,
       leader_address: cfg.leader_address,
       reward_address: cfg.reward_address,
@@ -83,11 +211,92 @@ class WebGPUMiner {
       mining_type: cfg.mining_type,
       timestamp: cfg.timestamp,
       target_hex: cfg.target_hex || cfg.difficulty_target,
-      base_nonce: cfg.base_nonce || 0,
+      base_nonce: lease ? lease.start : 0,
+      end_nonce: lease ? lease.end : undefined,
+      lease_id: lease ? lease.id : null,
     };
+  }
 
-    env.MINER_CONFIG = JSON.stringify(minerConfig);
-    return env;
+  setNonceAllocator(allocator) {
+    this.nonceAllocator = allocator;
+  }
+
+  _getNonceAllocator() {
+    if (!this.nonceAllocator) {
+      // Standalone use: a drained job is reported like the old clean exit
+      this.nonceAllocator = new NonceAllocator({
+        logger: this.logger,
+        onDrained: () => {
+          if (this.isRunning && this.onError) {
+            try { this.onError({ type: "nonce_exhausted" }); } catch {}
+          }
+        },
+      });
+    }
+    return this.nonceAllocator;
+  }
+
+  _getLeaseSize() {
+    return this._getNonceCfg("gpuLeaseSize", 268435456);
+  }
+
+  _acquireLease(config) {
+    if (!config) return null;
+    const size = this._getLeaseSize();
+    const lease = this._getNonceAllocator().acquire(config, this.leaseOwner, size);
+    if (lease) this.leases.push(lease);
+    return lease;
+  }
+
+  _releaseLeases() {
+    const allocator = this._getNonceAllocator();
+    for (const lease of this.leases) allocator.release(lease.id);
+    this.leases = [];
+  }
+
+  // Keep LEASE_DEPTH leases with the child so it never waits between ranges
+  _topUpLeases() {
+    if (!this.child || !this.child.stdin || !this.child.stdin.writable) return;
+    while (this.leases.length < LEASE_DEPTH) {
+      const lease = this._acquireLease(this._jobConfig);
+      if (!lease) break;
+      this.child.stdin.write(JSON.stringify({ type: "lease", id: lease.id, start: lease.start, end: lease.end }) + "\n");
+    }
+    // Out of work on the current job: move straight on to the staged one
+    if (this.leases.length === 0 && this._stagedConfig) {
+      this._sendJob(this._stagedConfig, true);
+    }
+  }
+
+  _sendJob(config, staged = false) {
+    // The child drops queued leases when it takes the new job
+    this._releaseLeases();
+    this._jobConfig = config;
+    this._stagedConfig = null;
+    this._jobSentAt = Date.now();
+    const line = JSON.stringify({ type: "job", config: this._buildMinerConfig({ config }, this._acquireLease(config)), staged });
+    this.child.stdin.write(line + "\n");
+    this._topUpLeases();
+  }
+
+  /**
+   * Hand the child the next job ahead of time; it prepares the header
+   * buffers and switches to it without a respawn once the current job has
+   * nothing left to lease. null drops a staged job.
+   */
+  stageJob(config) {
+    this._stagedConfig = config || null;
+    if (!this.child || !this.child.stdin || !this.child.stdin.writable) return false;
+    const line = JSON.stringify({ type: "stage", config: config ? this._buildMinerConfig({ config }) : null });
+    this.child.stdin.write(line + "\n");
+    return true;
+  }
+
+  /**
+   * Nonce leases currently held by the GPU child
+   */
+  getActiveLeases() {
+    return this.leases.map((l) => ({ id: l.id, start: l.start, end: l.end }));
   }
 
   async start(session) {
@@ -108,34 +317,48 @@ class WebGPUMiner {
     this.currentSession = session || null;
     this._sessionId = (session && session.id) || null;
 
-    // Reset recovery flags
+    // Reset recovery flags (an auto-restart keeps its failure streak and backoff)
     this.stopRequested = false;
-    this.consecutiveFailures = 0;
-    this._currentBackoffMs = this.initialBackoffMs;
+    if (!this._isRecovering) {
+      this.consecutiveFailures = 0;
+      this._currentBackoffMs = this.initialBackoffMs;
+    }
 
-    const minerPath = this._getMinerPath();
-    const nodeArgs = ["--expose-gc", minerPath];
+    const { command, args, cwd } = this._getSpawnCommand();
 
+    // Leases left over from a previous run go back to the pool
+    this._releaseLeases();
+    this._jobConfig = (session && session.config) || null;
+    this._stagedConfig = null;
     const env = this._buildMinerEnv(session);
+    this.launches++;
 
     // Start child process
-    this.child = spawn(process.execPath || "node", nodeArgs, {
-      cwd: path.dirname(minerPath),
+    this.child = spawn(command, args, {
+      cwd,
       env,
-      stdio: ["ignore", "pipe", "pipe"],
+      stdio: ["pipe", "pipe", "pipe"],
     });
+    // Writes may race with child exit; exit handling covers that case
+    this.child.stdin.on("error", () => {});
 
     this.isRunning = true;
+    this._topUpLeases();
 
     // Setup readiness promise
     const readyPromise = new Promise((resolve, reject) => {
       this._onReadyResolve = resolve;
       this._onReadyReject = reject;
       this._readyTimer = setTimeout(() => {
+        this._readyTimer = null;
+        this._onReadyResolve = null;
+        this._onReadyReject = null;
         try {
-          reject(new Error("GPU miner ready timeout"));
+          reject(new Error("Miner ready timeout"));
         } catch {}
-      }, 15000);
+        // A child stuck before ready is killed; its exit goes through the usual restart path
+        try { if (this.child) this.child.kill("SIGKILL"); } catch {}
+      }, this._getGpuCfg("readyTimeoutMs", 15000));
     });
 
     // Wire stdout/stderr with unified line-buffered handler
@@ -165,8 +388,10 @@ class WebGPUMiner {
       const running = this.isRunning;
       this.isRunning = false;
       this.child = null;
+      // Unsearched parts of the child's leases are reclaimed for the next holder
+      this._releaseLeases();
 
-      this.logger.info && this.logger.info("WebGPUMiner exited", { code, signal });
+      this.logger.info && this.logger.info("Miner process exited", { code, signal });
       const wasStopRequested = this.stopRequested;
 
       // Notify external error handler for non-zero exit
@@ -228,6 +453,9 @@ class WebGPUMiner {
   }
 
   async stop() {
+    // Also cancels a pending autonomous restart
+    this.stopRequested = true;
+    if (this._restartTimer) { try { clearTimeout(this._restartTimer); } catch {} this._restartTimer = null; }
     if (!this.child) {
       this.isRunning = false;
       return;
@@ -235,7 +463,6 @@ class WebGPUMiner {
 
     this.logger.debug && this.logger.debug("Stopping WebGPUMiner...");
 
-    this.stopRequested = true;
     const proc = this.child;
     return new Promise((resolve) => {
       const cleanup = () => {
@@ -244,6 +471,7 @@ class WebGPUMiner {
         this._onReadyReject = null;
         this.child = null;
         this.isRunning = false;
+        this._releaseLeases();
         resolve();
       };
 
@@ -265,6 +493,24 @@ class WebGPUMiner {
     });
   }
 
+  /**
+   * Hand a new job (leader/height/timestamp) to the running miner process.
+   * The worker applies it between compute passes without reinitializing WebGPU.
+   * @returns {Promise<boolean>} True if the job was sent
+   */
+  async updateJob(session) {
+    this.currentSession = session || this.currentSession;
+    if (!this.child || !this.child.stdin || !this.child.stdin.writable) return false;
+    const config = (session && session.config) || null;
+    const allocator = this._getNonceAllocator();
+    if (config && this._jobConfig && allocator.jobKey(config) === allocator.jobKey(this._jobConfig)) {
+      // Already switched to this (staged) job
+      return true;
+    }
+    this._sendJob(config);
+    return true;
+  }
+
   async cleanup() {
     try {
       if (this.isRunning) {
@@ -273,7 +519,7 @@ class WebGPUMiner {
       this.isInitialized = false;
       if (this._restartTimer) { try { clearTimeout(this._restartTimer); } catch {} this._restartTimer = null; }
       this._isRecovering = false;
-      this.logger.info && this.logger.info("WebGPUMiner cleanup completed");
+      this.logger.info && this.logger.info("Miner cleanup completed");
     } catch (e) {
       this.logger.error && this.logger.error("Cleanup error", { error: e.message });
     }
@@ -286,6 +532,7 @@ class WebGPUMiner {
       isRunning: this.isRunning,
       gpuCapabilities: { adapterName: "ExternalProcess", deviceLimits: "unknown", features: "unknown" },
       gpuHashRate: this.stats.hashRate,
+      device: this.getDeviceInfo(),
     };
   }
 
@@ -299,6 +546,72 @@ class WebGPUMiner {
     };
   }
 
+  /**
+   * The adapter this miner runs on, with its rate and recovery state
+   */
+  getDeviceInfo() {
+    return {
+      index: this.device ? this.device.index : null,
+      name: (this.device && this.device.name) || (this.stats.tuning && this.stats.tuning.adapter) || null,
+      backend: (this.device && this.device.backend) || null,
+      status: this.isRunning ? "healthy" : this._isRecovering ? "recovering" : "stopped",
+      hashRate: this.stats.hashRate,
+      avgRate: this.stats.avgRate,
+      totalHashes: this.stats.totalHashes,
+      solutions: this.stats.solutions,
+      lastNonce: this.stats.lastNonce,
+      restarts: this.restarts,
+      consecutiveFailures: this.consecutiveFailures,
+      backoffMs: this._currentBackoffMs,
+      tuning: this.stats.tuning,
+      activeLeases: this.getActiveLeases(),
+    };
+  }
+
+  /**
+   * Adapters the WebGPU runtime can see, from a short-lived worker probe
+   * @param {number} [timeoutMs]
+   * @param {Object} [config] - ConfigManager; selects the simulator when it is enabled
+   * @returns {Promise<{adapters: Array<{backend: string, name: string}>, default: string|null}>}
+   */
+  static listAdapters(timeoutMs = LIST_ADAPTERS_TIMEOUT_MS, config = null) {
+    const minerPath = WebGPUMiner.workerPath(config);
+    const simulator = config && typeof config.get === "function" ? config.get("engines.gpu.simulator", null) : null;
+    const env = simulator && simulator.enabled ? { ...process.env, GPU_SIMULATOR: JSON.stringify(simulator) } : process.env;
+    return new Promise((resolve, reject) => {
+      const child = spawn(process.execPath || "node", [minerPath, "--list-adapters"], {
+        cwd: path.dirname(minerPath),
+        env,
+        stdio: ["ignore", "pipe", "pipe"],
+      });
+      let stdout = "";
+      let stderr = "";
+      const timer = setTimeout(() => {
+        try { child.kill("SIGKILL"); } catch {}
+        reject(new Error("Adapter probe timed out"));
+      }, timeoutMs);
+      child.stdout.setEncoding("utf8");
+      child.stdout.on("data", (chunk) => { stdout += chunk; });
+      child.stderr.setEncoding("utf8");
+      child.stderr.on("data", (chunk) => { stderr += chunk; });
+      child.on("error", (err) => {
+        clearTimeout(timer);
+        reject(err);
+      });
+      child.on("exit", (code) => {
+        clearTimeout(timer);
+        for (const line of stdout.split("\n")) {
+          try {
+            const evt = JSON.parse(line);
+            if (evt && evt.type === "adapters") return resolve({ adapters: evt.adapters || [], default: evt.default || null });
+          } catch {}
+        }
+        const reason = stderr.trim().split("\n").pop() || `exit code ${code}`;
+        reject(new Error(`Adapter probe failed: ${reason}`));
+      });
+    });
+  }
+
   setSolutionCallback(callback) {
     this.onSolution = callback;
   }
@@ -340,8 +653,15 @@ class WebGPUMiner {
 
     switch (evt.type) {
       case "ready": {
-        // evt may include wg and count
-        this.logger.info && this.logger.info("Miner ready", { wg: evt.wg, count: evt.count });
+        // evt may include wg, count, the adapter name and where the launch parameters came from
+        this.stats.tuning = {
+          adapter: evt.adapter || null,
+          workgroupSize: evt.wg,
+          count: evt.count,
+          source: evt.tuning || "default",
+          tunedAt: evt.tuning === "profile" ? (this._tuningProfiles?.[evt.adapter]?.tunedAt ?? null) : null,
+        };
+        this.logger.info && this.logger.info("Miner ready", { wg: evt.wg, count: evt.count, adapter: evt.adapter, tuning: evt.tuning });
         if (this._readyTimer) { try { clearTimeout(this._readyTimer); } catch {} this._readyTimer = null; }
         if (this._onReadyResolve) { try { this._onReadyResolve(); } catch {} }
         this._onReadyResolve = null;
@@ -354,6 +674,10 @@ class WebGPUMiner {
         if (Number.isFinite(evt.rate)) this.stats.hashRate = Math.max(0, evt.rate);
         if (Number.isFinite(evt.avgRate)) this.stats.avgRate = Math.max(0, evt.avgRate);
         this.stats.lastUpdate = Date.now();
+        // lastNonce is the next nonce to search
+        if (evt.leaseId != null && Number.isFinite(evt.lastNonce)) {
+          this._getNonceAllocator().progress(evt.leaseId, evt.lastNonce - 1);
+        }
         if (this.onMetrics) {
           try {
             this.onMetrics(this._sessionId || null, {
@@ -381,6 +705,52 @@ class WebGPUMiner {
         this._currentBackoffMs = this.initialBackoffMs;
         break;
       }
+      case "leaseDone": {
+        const index = this.leases.findIndex((l) => l.id === evt.leaseId);
+        if (index !== -1) {
+          this._getNonceAllocator().complete(evt.leaseId, evt.lastNonce);
+          this.leases.splice(index, 1);
+        }
+        this._topUpLeases();
+        break;
+      }
+      case "jobSwitched": {
+        this.stats.lastNonce = (evt.baseNonce >>> 0) || 0;
+        // Time from sending the job to the child mining it
+        this.stats.lastJobSwitchMs = this._jobSentAt ? Date.now() - this._jobSentAt : null;
+        this.logger.info && this.logger.info("Miner switched to new job", {
+          blockHeight: evt.block_height,
+          baseNonce: evt.baseNonce,
+          staged: !!evt.staged,
+          switchMs: this.stats.lastJobSwitchMs,
+        });
+        break;
+      }
+      case "tuned": {
+        const profile = evt.profile || {};
+        const tunedAt = new Date().toISOString();
+        this.stats.tuning = {
+          adapter: evt.adapter || null,
+          workgroupSize: profile.workgroupSize,
+          count: profile.count,
+          source: "tuning",
+          tunedAt,
+        };
+        this.logger.info && this.logger.info("GPU launch parameters tuned", {
+          adapter: evt.adapter,
+          workgroupSize: profile.workgroupSize,
+          count: profile.count,
+          rate: profile.rate,
+          passMs: profile.passMs,
+          tuningMs: profile.tuningMs,
+        });
+        if (evt.adapter) this._saveTuningProfile(evt.adapter, { ...profile, tunedAt });
+        break;
+      }
+      case "jobStaged": {
+        this.logger.debug && this.logger.debug("Miner staged next job", { timestamp: evt.timestamp });
+        break;
+      }
       case "deviceLost": {
         // Escalate and also auto-recover
         if (this.onError) { try { this.onError({ error: evt.reason || "device_lost", type: "device_lost", phase: evt.phase }); } catch {} }
@@ -399,13 +769,24 @@ class WebGPUMiner {
   _getGpuCfg(key, def) {
     try {
       if (this.config && typeof this.config.get === "function") {
-        const v = this.config.get(`engines.gpu.${key}`);
+        const v = this.config.get(`${this.configPrefix}.${key}`);
         return v !== undefined && v !== null ? v : def;
       }
     } catch {}
     try {
-      if (this.config && this.config.engines && this.config.engines.gpu && key in this.config.engines.gpu) {
-        const v = this.config.engines.gpu[key];
+      const section = this.configPrefix.split(".").reduce((obj, k) => (obj && typeof obj === "object" ? obj[k] : undefined), this.config);
+      if (section && typeof section === "object" && key in section) {
+        const v = section[key];
+        return v !== undefined && v !== null ? v : def;
+      }
+    } catch {}
+    return def;
+  }
+
+  _getNonceCfg(key, def) {
+    try {
+      if (this.config && typeof this.config.get === "function") {
+        const v = this.config.get(`mining.nonce.${key}`);
         return v !== undefined && v !== null ? v : def;
       }
     } catch {}
@@ -415,11 +796,15 @@ class WebGPUMiner {
   _sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
 
   _scheduleRestart(reason, opts = {}) {
-    if (this._isRecovering || this.stopRequested) return;
+    if (this.stopRequested) return;
+    if (this._isRecovering) {
+      this._deferredRestart = { reason, opts };
+      return;
+    }
     this._isRecovering = true;
     const { cooldownMs = 1000, fullReset = false } = opts;
     if (this._restartTimer) { try { clearTimeout(this._restartTimer); } catch {} }
-    this.logger.warn && this.logger.warn("Scheduling GPU miner restart", { reason, cooldownMs, fullReset });
+    this.logger.warn && this.logger.warn("Scheduling miner restart", { reason, cooldownMs, fullReset });
     this._restartTimer = setTimeout(async () => {
       try {
         // Ensure previous child is gone
@@ -435,7 +820,8 @@ class WebGPUMiner {
         }
         if (this.currentSession) {
           // Restart with possibly updated session config (e.g., after rollover)
-          this.logger.info && this.logger.info("Restarting GPU miner after recovery", { reason });
+          this.logger.info && this.logger.info("Restarting miner after recovery", { reason });
+          this.restarts++;
           try { await this.start(this.currentSession); } catch (e) {
             this.logger.error && this.logger.error("Auto-restart failed", { error: e.message });
           }
@@ -443,6 +829,10 @@ class WebGPUMiner {
       } finally {
         this._isRecovering = false;
       }
+      // The restarted child failed while this recovery was running; retry as it asked
+      const deferred = this._deferredRestart;
+      this._deferredRestart = null;
+      if (deferred && !this.isRunning) this._scheduleRestart(deferred.reason, deferred.opts);
     }, Math.max(0, cooldownMs | 0));
   }
 }
@@ -0,0 +1,337 @@
+"use strict";
+
+const WebGPUMiner = require("./GPUMiner");
+const NonceAllocator = require("../core/NonceAllocator");
+
+// Preferred backend when the runtime lists one adapter under several
+const BACKEND_ORDER = ["vulkan", "d3d12", "metal", "d3d11", "opengl", "opengles", "webgpu"];
+// Software rasterizers; "all" skips them
+const SOFTWARE_ADAPTER = /swiftshader|llvmpipe|lavapipe|softpipe|basic render/i;
+
+/**
+ * One entry per physical adapter: the runtime lists every adapter once per
+ * backend, so keep each name on its preferred backend. Identical cards share
+ * a name and get `duplicate` 1, 2, ...
+ * @param {Array<{backend: string, name: string}>} listed
+ * @returns {Array<{index: number, name: string, backend: string, software: boolean, duplicate: number}>}
+ */
+function normalizeAdapters(listed) {
+  const byName = new Map();
+  for (const { backend, name } of listed || []) {
+    if (!name || !backend || backend === "null") continue;
+    const entry = byName.get(name) || new Map();
+    entry.set(backend, (entry.get(backend) || 0) + 1);
+    byName.set(name, entry);
+  }
+  const rank = (backend) => {
+    const i = BACKEND_ORDER.indexOf(backend);
+    return i === -1 ? BACKEND_ORDER.length : i;
+  };
+  const adapters = [];
+  for (const [name, backends] of byName) {
+    const [backend, count] = [...backends.entries()].sort((a, b) => rank(a[0]) - rank(b[0]))[0];
+    for (let duplicate = 0; duplicate < count; duplicate++) {
+      adapters.push({ index: adapters.length, name, backend, software: SOFTWARE_ADAPTER.test(name), duplicate });
+    }
+  }
+  return adapters;
+}
+
+/**
+ * Adapters chosen by engines.gpu.devices
+ * @param {string|Array<number|string|Object>} spec - "all", indices, name substrings or { index | name, backend, env }
+ * @param {Array<Object>} adapters - normalizeAdapters() output
+ * @param {Object} logger
+ * @returns {Array<{index: number, name: string, backend: string, env?: Object}>}
+ */
+function selectDevices(spec, adapters, logger) {
+  const picked = [];
+  const add = (adapter, extra = {}) => {
+    if (!adapter) return;
+    if (picked.some((d) => d.index === adapter.index)) return;
+    // The runtime selects by name, so an identical second card needs its own env to be told apart
+    if (adapter.duplicate > 0 && !extra.env) {
+      logger.warn && logger.warn("Skipping GPU adapter identical to another one", {
+        index: adapter.index,
+        name: adapter.name,
+        hint: "give it an env entry in engines.gpu.devices",
+      });
+      return;
+    }
+    picked.push({ index: adapter.index, name: adapter.name, backend: extra.backend || adapter.backend, ...(extra.env ? { env: extra.env } : {}) });
+  };
+
+  if (spec === "all") {
+    const hardware = adapters.filter((a) => !a.software);
+    for (const adapter of hardware.length > 0 ? hardware : adapters) add(adapter);
+    return picked;
+  }
+  for (const item of Array.isArray(spec) ? spec : [spec]) {
+    const index = Number.isInteger(item) ? item : item && Number.isInteger(item.index) ? item.index : null;
+    if (index !== null) {
+      const adapter = adapters[index];
+      if (!adapter) logger.warn && logger.warn("No GPU adapter at index", { index, available: adapters.length });
+      add(adapter, Number.isInteger(item) ? {} : item);
+      continue;
+    }
+    const wanted = typeof item === "string" ? { name: item } : item || {};
+    const name = String(wanted.name || "").toLowerCase();
+    const adapter = adapters.find((a) =>
+      a.name.toLowerCase().includes(name) &&
+      (!wanted.backend || a.backend === wanted.backend) &&
+      !picked.some((d) => d.index === a.index) &&
+      (a.duplicate === 0 || wanted.env)
+    );
+    if (!adapter) logger.warn && logger.warn("No GPU adapter matches", { device: wanted.name || item });
+    add(adapter, wanted);
+  }
+  return picked;
+}
+
+/**
+ * WebGPU mining on several adapters: one worker process per device, each
+ * with its own nonce leases, restart/backoff state and stats. Presents the
+ * same interface as a single WebGPUMiner.
+ */
+class MultiGPUMiner {
+  /**
+   * @param {Object} config - ConfigManager
+   * @param {Object} logger - Logger instance
+   */
+  constructor(config, logger) {
+    this.config = config || {};
+    this.rootLogger = logger;
+    this.logger = logger && typeof logger.child === "function" ? logger.child({ component: "MultiGPUMiner" }) : console;
+
+    this.isInitialized = false;
+    this.miners = [];
+    this.adapters = [];
+    this.nonceAllocator = null;
+
+    // Aggregate counters; per-device totals reset when a device restarts
+    this.stats = {
+      hashRate: 0,
+      avgRate: 0,
+      lastNonce: 0,
+      solutions: 0,
+      totalHashes: 0,
+      startTime: 0,
+      lastUpdate: 0,
+    };
+    this._hashesAcc = 0;
+    this._lastDeviceTotals = new Map();
+
+    this.onSolution = null;
+    this.onError = null;
+    this.onMetrics = null;
+  }
+
+  /**
+   * engines.gpu.devices selects adapters (anything but "default" or unset)
+   */
+  static isConfigured(config) {
+    const devices = config && typeof config.get === "function" ? config.get("engines.gpu.devices", "default") : "default";
+    return devices !== undefined && devices !== null && devices !== "default";
+  }
+
+  get isRunning() {
+    return this.miners.some((m) => m.isRunning);
+  }
+
+  async initialize() {
+    const spec = this.config.get("engines.gpu.devices", "all");
+    const probe = await WebGPUMiner.listAdapters(undefined, this.config);
+    this.adapters = normalizeAdapters(probe.adapters);
+    this.logger.info && this.logger.info("GPU adapters found", {
+      adapters: this.adapters.map((a) => `${a.index}: ${a.name} (${a.backend}${a.software ? ", software" : ""})`),
+      default: probe.default,
+    });
+    const devices = selectDevices(spec, this.adapters, this.logger);
+    if (devices.length === 0) throw new Error("No GPU adapter matches engines.gpu.devices");
+
+    this.miners = devices.map((device) => new WebGPUMiner(this.config, this.rootLogger, { device }));
+    for (const miner of this.miners) {
+      await miner.initialize();
+      if (this.nonceAllocator) miner.setNonceAllocator(this.nonceAllocator);
+      this._wire(miner);
+    }
+    this.isInitialized = true;
+    this.logger.info && this.logger.info("MultiGPUMiner initialized", { devices: devices.map((d) => `${d.index}: ${d.name}`) });
+  }
+
+  setNonceAllocator(allocator) {
+    this.nonceAllocator = allocator;
+    for (const miner of this.miners) miner.setNonceAllocator(allocator);
+  }
+
+  // Devices must lease from one allocator, or their ranges would overlap
+  _getNonceAllocator() {
+    if (!this.nonceAllocator) {
+      this.setNonceAllocator(new NonceAllocator({
+        logger: this.logger,
+        onDrained: () => {
+          if (this.isRunning && this.onError) {
+            try { this.onError({ type: "nonce_exhausted" }); } catch {}
+          }
+        },
+      }));
+    }
+    return this.nonceAllocator;
+  }
+
+  _wire(miner) {
+    const index = miner.device.index;
+    miner.setSolutionCallback((sessionId, solution) => {
+      this.stats.solutions++;
+      if (this.onSolution) this.onSolution(sessionId, { ...solution, device: index });
+    });
+    miner.setErrorCallback((err) => {
+      if (this.onError) this.onError({ ...err, device: index });
+    });
+    miner.setMetricsCallback((sessionId, metrics) => this._onDeviceMetrics(miner, sessionId, metrics));
+  }
+
+  _onDeviceMetrics(miner, sessionId, metrics) {
+    const index = miner.device.index;
+    const total = Number(metrics.totalHashes) || 0;
+    const last = this._lastDeviceTotals.get(index);
+    // A device that restarted counts from zero again
+    this._hashesAcc += last !== undefined && total >= last ? total - last : total;
+    this._lastDeviceTotals.set(index, total);
+
+    this.stats.hashRate = this.miners.reduce((sum, m) => sum + (m.isRunning ? m.stats.hashRate : 0), 0);
+    this.stats.avgRate = this.miners.reduce((sum, m) => sum + (m.isRunning ? m.stats.avgRate : 0), 0);
+    this.stats.totalHashes = this._hashesAcc >>> 0;
+    this.stats.lastNonce = metrics.lastNonce;
+    this.stats.lastUpdate = Date.now();
+    if (this.onMetrics) {
+      try {
+        this.onMetrics(sessionId, {
+          lastNonce: metrics.lastNonce,
+          rate: this.stats.hashRate,
+          avgRate: this.stats.avgRate,
+          totalHashes: this.stats.totalHashes,
+          timestamp: this.stats.lastUpdate,
+          worker: index,
+          workerLastNonce: metrics.lastNonce,
+        });
+      } catch {}
+    }
+  }
+
+  /**
+   * Start every device; succeeds when at least one is ready. A device that
+   * fails keeps retrying with its own backoff.
+   */
+  async start(session) {
+    if (!this.isInitialized) throw new Error("GPU miner not initialized");
+    this._getNonceAllocator();
+    Object.assign(this.stats, { hashRate: 0, avgRate: 0, solutions: 0, totalHashes: 0, startTime: Date.now(), lastUpdate: Date.now() });
+    this._hashesAcc = 0;
+    this._lastDeviceTotals.clear();
+    this.session = session;
+
+    const results = await Promise.allSettled(this.miners.map((m) => m.start(session)));
+    const failed = results
+      .map((r, i) => (r.status === "rejected" ? { device: this.miners[i].device.index, error: r.reason && r.reason.message } : null))
+      .filter(Boolean);
+    if (failed.length === this.miners.length) {
+      throw new Error(`No GPU device started: ${failed.map((f) => `${f.device}: ${f.error}`).join("; ")}`);
+    }
+    if (failed.length > 0) {
+      this.logger.warn && this.logger.warn("Some GPU devices failed to start; they will retry", { failed });
+    }
+  }
+
+  async stop() {
+    await Promise.all(this.miners.map((m) => m.stop()));
+  }
+
+  /**
+   * Restart one device (its worker stopped reporting); the others keep mining
+   * @param {number} index - Adapter index
+   * @returns {Promise<boolean>} False if no such device is running
+   */
+  async restartWorker(index) {
+    const miner = this.miners.find((m) => m.device.index === index);
+    if (!miner || !this.session) return false;
+    await miner.stop();
+    await miner.start(this.session);
+    if (this.session.stagedJob) miner.stageJob(this.session.stagedJob.config);
+    this.logger.info && this.logger.info("Restarted GPU device", { device: index });
+    return true;
+  }
+
+  async updateJob(session) {
+    const sent = await Promise.all(this.miners.map((m) => m.updateJob(session)));
+    return sent.some(Boolean);
+  }
+
+  stageJob(config) {
+    return this.miners.map((m) => m.stageJob(config)).some(Boolean);
+  }
+
+  getActiveLeases() {
+    return this.miners.flatMap((m) => m.getActiveLeases());
+  }
+
+  async cleanup() {
+    await Promise.all(this.miners.map((m) => m.cleanup()));
+    this.isInitialized = false;
+    this.logger.info && this.logger.info("MultiGPUMiner cleanup completed");
+  }
+
+  /**
+   * Per-device details of every adapter
+   */
+  getDevices() {
+    return this.miners.map((m) => m.getDeviceInfo());
+  }
+
+  async getStats() {
+    return {
+      ...this.stats,
+      uptime: this.stats.startTime ? Date.now() - this.stats.startTime : 0,
+      isRunning: this.isRunning,
+      gpuCapabilities: {
+        adapterName: this.miners.map((m) => m.device.name).join(", ") || "none",
+        deviceLimits: "unknown",
+        features: "unknown",
+      },
+      gpuHashRate: this.stats.hashRate,
+      devices: this.getDevices(),
+    };
+  }
+
+  async getHealth() {
+    const devices = this.getDevices();
+    const healthy = devices.filter((d) => d.status === "healthy").length;
+    return {
+      status: healthy === devices.length && healthy > 0 ? "healthy" : healthy > 0 ? "degraded" : "stopped",
+      uptime: this.stats.startTime ? Date.now() - this.stats.startTime : 0,
+      hashRate: this.stats.hashRate,
+      solutions: this.stats.solutions,
+      gpuUsage: 0,
+      devices: devices.map(({ index, name, backend, status, hashRate, solutions, restarts, consecutiveFailures }) => ({
+        index, name, backend, status, hashRate, solutions, restarts, consecutiveFailures,
+      })),
+    };
+  }
+
+  setSolutionCallback(callback) {
+    this.onSolution = callback;
+  }
+
+  setErrorCallback(callback) {
+    this.onError = callback;
+  }
+
+  setMetricsCallback(callback) {
+    this.onMetrics = callback;
+  }
+}
+
+MultiGPUMiner.normalizeAdapters = normalizeAdapters;
+MultiGPUMiner.selectDevices = selectDevices;
+
+module.exports = MultiGPUMiner;
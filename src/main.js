@@ -99,6 +99,7 @@ async function createDirectories() {
         'data/solutions',
         'data/state',
         'data/backup',
+        'data/queue',
         'src'
     ];
 
@@ -117,7 +118,10 @@ async function start() {
 
         // Start all systems
         await webServer.start();
-        await miningSystem.start();
+        // Mine right away unless a schedule rule says otherwise
+        if (!(await miningSystem.scheduler.start())) {
+            await miningSystem.start();
+        }
         await monitoringSystem.start();
 
 
@@ -338,6 +342,11 @@ const gracefulShutdown = async (signal) => {
             mainMonitoringInterval = null;
         }
 
+        // No schedule rule may start mining again while shutting down
+        if (miningSystem) {
+            miningSystem.scheduler.stop();
+        }
+
         // Stop web server
         if (webServer) {
             if (logger) {
@@ -452,6 +461,138 @@ function setupCLI() {
             console.log(JSON.stringify(config.getAll(), null, 2));
         });
 
+    program
+        .command('mock-rpc')
+        .description('Run a local mock KBUC RPC node for offline development')
+        .option('-c, --config <path>', 'Configuration file path (for the default target)')
+        .option('-p, --port <port>', 'Listen port', '18443')
+        .option('--host <host>', 'Bind address', '127.0.0.1')
+        .option('--leaders <list>', 'Comma-separated leader addresses (40 hex chars each)')
+        .option('--height <n>', 'Starting block height', '1000')
+        .option('--block-time <seconds>', 'Advance one block every N seconds (0 = manual)', '0')
+        .option('--checkpoint-every <n>', 'Every Nth height is a checkpoint block (0 = never)', '0')
+        .option('--target <hex>', 'Difficulty target (default: mining.blockchain.defaultDifficultyTarget)')
+        .option('--latency <ms>', 'Added response latency in milliseconds', '0')
+        .option('--jitter <ms>', 'Random extra latency up to this many milliseconds', '0')
+        .option('--error-rate <p>', 'Probability (0-1) of answering HTTP 503', '0')
+        .option('--user <user>', 'Require basic auth user')
+        .option('--password <password>', 'Require basic auth password')
+        .action(async (options) => {
+            if (options.config) {
+                process.env.CONFIG_PATH = options.config;
+            }
+            const MockRpcNode = require('./tools/MockRpcNode');
+
+            let target = options.target;
+            if (!target) {
+                config = new ConfigManager();
+                await config.load();
+                target = config.get('mining.blockchain.defaultDifficultyTarget');
+            }
+
+            const node = new MockRpcNode({
+                host: options.host,
+                port: parseInt(options.port, 10),
+                leaders: options.leaders ? options.leaders.split(',').map(l => l.trim()).filter(Boolean) : undefined,
+                height: parseInt(options.height, 10),
+                blockTimeMs: parseFloat(options.blockTime) * 1000,
+                checkpointEvery: parseInt(options.checkpointEvery, 10),
+                target,
+                latencyMs: parseInt(options.latency, 10),
+                jitterMs: parseInt(options.jitter, 10),
+                errorRate: parseFloat(options.errorRate),
+                user: options.user,
+                password: options.password
+            });
+            await node.start();
+            console.log(kleur.green(`✅ Mock RPC node ready. Point the miner at it with rpc.host "http://${options.host}" and rpc.port ${node.port}`));
+
+            // No mining system to shut down here
+            const stop = async () => {
+                await node.stop();
+                process.exit(0);
+            };
+            process.removeAllListeners('SIGINT');
+            process.removeAllListeners('SIGTERM');
+            process.on('SIGINT', stop);
+            process.on('SIGTERM', stop);
+        });
+
+    program
+        .command('bench')
+        .description('Benchmark the mining engines on a synthetic job and compare with the previous run')
+        .option('-c, --config <path>', 'Configuration file path')
+        .option('-d, --duration <seconds>', 'Measured seconds per case', '10')
+        .option('--warmup <seconds>', 'Unmeasured seconds before each case', '2')
+        .option('--engines <list>', 'Comma-separated engines to run (cpu, gpu)', 'cpu,gpu')
+        .option('--workers <list>', 'Comma-separated CPU worker counts (default: 1 and all cores)')
+        .option('--batch-sizes <list>', 'Comma-separated CPU batch sizes (default: engines.cpu.batchSize)')
+        .option('--threshold <percent>', 'Flag cases more than this much slower than the previous run', '10')
+        .option('-o, --output <file>', 'Write the results here instead of storage.paths.bench')
+        .option('--baseline <file>', 'Compare with this result file instead of the latest stored run')
+        .option('--no-save', 'Do not store the results')
+        .option('--json', 'Print the results and comparison as JSON')
+        .option('--fail-on-regression', 'Exit with code 1 when a regression is flagged')
+        .action(async (options) => {
+            if (options.config) {
+                process.env.CONFIG_PATH = options.config;
+            }
+            const EngineBenchmark = require('./tools/EngineBenchmark');
+            const list = (value) => value ? value.split(',').map(v => v.trim()).filter(Boolean) : undefined;
+            const numbers = (value) => list(value)?.map(v => parseInt(v, 10)).filter(n => n > 0);
+
+            // Keep stdout to the JSON document with --json
+            const log = console.log;
+            if (options.json) console.log = console.error;
+            config = new ConfigManager();
+            try {
+                await config.load();
+            } finally {
+                console.log = log;
+            }
+            logger = new Logger({ ...config.get('logging'), level: 'warn', console: !options.json });
+
+            const bench = new EngineBenchmark(config, logger, {
+                engines: list(options.engines),
+                durationMs: parseFloat(options.duration) * 1000,
+                warmupMs: parseFloat(options.warmup) * 1000,
+                workerCounts: numbers(options.workers),
+                batchSizes: numbers(options.batchSizes),
+                threshold: parseFloat(options.threshold)
+            });
+
+            process.removeAllListeners('SIGINT');
+            process.removeAllListeners('SIGTERM');
+            process.on('SIGINT', () => bench.abort());
+            process.on('SIGTERM', () => bench.abort());
+
+            const previous = options.baseline
+                ? { file: options.baseline, run: await fs.readJson(options.baseline) }
+                : await bench.loadPrevious();
+            const run = await bench.run((entry) => {
+                if (options.json) return;
+                const label = entry.engine === 'cpu' ? `cpu x${entry.workers} batch ${entry.batchSize}` : entry.engine;
+                const rate = entry.status === 'ok' ? `${(entry.hashRate / 1000).toFixed(1)} kH/s` : `${entry.status}: ${entry.error || ''}`;
+                console.log(kleur.gray(`  ${label}: ${rate}`));
+            });
+            const comparison = bench.compare(run, previous?.run, previous?.file);
+            const saved = options.save ? await bench.save(run, options.output) : null;
+
+            if (options.json) {
+                console.log(JSON.stringify({ run, comparison, saved }, null, 2));
+            } else {
+                console.log('');
+                console.log(bench.formatReport(comparison));
+                if (saved) console.log(kleur.green(`\n✅ Results written to ${saved}`));
+            }
+            if (comparison.regressions > 0) {
+                if (!options.json) console.log(kleur.red(`⚠️ ${comparison.regressions} regression(s) flagged`));
+                if (options.failOnRegression) process.exitCode = 1;
+            }
+            // Worker threads and timers of the stopped engines do not hold the process
+            process.exit();
+        });
+
     return program.parseAsync();
 }
 
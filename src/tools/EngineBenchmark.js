@@ -0,0 +1,301 @@
+/**
+ * Engine Benchmark
+ * قياس أداء محركات التعدين
+ *
+ * Runs each engine on a synthetic job (no RPC node, a target no hash can
+ * meet) for a fixed time: CPU once per worker count x batch size, WebGPU once
+ * if its worker starts. Results are stored as JSON and compared with the
+ * previous stored run so throughput regressions are flagged.
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const CPUMiner = require('../engines/CPUMiner');
+
+// Fixed job so runs are comparable; the all-zero target is never met
+const BENCH_JOB = {
+    ticket_data: 'ced7c860704c8bb3946e87b060f5a972642777a043759349e212fb5d920d90c9',
+    leader_address: '842983de8fb1d277a3fad5c8295c7a14317c4587',
+    reward_address: '021bbd75cf6530bd40f4ab8b131600e0188f4a8c',
+    block_height: 1000,
+    mining_type: 1,
+    timestamp: 1761234567,
+    difficulty_target: '0'.repeat(64)
+};
+const ENGINES = ['cpu', 'gpu'];
+const SAMPLE_MS = 250;
+
+/**
+ * Config view with some keys replaced (dot paths)
+ */
+function overlayConfig(config, overrides) {
+    return {
+        get: (key, defaultValue) => (key in overrides ? overrides[key] : config.get(key, defaultValue)),
+        getAll: () => config.getAll()
+    };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class EngineBenchmark {
+    /**
+     * @param {Object} config - ConfigManager
+     * @param {Object} logger - Logger instance
+     * @param {Object} [options]
+     * @param {string[]} [options.engines] - 'cpu', 'gpu'
+     * @param {number} [options.durationMs] - Measured time per case
+     * @param {number} [options.warmupMs] - Unmeasured time before each case
+     * @param {number[]} [options.workerCounts] - CPU worker counts
+     * @param {number[]} [options.batchSizes] - CPU batch sizes
+     * @param {string} [options.resultsDir] - Where runs are stored
+     * @param {number} [options.threshold] - Slowdown (%) flagged as a regression
+     */
+    constructor(config, logger, options = {}) {
+        this.config = config;
+        this.logger = logger;
+        const cores = os.cpus().length;
+        this.engines = (options.engines || ENGINES).filter(e => ENGINES.includes(e));
+        this.durationMs = options.durationMs || 10000;
+        this.warmupMs = options.warmupMs ?? 2000;
+        this.workerCounts = options.workerCounts || [...new Set([1, cores])];
+        this.batchSizes = options.batchSizes || [config.get('engines.cpu.batchSize', 10000)];
+        this.resultsDir = path.resolve(options.resultsDir || config.get('storage.paths.bench', 'data/bench'));
+        this.threshold = options.threshold ?? 10;
+
+        this.miner = null;
+        this.aborted = false;
+    }
+
+    /**
+     * Run every case in order
+     * @param {Function} [onCase] - (result) => void after each case
+     * @returns {Promise<Object>} Run: { startedAt, host, job, durationMs, cases }
+     */
+    async run(onCase) {
+        const cpus = os.cpus();
+        const result = {
+            startedAt: new Date().toISOString(),
+            host: {
+                hostname: os.hostname(),
+                cpuModel: cpus[0]?.model || 'Unknown',
+                cores: cpus.length,
+                platform: os.platform(),
+                arch: os.arch(),
+                node: process.version
+            },
+            job: BENCH_JOB,
+            durationMs: this.durationMs,
+            warmupMs: this.warmupMs,
+            cases: []
+        };
+
+        const plan = [];
+        if (this.engines.includes('cpu')) {
+            for (const workers of this.workerCounts) {
+                for (const batchSize of this.batchSizes) plan.push({ engine: 'cpu', workers, batchSize });
+            }
+        }
+        if (this.engines.includes('gpu')) plan.push({ engine: 'gpu' });
+
+        for (const spec of plan) {
+            if (this.aborted) break;
+            const entry = spec.engine === 'cpu'
+                ? await this.runCPU(spec.workers, spec.batchSize)
+                : await this.runGPU();
+            result.cases.push(entry);
+            if (onCase) onCase(entry);
+        }
+        result.finishedAt = new Date().toISOString();
+        return result;
+    }
+
+    /**
+     * CPU workers on the synthetic job, without worker auto-scaling
+     */
+    async runCPU(workers, batchSize) {
+        const entry = { engine: 'cpu', workers, batchSize, hashPath: null };
+        const config = overlayConfig(this.config, {
+            'performance.workers.maxCount': workers,
+            'performance.workers.autoScale': false,
+            'engines.cpu.batchSize': batchSize
+        });
+        const miner = new CPUMiner(config, this.logger);
+        this.miner = miner;
+        try {
+            await miner.initialize();
+            entry.hashPath = miner.hashKernel.hashPath;
+            // CPUMiner caps workers at the core count
+            entry.workers = Math.min(workers, miner.cpuCapabilities.cores);
+            await miner.start({ id: `bench-cpu-${workers}-${batchSize}`, config: BENCH_JOB });
+            Object.assign(entry, await this.measure(() => miner.stats.totalHashes));
+        } catch (error) {
+            Object.assign(entry, { status: 'failed', error: error.message });
+        } finally {
+            await miner.cleanup();
+            this.miner = null;
+        }
+        return entry;
+    }
+
+    /**
+     * The WebGPU worker process (one per adapter with engines.gpu.devices);
+     * 'unavailable' when it does not start
+     */
+    async runGPU() {
+        const entry = { engine: 'gpu' };
+        const GPUMiner = require('../engines/GPUMiner');
+        const MultiGPUMiner = require('../engines/MultiGPUMiner');
+        const miner = MultiGPUMiner.isConfigured(this.config)
+            ? new MultiGPUMiner(this.config, this.logger)
+            : new GPUMiner(this.config, this.logger);
+        this.miner = miner;
+        try {
+            await miner.initialize();
+            await miner.start({ id: 'bench-gpu', config: BENCH_JOB });
+            // The worker reports a 32-bit running total
+            Object.assign(entry, await this.measure(() => miner.stats.totalHashes, 0x100000000));
+        } catch (error) {
+            Object.assign(entry, { status: 'unavailable', error: error.message });
+        } finally {
+            // Also cancels the restart scheduled when the worker exits early
+            await miner.stop().catch(() => {});
+            await miner.cleanup();
+            this.miner = null;
+        }
+        return entry;
+    }
+
+    /**
+     * Hashes counted between the end of the warm-up and the end of the case
+     * @param {Function} readTotal - Current running total of hashes
+     * @param {number} [wrap] - Modulus of the running total, if it wraps
+     */
+    async measure(readTotal, wrap) {
+        await sleep(this.warmupMs);
+        let last = readTotal();
+        const startTime = process.hrtime.bigint();
+        let hashes = 0;
+        const deadline = Date.now() + this.durationMs;
+        while (Date.now() < deadline && !this.aborted) {
+            await sleep(Math.min(SAMPLE_MS, Math.max(1, deadline - Date.now())));
+            const total = readTotal();
+            hashes += wrap ? (total - last + wrap) % wrap : total - last;
+            last = total;
+        }
+        const seconds = Number(process.hrtime.bigint() - startTime) / 1e9;
+        return {
+            status: this.aborted ? 'aborted' : 'ok',
+            hashes,
+            seconds,
+            hashRate: seconds > 0 ? hashes / seconds : 0
+        };
+    }
+
+    /**
+     * Stop the running case (e.g. on SIGINT)
+     */
+    async abort() {
+        this.aborted = true;
+        if (this.miner) await this.miner.stop().catch(() => {});
+    }
+
+    static caseKey(entry) {
+        return entry.engine === 'cpu' ? `cpu|${entry.workers}|${entry.batchSize}` : entry.engine;
+    }
+
+    /**
+     * Compare a run with a baseline run, case by case
+     * @returns {{baseline: string|null, sameHost: boolean, rows: Object[], regressions: number}}
+     */
+    compare(run, baseline, baselineName = null) {
+        const previous = new Map();
+        for (const entry of baseline?.cases || []) {
+            if (entry.status === 'ok') previous.set(EngineBenchmark.caseKey(entry), entry);
+        }
+        const rows = run.cases.map(entry => {
+            const before = previous.get(EngineBenchmark.caseKey(entry));
+            if (entry.status !== 'ok' || !before || !(before.hashRate > 0)) {
+                return { ...entry, baselineRate: before ? before.hashRate : null, changePct: null, regression: false };
+            }
+            const changePct = (entry.hashRate / before.hashRate - 1) * 100;
+            return { ...entry, baselineRate: before.hashRate, changePct, regression: changePct < -this.threshold };
+        });
+        const sameHost = !baseline || (
+            baseline.host?.cpuModel === run.host.cpuModel &&
+            baseline.host?.cores === run.host.cores
+        );
+        return {
+            baseline: baseline ? baselineName : null,
+            sameHost,
+            threshold: this.threshold,
+            rows,
+            regressions: rows.filter(r => r.regression).length
+        };
+    }
+
+    /**
+     * Text table of a comparison
+     * @returns {string}
+     */
+    formatReport(comparison) {
+        const rate = (r) => (r == null ? '-' : `${(r / 1000).toFixed(1)} kH/s`);
+        const header = ['Engine', 'Workers', 'Batch', 'Path', 'Hashrate', 'Previous', 'Change', 'Note'];
+        const lines = comparison.rows.map(row => [
+            row.engine,
+            row.workers ?? '-',
+            row.batchSize ?? '-',
+            row.hashPath ?? '-',
+            row.status === 'ok' ? rate(row.hashRate) : row.status,
+            rate(row.baselineRate),
+            row.changePct == null ? '-' : `${row.changePct >= 0 ? '+' : ''}${row.changePct.toFixed(1)}%`,
+            row.regression ? 'REGRESSION' : (row.status === 'ok' ? '' : row.error || '')
+        ].map(String));
+        const widths = header.map((h, i) => Math.max(h.length, ...lines.map(l => l[i].length)));
+        const format = (cells) => cells.map((c, i) => c.padEnd(widths[i])).join('  ').trimEnd();
+
+        const out = [format(header), format(widths.map(w => '-'.repeat(w))), ...lines.map(format)];
+        if (!comparison.baseline) {
+            out.push('', 'No previous run to compare with.');
+        } else {
+            out.push('', `Compared with ${comparison.baseline} (regression: more than ${comparison.threshold}% slower)`);
+            if (!comparison.sameHost) out.push('Note: the previous run was on a different CPU; changes may not be regressions.');
+        }
+        return out.join('\n');
+    }
+
+    /**
+     * The most recent stored run, or null
+     */
+    async loadPrevious() {
+        if (!(await fs.pathExists(this.resultsDir))) return null;
+        const files = (await fs.readdir(this.resultsDir))
+            .filter(name => /^bench-.*\.json$/.test(name))
+            .sort();
+        for (const name of files.reverse()) {
+            try {
+                return { file: path.join(this.resultsDir, name), run: await fs.readJson(path.join(this.resultsDir, name)) };
+            } catch (error) {
+                this.logger.warn('Skipping unreadable benchmark result', { file: name, error: error.message });
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Store a run as bench-<timestamp>.json (or at `file`)
+     * @returns {Promise<string>} Written path
+     */
+    async save(run, file) {
+        const target = file
+            ? path.resolve(file)
+            : path.join(this.resultsDir, `bench-${run.startedAt.replace(/[:.]/g, '-')}.json`);
+        await fs.ensureDir(path.dirname(target));
+        await fs.writeJson(target, run, { spaces: 2 });
+        return target;
+    }
+}
+
+EngineBenchmark.BENCH_JOB = BENCH_JOB;
+
+module.exports = EngineBenchmark;
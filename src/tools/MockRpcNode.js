@@ -0,0 +1,297 @@
+/**
+ * Mock KBUC RPC Node
+ * عقدة RPC وهمية لـ KBUC للتطوير والاختبار
+ *
+ * Serves getsupportableleader / broadcastsupportticket over JSON-RPC 1.0 so the
+ * miner can run end-to-end offline. Supports batch requests, basic auth,
+ * simulated checkpoint blocks, injected latency and transport errors.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { isHashBelowTarget } = require('../utils/hashingUtils');
+const { decodeTicket } = require('../utils/ticketCodec');
+
+// bitcoind-style RPC error codes
+const RPC_PARSE_ERROR = -32700;
+const RPC_METHOD_NOT_FOUND = -32601;
+const RPC_INVALID_PARAMETER = -8;
+const RPC_VERIFY_REJECTED = -26;
+
+class MockRpcNode {
+    /**
+     * @param {Object} options
+     * @param {string} [options.host] - Bind address
+     * @param {number} [options.port] - Listen port
+     * @param {string[]} [options.leaders] - Leader addresses (40 hex) rotated per block
+     * @param {number} [options.height] - Starting block height
+     * @param {number} [options.blockTimeMs] - Advance one block every N ms (0 = manual)
+     * @param {number} [options.checkpointEvery] - Every Nth height is a checkpoint block (0 = never)
+     * @param {string} [options.target] - Difficulty target hex
+     * @param {number} [options.latencyMs] - Added response latency
+     * @param {number} [options.jitterMs] - Random extra latency up to this value
+     * @param {number} [options.errorRate] - Probability [0,1] of answering HTTP 503
+     * @param {string} [options.user] - Basic auth user
+     * @param {string} [options.password] - Basic auth password
+     * @param {Object} [options.logger] - Logger (console-compatible)
+     */
+    constructor(options = {}) {
+        this.host = options.host || '127.0.0.1';
+        this.port = options.port ?? 18443;
+        this.leaders = (options.leaders && options.leaders.length > 0)
+            ? options.leaders.map(l => l.toLowerCase())
+            : [0, 1, 2].map(i => crypto.createHash('sha256').update(`kbuc-mock-leader-${i}`).digest('hex').slice(0, 40));
+        this.height = options.height ?? 1000;
+        this.blockTimeMs = options.blockTimeMs || 0;
+        this.checkpointEvery = options.checkpointEvery || 0;
+        this.target = (options.target || '000000ffffff0000000000000000000000000000000000000000000000000000').toLowerCase();
+        this.latencyMs = options.latencyMs || 0;
+        this.jitterMs = options.jitterMs || 0;
+        this.errorRate = options.errorRate || 0;
+        this.user = options.user || '';
+        this.password = options.password || '';
+        this.logger = options.logger || console;
+
+        this.app = express();
+        this.server = null;
+        this.blockTimer = null;
+        this.seenTickets = new Set();
+        this.stats = {
+            requests: 0,
+            injectedErrors: 0,
+            accepted: 0,
+            rejected: 0,
+            rejectReasons: {}
+        };
+
+        this.methods = {
+            getsupportableleader: () => this.getSupportableLeader(),
+            broadcastsupportticket: (params) => this.broadcastSupportTicket(params),
+            getblockcount: () => this.height,
+            // Control methods for integration tests
+            mock_setheight: ([height]) => this.setHeight(height),
+            mock_advance: ([blocks = 1] = []) => this.setHeight(this.height + (blocks >>> 0)),
+            mock_setleaders: ([leaders]) => this.setLeaders(leaders),
+            mock_settarget: ([target]) => { this.target = String(target).toLowerCase(); return this.target; },
+            mock_stats: () => this.getStats()
+        };
+
+        this.setupRoutes();
+    }
+
+    /**
+     * Setup HTTP routes
+     * إعداد المسارات
+     */
+    setupRoutes() {
+        this.app.use(express.json({ limit: '1mb' }));
+
+        this.app.get('/stats', (req, res) => res.json(this.getStats()));
+
+        this.app.post('/', async (req, res) => {
+            this.stats.requests++;
+
+            if (!this.isAuthorized(req)) {
+                return res.status(401).end();
+            }
+
+            await this.delay();
+
+            if (this.errorRate > 0 && Math.random() < this.errorRate) {
+                this.stats.injectedErrors++;
+                return res.status(503).json({ error: 'Service unavailable (injected)' });
+            }
+
+            const body = req.body;
+            if (Array.isArray(body)) {
+                return res.json(body.map(call => this.dispatch(call)));
+            }
+
+            const response = this.dispatch(body);
+            // bitcoind answers single-call RPC errors with HTTP 500
+            res.status(response.error ? 500 : 200).json(response);
+        });
+
+        // Malformed JSON bodies
+        this.app.use((err, req, res, next) => {
+            res.status(500).json({ result: null, error: { code: RPC_PARSE_ERROR, message: 'Parse error' }, id: null });
+        });
+    }
+
+    /**
+     * Run a single JSON-RPC call
+     * @returns {{result: *, error: Object|null, id: *}}
+     */
+    dispatch(call) {
+        const id = call && call.id !== undefined ? call.id : null;
+        if (!call || typeof call.method !== 'string') {
+            return { result: null, error: { code: RPC_PARSE_ERROR, message: 'Invalid request' }, id };
+        }
+
+        const handler = this.methods[call.method];
+        if (!handler) {
+            return { result: null, error: { code: RPC_METHOD_NOT_FOUND, message: 'Method not found' }, id };
+        }
+
+        try {
+            return { result: handler(Array.isArray(call.params) ? call.params : []), error: null, id };
+        } catch (error) {
+            return { result: null, error: { code: error.code || RPC_INVALID_PARAMETER, message: error.message }, id };
+        }
+    }
+
+    isAuthorized(req) {
+        if (!this.user && !this.password) return true;
+        const expected = `Basic ${Buffer.from(`${this.user}:${this.password}`).toString('base64')}`;
+        return req.headers.authorization === expected;
+    }
+
+    delay() {
+        const ms = this.latencyMs + (this.jitterMs > 0 ? Math.random() * this.jitterMs : 0);
+        return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+    }
+
+    /**
+     * Whether the current height is a simulated checkpoint block
+     */
+    isCheckpoint(height = this.height) {
+        return this.checkpointEvery > 0 && height % this.checkpointEvery === 0;
+    }
+
+    /**
+     * Leader for a block height (rotates through the configured list)
+     */
+    leaderAt(height) {
+        return this.leaders[height % this.leaders.length];
+    }
+
+    getSupportableLeader() {
+        // Checkpoint blocks have no supportable leader
+        const leader = this.isCheckpoint() ? 'checkpoint' : this.leaderAt(this.height);
+        return { leader, height: this.height };
+    }
+
+    /**
+     * Validate and accept a support ticket
+     */
+    broadcastSupportTicket(params) {
+        const [ticket] = params;
+        const reason = this.validateTicket(ticket);
+        if (reason) {
+            this.stats.rejected++;
+            this.stats.rejectReasons[reason] = (this.stats.rejectReasons[reason] || 0) + 1;
+            this.logger.warn(`[mock-rpc] rejected ticket: ${reason}`);
+            const error = new Error(reason);
+            error.code = RPC_VERIFY_REJECTED;
+            throw error;
+        }
+
+        this.seenTickets.add(ticket.toLowerCase());
+        this.stats.accepted++;
+        const { hash } = decodeTicket(ticket);
+        this.logger.info(`[mock-rpc] accepted ticket height=${this.height} hash=${hash}`);
+        return hash;
+    }
+
+    /**
+     * Check ticket format, leader/height, proof of work and duplicates
+     * @param {string} ticket - 176-char hex
+     * @returns {string|null} Rejection reason, or null if valid
+     */
+    validateTicket(ticket) {
+        let fields;
+        try {
+            fields = decodeTicket(typeof ticket === 'string' ? ticket : '');
+        } catch (error) {
+            return error.reason;
+        }
+
+        const { leader_address: leader, block_height: height } = fields;
+        if (height !== this.height) {
+            return height < this.height ? 'stale-height' : 'bad-height';
+        }
+        if (this.isCheckpoint(height)) {
+            return 'checkpoint-block';
+        }
+        if (leader !== this.leaderAt(height)) {
+            return 'bad-leader';
+        }
+
+        if (!isHashBelowTarget(Buffer.from(fields.hash, 'hex'), this.target)) {
+            return 'high-hash';
+        }
+        if (this.seenTickets.has(ticket.toLowerCase())) {
+            return 'duplicate';
+        }
+        return null;
+    }
+
+    setHeight(height) {
+        const next = parseInt(height, 10);
+        if (!Number.isFinite(next) || next < 0) {
+            throw new Error('height must be a non-negative integer');
+        }
+        if (next !== this.height) {
+            this.height = next >>> 0;
+            // Tickets are per height; old ones can't be replayed anyway
+            this.seenTickets.clear();
+            this.logger.info(`[mock-rpc] height=${this.height} leader=${this.getSupportableLeader().leader}`);
+        }
+        return this.height;
+    }
+
+    setLeaders(leaders) {
+        const list = Array.isArray(leaders) ? leaders : [leaders];
+        if (list.length === 0 || list.some(l => typeof l !== 'string' || !/^[0-9a-fA-F]{40}$/.test(l))) {
+            throw new Error('leaders must be 40-char hex strings');
+        }
+        this.leaders = list.map(l => l.toLowerCase());
+        return this.leaders;
+    }
+
+    getStats() {
+        return {
+            height: this.height,
+            leader: this.getSupportableLeader().leader,
+            checkpoint: this.isCheckpoint(),
+            target: this.target,
+            ...this.stats
+        };
+    }
+
+    /**
+     * Start listening
+     * بدء الاستماع
+     */
+    async start() {
+        await new Promise((resolve, reject) => {
+            this.server = this.app.listen(this.port, this.host, resolve);
+            this.server.once('error', reject);
+        });
+        this.port = this.server.address().port;
+
+        if (this.blockTimeMs > 0) {
+            this.blockTimer = setInterval(() => this.setHeight(this.height + 1), this.blockTimeMs);
+        }
+
+        this.logger.info(`[mock-rpc] listening on http://${this.host}:${this.port} (height=${this.height})`);
+        return this.port;
+    }
+
+    /**
+     * Stop listening
+     * إيقاف الخادم
+     */
+    async stop() {
+        if (this.blockTimer) {
+            clearInterval(this.blockTimer);
+            this.blockTimer = null;
+        }
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+}
+
+module.exports = MockRpcNode;
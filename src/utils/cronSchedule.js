@@ -0,0 +1,203 @@
+/**
+ * Cron expressions evaluated in a time zone
+ * تعابير cron مع دعم المناطق الزمنية
+ *
+ * Five fields: minute hour day-of-month month day-of-week, each "*", a
+ * number, a range "a-b", a comma list of those, and "/n" after a range or
+ * "*" to take every n-th value.
+ * Months and weekdays also take names (jan-dec, sun-sat); weekday 7 is
+ * Sunday. As in cron, when both day fields are restricted a day matches
+ * either of them.
+ */
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"] },
+  { name: "day of week", min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] },
+];
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const MINUTE_MS = 60000;
+// How far nextRun/previousRun look
+const SEARCH_DAYS = 366;
+
+/**
+ * Build a cron error with a short reason code
+ */
+function cronError(message) {
+  const error = new Error(message);
+  error.reason = "invalid-schedule";
+  return error;
+}
+
+function parseValue(text, field) {
+  const lower = text.toLowerCase();
+  if (field.names && field.names.includes(lower)) {
+    return field.names.indexOf(lower) + (field.min === 1 ? 1 : 0);
+  }
+  if (!/^\d+$/.test(text)) throw cronError(`Invalid ${field.name} value '${text}'`);
+  const value = Number(text);
+  if (value < field.min || value > field.max) {
+    throw cronError(`${field.name} value ${value} is outside ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw cronError(`Invalid step in ${field.name} '${part}'`);
+    let from;
+    let to;
+    if (range === "*") {
+      from = field.min;
+      to = field.max;
+    } else if (range.includes("-")) {
+      const [a, b] = range.split("-");
+      from = parseValue(a, field);
+      to = parseValue(b, field);
+      if (from > to) throw cronError(`Invalid ${field.name} range '${range}'`);
+    } else {
+      from = parseValue(range, field);
+      to = stepText === undefined ? from : field.max;
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression
+ * @param {string} expression
+ * @returns {Object} Matcher for matches/nextRun/previousRun
+ * @throws {Error} reason 'invalid-schedule'
+ */
+function parseCron(expression) {
+  if (typeof expression !== "string") throw cronError("cron must be a string");
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== 5) throw cronError(`cron needs 5 fields (minute hour day month weekday), got ${parts.length}`);
+  const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+  return {
+    expression: parts.join(" "),
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2].startsWith("*"),
+    anyWeekday: parts[4].startsWith("*"),
+  };
+}
+
+/**
+ * Check a time zone name
+ * @throws {Error} reason 'invalid-schedule'
+ */
+function checkTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+  } catch {
+    throw cronError(`Unknown time zone '${timeZone}'`);
+  }
+}
+
+const formatters = new Map();
+
+/**
+ * Wall-clock fields of a time in a time zone
+ */
+function wallClock(time, timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      weekday: "short",
+    });
+    formatters.set(timeZone, formatter);
+  }
+  const fields = {};
+  for (const { type, value } of formatter.formatToParts(new Date(time))) fields[type] = value;
+  return {
+    month: Number(fields.month),
+    day: Number(fields.day),
+    hour: Number(fields.hour),
+    minute: Number(fields.minute),
+    weekday: WEEKDAYS[fields.weekday],
+  };
+}
+
+function dayMatches(cron, wall) {
+  const day = cron.days.has(wall.day);
+  const weekday = cron.weekdays.has(wall.weekday);
+  if (!cron.months.has(wall.month)) return false;
+  if (cron.anyDay || cron.anyWeekday) return day && weekday;
+  return day || weekday;
+}
+
+/**
+ * Whether the minute containing `time` matches
+ */
+function matches(cron, time, timeZone) {
+  const wall = wallClock(time, timeZone);
+  return dayMatches(cron, wall) && cron.hours.has(wall.hour) && cron.minutes.has(wall.minute);
+}
+
+/**
+ * Walk minute starts from `time` (inclusive) until one matches, skipping
+ * whole days and hours that cannot. Day skips stop an hour short so days
+ * that gain or lose an hour to DST are not jumped over.
+ * @param {number} direction - 1 forward, -1 backward
+ */
+function search(cron, time, timeZone, direction) {
+  let t = Math.floor(time / MINUTE_MS) * MINUTE_MS;
+  const limit = t + direction * SEARCH_DAYS * 24 * 60 * MINUTE_MS;
+  while (direction > 0 ? t <= limit : t >= limit) {
+    const wall = wallClock(t, timeZone);
+    const minuteOfDay = wall.hour * 60 + wall.minute;
+    let skip = 1;
+    if (!dayMatches(cron, wall)) {
+      // To the end (start) of the day, less an hour while more than two are left
+      const rest = direction > 0 ? 24 * 60 - minuteOfDay : minuteOfDay + 1;
+      skip = rest > 120 ? rest - 60 : rest;
+    } else if (!cron.hours.has(wall.hour)) {
+      skip = direction > 0 ? 60 - wall.minute : wall.minute + 1;
+    } else if (cron.minutes.has(wall.minute)) {
+      return t;
+    }
+    t += direction * Math.max(1, skip) * MINUTE_MS;
+  }
+  return null;
+}
+
+/**
+ * First matching minute after `time`
+ * @returns {number|null} Epoch ms, or null if none within a year
+ */
+function nextRun(cron, time, timeZone) {
+  return search(cron, time + MINUTE_MS, timeZone, 1);
+}
+
+/**
+ * Last matching minute at or before `time`
+ * @returns {number|null} Epoch ms, or null if none within a year
+ */
+function previousRun(cron, time, timeZone) {
+  return search(cron, time, timeZone, -1);
+}
+
+module.exports = {
+  parseCron,
+  checkTimeZone,
+  matches,
+  nextRun,
+  previousRun,
+};
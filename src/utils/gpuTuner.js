@@ -0,0 +1,160 @@
+/**
+ * WebGPU launch-parameter tuner
+ * ضبط معاملات تشغيل WebGPU تلقائيًا
+ *
+ * Sweeps workgroup sizes at a fixed batch count, then batch counts at the
+ * best workgroup size. Tuning passes are ordinary mining passes on the
+ * current lease, so no nonces are wasted. The winner is the fastest
+ * candidate whose pass latency stays within maxPassMs; among candidates
+ * within 2% of that rate the lowest latency wins.
+ */
+
+const WORKGROUP_SIZES = [32, 64, 128, 256, 512, 1024];
+const BATCH_COUNTS = [8192, 16384, 32768, 65536, 131072, 262144, 524288];
+// Batch count used while the workgroup sizes are swept
+const SWEEP_COUNT = 65536;
+// Rates this close to the best are treated as equal
+const RATE_TOLERANCE = 0.02;
+
+/**
+ * Best candidate: fastest within the latency budget, lowest latency on ties
+ * @param {Object[]} results - { rate, passMs, failed }
+ * @param {number} maxPassMs
+ * @returns {Object|null}
+ */
+function pickBest(results, maxPassMs) {
+  const usable = results.filter((r) => !r.failed && r.rate > 0);
+  if (usable.length === 0) return null;
+  const within = usable.filter((r) => r.passMs <= maxPassMs);
+  if (within.length === 0) {
+    return usable.reduce((a, b) => (b.passMs < a.passMs ? b : a));
+  }
+  const bestRate = Math.max(...within.map((r) => r.rate));
+  return within
+    .filter((r) => r.rate >= bestRate * (1 - RATE_TOLERANCE))
+    .reduce((a, b) => (b.passMs < a.passMs ? b : a));
+}
+
+class GpuTuner {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxWorkgroupSize - Adapter limit (maxComputeInvocationsPerWorkgroup)
+   * @param {number} [options.maxWorkgroupsPerDimension] - Adapter dispatch limit
+   * @param {number} [options.passes] - Measured passes per candidate (after one warm-up pass)
+   * @param {number} [options.maxPassMs] - Latency budget of one pass
+   */
+  constructor(options) {
+    this.maxWorkgroupSize = options.maxWorkgroupSize;
+    this.maxWorkgroups = options.maxWorkgroupsPerDimension || 65535;
+    this.passes = Math.max(1, options.passes || 3);
+    this.maxPassMs = options.maxPassMs || 100;
+    this.startedAt = Date.now();
+
+    this.stage = "workgroup";
+    this.results = [];
+    this.queue = this.fits(WORKGROUP_SIZES.filter((wg) => wg <= this.maxWorkgroupSize).map((wg) => ({ wg, count: SWEEP_COUNT })));
+    if (this.queue.length === 0) {
+      this.queue = [{ wg: this.maxWorkgroupSize, count: Math.min(SWEEP_COUNT, this.maxWorkgroupSize * this.maxWorkgroups) }];
+    }
+    this.startCandidate();
+  }
+
+  // Drop candidates that would exceed the dispatch limit
+  fits(candidates) {
+    return candidates.filter((c) => Math.ceil(c.count / c.wg) <= this.maxWorkgroups);
+  }
+
+  startCandidate() {
+    const next = this.queue.shift();
+    this.candidate = next ? { ...next, stage: this.stage, warm: false, hashes: 0, ms: 0, measured: 0 } : null;
+  }
+
+  /**
+   * Launch parameters for the next pass
+   * @returns {{wg: number, count: number}}
+   */
+  current() {
+    return { wg: this.candidate.wg, count: this.candidate.count };
+  }
+
+  /**
+   * Record a completed pass
+   * @returns {boolean} True when tuning is finished
+   */
+  record(hashes, ms) {
+    const c = this.candidate;
+    if (!c.warm) {
+      // First pass of a candidate includes pipeline compilation
+      c.warm = true;
+      return false;
+    }
+    c.hashes += hashes;
+    c.ms += ms;
+    c.measured++;
+    if (c.measured < this.passes) return false;
+    this.results.push({
+      stage: c.stage,
+      wg: c.wg,
+      count: c.count,
+      rate: c.ms > 0 ? (c.hashes * 1000) / c.ms : 0,
+      passMs: c.ms / c.measured,
+    });
+    return this.advance();
+  }
+
+  /**
+   * The current candidate failed (e.g. a pass error); skip it
+   * @returns {boolean} True when tuning is finished
+   */
+  fail(reason) {
+    const c = this.candidate;
+    this.results.push({ stage: c.stage, wg: c.wg, count: c.count, rate: 0, passMs: null, failed: true, reason });
+    return this.advance();
+  }
+
+  advance() {
+    if (this.queue.length > 0) {
+      this.startCandidate();
+      return false;
+    }
+    if (this.stage === "workgroup") {
+      const best = pickBest(this.results, this.maxPassMs);
+      if (best) {
+        this.stage = "count";
+        this.queue = this.fits(BATCH_COUNTS.filter((count) => count !== best.count).map((count) => ({ wg: best.wg, count })));
+        if (this.queue.length > 0) {
+          this.startCandidate();
+          return false;
+        }
+      }
+    }
+    this.candidate = null;
+    return true;
+  }
+
+  /**
+   * Chosen profile once tuning is finished
+   * @returns {{workgroupSize: number, count: number, rate: number, passMs: number, maxWorkgroupSize: number, tuningMs: number, candidates: Object[]}|null}
+   */
+  result() {
+    const best = pickBest(this.results, this.maxPassMs);
+    if (!best) return null;
+    return {
+      workgroupSize: best.wg,
+      count: best.count,
+      rate: best.rate,
+      passMs: best.passMs,
+      maxPassMs: this.maxPassMs,
+      maxWorkgroupSize: this.maxWorkgroupSize,
+      tuningMs: Date.now() - this.startedAt,
+      candidates: this.results,
+    };
+  }
+}
+
+module.exports = {
+  GpuTuner,
+  pickBest,
+  WORKGROUP_SIZES,
+  BATCH_COUNTS,
+};
@@ -1,5 +1,21 @@
 const crypto = require("crypto");
 
+/**
+ * Decodes the 32-byte ticket_data field (defaults to zeros when absent)
+ * @param {string} [hex] - 64 hex chars, optionally 0x-prefixed
+ * @returns {Buffer} 32-byte buffer
+ */
+function ticketDataBytes(hex) {
+  if (hex === undefined || hex === null || hex === "") {
+    return Buffer.alloc(32);
+  }
+  const clean = String(hex).replace(/^0x/, "");
+  if (clean.length !== 64 || /[^0-9a-fA-F]/.test(clean)) {
+    throw new Error("ticket_data must be 32 bytes (64 hex chars)");
+  }
+  return Buffer.from(clean, "hex");
+}
+
 /**
  * Builds the header prefix for mining
  * @param {Object} cfg - Configuration object containing mining parameters
@@ -7,13 +23,14 @@ const crypto = require("crypto");
  */
 function buildHeaderPrefix(cfg) {
   try {
+    const ticketData = ticketDataBytes(cfg.ticket_data);
     const leader = Buffer.from(cfg.leader_address, "hex");
     const reward = Buffer.from(cfg.reward_address, "hex");
     const buf = Buffer.alloc(1 + 32 + 1 + 20 + 4 + 1 + 20 + 1 + 4);
     let off = 0;
     buf.writeUInt8(32, off);
     off += 1;
-    Buffer.alloc(32).copy(buf, off);
+    ticketData.copy(buf, off);
     off += 32;
     buf.writeUInt8(20, off);
     off += 1;
@@ -114,6 +131,7 @@ function calculateHash(cfg, nonce) {
 }
 
 module.exports = {
+  ticketDataBytes,
   buildHeaderPrefix,
   buildHeaderWithNonce,
   doubleSHA256,
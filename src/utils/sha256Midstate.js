@@ -0,0 +1,175 @@
+/**
+ * SHA-256d with a precomputed midstate for the 88-byte mining header
+ * تجزئة SHA-256 المزدوجة مع حالة وسيطة محسوبة مسبقًا
+ *
+ * The first 64-byte block of the header is constant per job, so its
+ * compression (the midstate) is computed once. The second block holds the
+ * last 20 prefix bytes and the nonce: its first five rounds and schedule
+ * words W16..W19 do not depend on the nonce and are precomputed too. Per
+ * nonce only the rest of the second block and the second hash are run, with
+ * no allocation.
+ */
+
+const K = new Int32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+const IV = new Int32Array([
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+]);
+
+const HEADER_LENGTH = 88;
+// Rounds of the second block that only use the constant words W0..W4
+const CONST_ROUNDS = 5;
+
+function sigma0(x) {
+  return ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+}
+
+function sigma1(x) {
+  return ((x >>> 17) | (x << 15)) ^ ((x >>> 19) | (x << 13)) ^ (x >>> 10);
+}
+
+/**
+ * Expand W[from..63] in place
+ */
+function expand(W, from) {
+  for (let t = from; t < 64; t++) {
+    W[t] = (sigma1(W[t - 2]) + W[t - 7] + sigma0(W[t - 15]) + W[t - 16]) | 0;
+  }
+}
+
+/**
+ * Run rounds [from, to) on the working variables in `v` (a..h)
+ */
+function rounds(v, W, from, to) {
+  let a = v[0], b = v[1], c = v[2], d = v[3], e = v[4], f = v[5], g = v[6], h = v[7];
+  for (let t = from; t < to; t++) {
+    const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+    const T1 = (h + S1 + ((e & f) ^ (~e & g)) + K[t] + W[t]) | 0;
+    const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+    const T2 = (S0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+    h = g; g = f; f = e; e = (d + T1) | 0;
+    d = c; c = b; b = a; a = (T1 + T2) | 0;
+  }
+  v[0] = a; v[1] = b; v[2] = c; v[3] = d; v[4] = e; v[5] = f; v[6] = g; v[7] = h;
+}
+
+/**
+ * Full compression of one 16-word block into `state`
+ */
+function compress(state, W) {
+  const v = Int32Array.from(state);
+  expand(W, 16);
+  rounds(v, W, 0, 64);
+  for (let i = 0; i < 8; i++) state[i] = (state[i] + v[i]) | 0;
+}
+
+const bswap32 = (x) => ((x << 24) | ((x & 0xff00) << 8) | ((x >>> 8) & 0xff00) | (x >>> 24)) | 0;
+
+/**
+ * Per-job hasher for `prefix` (84 bytes, see buildHeaderPrefix)
+ * @param {Buffer} prefix - Header prefix without the nonce
+ */
+class MidstateHasher {
+  constructor(prefix) {
+    if (!Buffer.isBuffer(prefix) || prefix.length !== HEADER_LENGTH - 4) {
+      throw new Error(`Header prefix must be ${HEADER_LENGTH - 4} bytes`);
+    }
+    // Midstate: the first block compressed once
+    this.midstate = Int32Array.from(IV);
+    const W1 = new Int32Array(64);
+    for (let i = 0; i < 16; i++) W1[i] = prefix.readInt32BE(i * 4);
+    compress(this.midstate, W1);
+
+    // Second block template: 5 prefix words, nonce, padding, length (704 bits)
+    this.W2 = new Int32Array(64);
+    for (let i = 0; i < 5; i++) this.W2[i] = prefix.readInt32BE(64 + i * 4);
+    this.W2[6] = 0x80000000 | 0;
+    this.W2[15] = HEADER_LENGTH * 8;
+    // W16..W19 read W0..W4, W9..W15 only (never the nonce word W5)
+    for (let t = 16; t < 20; t++) {
+      this.W2[t] = (sigma1(this.W2[t - 2]) + this.W2[t - 7] + sigma0(this.W2[t - 15]) + this.W2[t - 16]) | 0;
+    }
+    this.preRounds = Int32Array.from(this.midstate);
+    rounds(this.preRounds, this.W2, 0, CONST_ROUNDS);
+
+    // Second hash: 8 digest words, padding, length (256 bits)
+    this.W3 = new Int32Array(64);
+    this.W3[8] = 0x80000000 | 0;
+    this.W3[15] = 256;
+
+    this.v = new Int32Array(8);
+    // Final state of the last hash (big-endian words of SHA-256d)
+    this.out = new Int32Array(8);
+  }
+
+  /**
+   * SHA-256d of prefix + nonce (LE); the result is left in `this.out`
+   */
+  hashNonce(nonce) {
+    const W2 = this.W2;
+    const v = this.v;
+    W2[5] = bswap32(nonce | 0);
+    expand(W2, 20);
+    v.set(this.preRounds);
+    rounds(v, W2, CONST_ROUNDS, 64);
+
+    const W3 = this.W3;
+    const mid = this.midstate;
+    for (let i = 0; i < 8; i++) W3[i] = (mid[i] + v[i]) | 0;
+    for (let i = 9; i < 15; i++) W3[i] = 0;
+    expand(W3, 16);
+    v.set(IV);
+    rounds(v, W3, 0, 64);
+    const out = this.out;
+    for (let i = 0; i < 8; i++) out[i] = (IV[i] + v[i]) | 0;
+    return out;
+  }
+
+  /**
+   * Write the last hash like doubleSHA256 returns it (byte-reversed)
+   * @param {Buffer} [target] - 32-byte buffer to fill
+   * @returns {Buffer}
+   */
+  digest(target = Buffer.alloc(32)) {
+    for (let i = 0; i < 8; i++) target.writeInt32LE(this.out[7 - i], i * 4);
+    return target;
+  }
+
+  /**
+   * Whether the last hash (as doubleSHA256 orders it) is below `targetWords`
+   * @param {Uint32Array} targetWords - From targetToWords()
+   */
+  isBelow(targetWords) {
+    for (let i = 0; i < 8; i++) {
+      const word = bswap32(this.out[7 - i]) >>> 0;
+      if (word !== targetWords[i]) return word < targetWords[i];
+    }
+    return false;
+  }
+}
+
+/**
+ * Big-endian words of a 32-byte target (hex) for MidstateHasher.isBelow
+ * @param {string} targetHex
+ * @returns {Uint32Array}
+ */
+function targetToWords(targetHex) {
+  const target = Buffer.from(targetHex, "hex");
+  if (target.length !== 32) throw new Error("Target must be 32 bytes (64 hex chars)");
+  const words = new Uint32Array(8);
+  for (let i = 0; i < 8; i++) words[i] = target.readUInt32BE(i * 4);
+  return words;
+}
+
+module.exports = {
+  MidstateHasher,
+  targetToWords,
+};
@@ -0,0 +1,442 @@
+/**
+ * WebAssembly SHA-256d nonce scanner
+ * ماسح nonce بتجزئة SHA-256 المزدوجة عبر WebAssembly
+ *
+ * The kernel is assembled from JS when first needed (there is no binary in
+ * the tree) with every round unrolled and the constant message words folded
+ * in. One scan() call hashes a whole nonce range from the job midstate (see
+ * sha256Midstate.js); with SIMD four nonces share each instruction. The
+ * kernel only compares the top 32 bits of each hash, so its candidates are
+ * confirmed with MidstateHasher before they are reported as solutions.
+ */
+
+const { doubleSHA256, buildHeaderPrefix, buildHeaderWithNonce, isHashBelowTarget } = require("./hashingUtils");
+const { MidstateHasher, targetToWords } = require("./sha256Midstate");
+
+const K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+];
+const IV = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+
+// Linear memory layout (bytes)
+const OFF_PRE = 0; // second-block state after its constant rounds (8 words)
+const OFF_MID = 32; // midstate (8 words)
+const OFF_W2 = 64; // second-block words W0..W4
+const OFF_W16 = 96; // second-block words W16..W19
+const OFF_TARGET = 112; // top word of the target
+const OFF_DONE = 116; // nonces processed by the last scan() call
+const OFF_OUT = 128; // candidate nonces
+// Candidates per call; scan() returns early when the list is full
+const MAX_CANDIDATES = 1024;
+// Nonces per scan() call, so the worker can report progress in between
+const MAX_CHUNK = 1 << 24;
+// Rounds of the second block that only use the job's constant words
+const CONST_ROUNDS = 5;
+
+const uleb = (n) => {
+  const out = [];
+  do {
+    let byte = n & 0x7f;
+    n >>>= 7;
+    if (n !== 0) byte |= 0x80;
+    out.push(byte);
+  } while (n !== 0);
+  return out;
+};
+
+const sleb = (n) => {
+  n |= 0;
+  const out = [];
+  for (;;) {
+    const byte = n & 0x7f;
+    n >>= 7;
+    if ((n === 0 && (byte & 0x40) === 0) || (n === -1 && (byte & 0x40) !== 0)) {
+      out.push(byte);
+      return out;
+    }
+    out.push(byte | 0x80);
+  }
+};
+
+const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+const i32 = (k) => [0x41, ...sleb(k)];
+const get = (local) => [0x20, ...uleb(local)];
+const set = (local) => [0x21, ...uleb(local)];
+const simdOp = (op) => [0xfd, ...uleb(op)];
+
+/**
+ * Instruction sets for the value type the rounds run on: one i32 per nonce,
+ * or one v128 holding four nonces
+ */
+const SCALAR = {
+  lanes: 1,
+  valType: 0x7f,
+  constant: (k) => i32(k),
+  add: [0x6a],
+  xor: [0x73],
+  rotr: (local, n) => [...get(local), ...i32(n), 0x78],
+  shr: (local, n) => [...get(local), ...i32(n), 0x76],
+  // g ^ (e & (f ^ g))
+  ch: (e, f, g) => [...get(g), ...get(e), ...get(f), ...get(g), 0x73, 0x71, 0x73],
+  // (a & b) | (c & (a | b))
+  maj: (a, b, c) => [...get(a), ...get(b), 0x71, ...get(c), ...get(a), ...get(b), 0x72, 0x71, 0x72],
+  loadWord: (offset) => [...i32(0), 0x28, 2, ...uleb(offset)],
+  // (rotr(x, 8) & 0xff00ff00) | (rotl(x, 8) & 0x00ff00ff)
+  bswap: (local) => [
+    ...get(local), ...i32(8), 0x78, ...i32(0xff00ff00), 0x71,
+    ...get(local), ...i32(8), 0x77, ...i32(0x00ff00ff), 0x71, 0x72,
+  ],
+  nonces: (n) => get(n),
+  leU: [0x4d],
+};
+
+const SIMD = {
+  lanes: 4,
+  valType: 0x7b,
+  constant: (k) => {
+    const bytes = [];
+    for (let lane = 0; lane < 4; lane++) {
+      for (let b = 0; b < 4; b++) bytes.push((k >>> (8 * b)) & 0xff);
+    }
+    return [...simdOp(0x0c), ...bytes];
+  },
+  add: simdOp(0xae),
+  xor: simdOp(0x51),
+  rotr: (local, n) => [
+    ...get(local), ...i32(n), ...simdOp(0xad),
+    ...get(local), ...i32(32 - n), ...simdOp(0xab),
+    ...simdOp(0x50),
+  ],
+  shr: (local, n) => [...get(local), ...i32(n), ...simdOp(0xad)],
+  // bitselect(f, g, e)
+  ch: (e, f, g) => [...get(f), ...get(g), ...get(e), ...simdOp(0x52)],
+  // bitselect(b, c, a ^ c)
+  maj: (a, b, c) => [...get(b), ...get(c), ...get(a), ...get(c), ...simdOp(0x51), ...simdOp(0x52)],
+  loadWord: (offset) => [...i32(0), 0x28, 2, ...uleb(offset), ...simdOp(0x11)],
+  bswap: (local) => [...get(local), ...get(local), ...simdOp(0x0d), 3, 2, 1, 0, 7, 6, 5, 4, 11, 10, 9, 8, 15, 14, 13, 12],
+  // splat(n) + (0, 1, 2, 3)
+  nonces: (n) => {
+    const lanes = [0, 0, 0, 0, 1, 0, 0, 0, 2, 0, 0, 0, 3, 0, 0, 0];
+    return [...get(n), ...simdOp(0x11), ...simdOp(0x0c), ...lanes, ...simdOp(0xae)];
+  },
+  leU: simdOp(0x3e),
+};
+
+/**
+ * Assemble the kernel for one instruction set
+ * @param {Object} isa - SCALAR or SIMD
+ * @returns {Uint8Array} WebAssembly module bytes
+ */
+function assemble(isa) {
+  // i32 locals after the (start, count) params
+  const I = 2, FOUND = 3, N = 4, MASK = 5;
+  let next = 6;
+  const alloc = (count) => Array.from({ length: count }, () => next++);
+  const pre = alloc(8);
+  const mid = alloc(8);
+  const w2 = alloc(5);
+  const w16 = alloc(4);
+  const target = alloc(1)[0];
+  const vars = alloc(8);
+  const slots = alloc(16);
+  const t1 = alloc(1)[0];
+  const code = [];
+  const emit = (bytes) => { for (const b of bytes) code.push(b); };
+
+  // A message word is a JS constant ({ k }) or a local ({ local })
+  const sigma = (ref, r1, r2, s) => {
+    if (ref.k !== undefined) return { k: (rotr(ref.k, r1) ^ rotr(ref.k, r2) ^ (ref.k >>> s)) | 0 };
+    return { code: [...isa.rotr(ref.local, r1), ...isa.rotr(ref.local, r2), ...isa.xor, ...isa.shr(ref.local, s), ...isa.xor] };
+  };
+  const term = (ref) => (ref.k !== undefined ? { k: ref.k } : { code: get(ref.local) });
+  // Sum of terms with the constant ones folded into one
+  const sum = (terms) => {
+    let k = 0;
+    let first = true;
+    for (const t of terms) {
+      if (t.k !== undefined) { k = (k + t.k) | 0; continue; }
+      emit(t.code);
+      if (!first) emit(isa.add);
+      first = false;
+    }
+    if (first) emit(isa.constant(k));
+    else if (k !== 0) emit([...isa.constant(k), ...isa.add]);
+  };
+
+  // W[t] for t >= 16 goes to slots[t % 16], which held W[t - 16]
+  const schedule = (w, t) => {
+    sum([sigma(w[t - 2], 17, 19, 10), term(w[t - 7]), sigma(w[t - 15], 7, 18, 3), term(w[t - 16])]);
+    emit(set(slots[t % 16]));
+    w[t] = { local: slots[t % 16] };
+  };
+
+  // Rounds [from, to] over the working variables in v (renamed, not moved);
+  // the last round of the second hash only needs the new e
+  const compress = (v, w, from, to, eOnly) => {
+    for (let t = from; t <= to; t++) {
+      if (w[t] === undefined) schedule(w, t);
+      const [a, b, c, d, e, f, g, h] = v;
+      const S1 = { code: [...isa.rotr(e, 6), ...isa.rotr(e, 11), ...isa.xor, ...isa.rotr(e, 25), ...isa.xor] };
+      sum([{ code: get(h) }, S1, { code: isa.ch(e, f, g) }, { k: K[t] }, term(w[t])]);
+      emit(set(t1));
+      emit([...get(d), ...get(t1), ...isa.add, ...set(d)]);
+      if (eOnly && t === to) return d;
+      const S0 = { code: [...isa.rotr(a, 2), ...isa.rotr(a, 13), ...isa.xor, ...isa.rotr(a, 22), ...isa.xor] };
+      sum([{ code: get(t1) }, S0, { code: isa.maj(a, b, c) }]);
+      emit(set(h));
+      v.unshift(v.pop());
+    }
+    return null;
+  };
+
+  // Job constants, loaded once per call
+  for (let i = 0; i < 8; i++) emit([...isa.loadWord(OFF_PRE + i * 4), ...set(pre[i])]);
+  for (let i = 0; i < 8; i++) emit([...isa.loadWord(OFF_MID + i * 4), ...set(mid[i])]);
+  for (let i = 0; i < 5; i++) emit([...isa.loadWord(OFF_W2 + i * 4), ...set(w2[i])]);
+  for (let i = 0; i < 4; i++) emit([...isa.loadWord(OFF_W16 + i * 4), ...set(w16[i])]);
+  emit([...isa.loadWord(OFF_TARGET), ...set(target)]);
+
+  emit([0x02, 0x40, 0x03, 0x40]); // block $done, loop $next
+  emit([...get(I), ...get(1), 0x4f, 0x0d, 1]); // i >= count: br $done
+  emit([...get(0), ...get(I), 0x6a, ...set(N)]);
+
+  // Second block: W5 is the byte-swapped nonce, W6..W15 padding and length
+  emit([...isa.nonces(N), ...set(slots[5]), ...isa.bswap(slots[5]), ...set(slots[5])]);
+  const wb = [
+    ...w2.map((local) => ({ local })),
+    { local: slots[5] },
+    { k: 0x80000000 | 0 }, { k: 0 }, { k: 0 }, { k: 0 }, { k: 0 }, { k: 0 }, { k: 0 }, { k: 0 }, { k: 0 },
+    { k: 704 },
+    ...w16.map((local) => ({ local })),
+  ];
+  const v = vars.slice();
+  for (let i = 0; i < 8; i++) emit([...get(pre[i]), ...set(v[i])]);
+  compress(v, wb, CONST_ROUNDS, 63, false);
+
+  // Second hash of the 32-byte digest; only e after round 60 is needed,
+  // since it becomes the last state word after three more rounds
+  for (let i = 0; i < 8; i++) emit([...get(mid[i]), ...get(v[i]), ...isa.add, ...set(slots[i])]);
+  const wd = [
+    ...slots.slice(0, 8).map((local) => ({ local })),
+    { k: 0x80000000 | 0 }, { k: 0 }, { k: 0 }, { k: 0 }, { k: 0 }, { k: 0 }, { k: 0 },
+    { k: 256 },
+  ];
+  const vd = vars.slice();
+  for (let i = 0; i < 8; i++) emit([...isa.constant(IV[i]), ...set(vd[i])]);
+  const e60 = compress(vd, wd, 0, 60, true);
+
+  // Candidate: byte-swapped last word <= top word of the target
+  emit([...get(e60), ...isa.constant(IV[7]), ...isa.add, ...set(t1)]);
+  emit([...isa.bswap(t1), ...get(target), ...isa.leU]);
+  const store = (lane) => [
+    ...get(FOUND), ...i32(2), 0x74,
+    ...get(N), ...(lane ? [...i32(lane), 0x6a] : []),
+    0x36, 2, ...uleb(OFF_OUT),
+    ...get(FOUND), ...i32(1), 0x6a, ...set(FOUND),
+  ];
+  if (isa.lanes === 1) {
+    emit([0x04, 0x40, ...store(0)]);
+  } else {
+    emit([...set(t1), ...get(t1), ...simdOp(0x53), 0x04, 0x40]); // v128.any_true
+    emit([...get(t1), ...simdOp(0xa4), ...set(MASK)]); // i32x4.bitmask
+    for (let lane = 0; lane < isa.lanes; lane++) {
+      emit([...get(MASK), ...i32(1 << lane), 0x71, 0x04, 0x40, ...store(lane), 0x0b]);
+    }
+  }
+  // List full: count this group as processed and return
+  emit([...get(FOUND), ...i32(MAX_CANDIDATES), 0x4f, 0x04, 0x40]);
+  emit([...get(I), ...i32(isa.lanes), 0x6a, ...set(I), 0x0c, 3, 0x0b]);
+  emit([0x0b]); // end candidate
+  emit([...get(I), ...i32(isa.lanes), 0x6a, ...set(I), 0x0c, 0]);
+  emit([0x0b, 0x0b]); // end loop, block
+  emit([...i32(0), ...get(I), 0x36, 2, ...uleb(OFF_DONE), ...get(FOUND), 0x0b]);
+
+  const locals = [2, ...uleb(4), 0x7f, ...uleb(next - 6), isa.valType];
+  const body = [...locals, ...code];
+  const section = (id, bytes) => [id, ...uleb(bytes.length), ...bytes];
+  const name = (s) => [...uleb(s.length), ...Buffer.from(s, "latin1")];
+  return Uint8Array.from([
+    0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00,
+    ...section(1, [1, 0x60, 2, 0x7f, 0x7f, 1, 0x7f]),
+    ...section(3, [1, 0]),
+    ...section(5, [1, 0, 1]),
+    ...section(7, [2, ...name("scan"), 0, 0, ...name("memory"), 2, 0]),
+    ...section(10, [1, ...uleb(body.length), ...body]),
+  ]);
+}
+
+/**
+ * Compile the kernel; throws when the runtime lacks WebAssembly (or SIMD)
+ * @param {boolean} simd
+ * @returns {WebAssembly.Module}
+ */
+function compileKernel(simd) {
+  if (typeof WebAssembly !== "object") throw new Error("WebAssembly is not available");
+  const bytes = assemble(simd ? SIMD : SCALAR);
+  if (!WebAssembly.validate(bytes)) {
+    throw new Error(simd ? "WebAssembly SIMD is not supported" : "WebAssembly kernel failed validation");
+  }
+  return new WebAssembly.Module(bytes);
+}
+
+/**
+ * One kernel instance scanning nonces of one job at a time
+ */
+class WasmScanner {
+  /**
+   * @param {WebAssembly.Module} module - From compileKernel()
+   * @param {boolean} simd - Whether the module is the SIMD build
+   */
+  constructor(module, simd) {
+    this.instance = new WebAssembly.Instance(module, {});
+    this.lanes = simd ? SIMD.lanes : SCALAR.lanes;
+    this.kernel = simd ? "wasm-simd" : "wasm";
+    this.mem = new Int32Array(this.instance.exports.memory.buffer);
+    this.hasher = null;
+    this.targetWords = null;
+  }
+
+  /**
+   * Load a job: header prefix (84 bytes) and target (hex)
+   */
+  setJob(prefix, targetHex) {
+    const hasher = new MidstateHasher(prefix);
+    this.targetWords = targetToWords(targetHex);
+    this.hasher = hasher;
+    this.mem.set(hasher.preRounds, OFF_PRE >> 2);
+    this.mem.set(hasher.midstate, OFF_MID >> 2);
+    this.mem.set(hasher.W2.subarray(0, 5), OFF_W2 >> 2);
+    this.mem.set(hasher.W2.subarray(16, 20), OFF_W16 >> 2);
+    this.mem[OFF_TARGET >> 2] = this.targetWords[0] | 0;
+  }
+
+  /**
+   * Raw kernel candidates of [start, start + count); count is a multiple
+   * of `lanes`. Calls onCandidate(nonce) for each and returns the number of
+   * nonces processed, which is less than count when the list filled up
+   */
+  scanCandidates(start, count, onCandidate) {
+    const found = this.instance.exports.scan(start | 0, count | 0);
+    const out = OFF_OUT >> 2;
+    for (let i = 0; i < found; i++) onCandidate(this.mem[out + i] >>> 0);
+    return this.mem[OFF_DONE >> 2] >>> 0;
+  }
+
+  /**
+   * Nonces of [start, start + count) whose hash is below the job target
+   * @param {number} start - First nonce (unsigned)
+   * @param {number} count - Number of nonces
+   * @returns {number[]}
+   */
+  scan(start, count) {
+    const solutions = [];
+    const hasher = this.hasher;
+    const check = (nonce) => {
+      hasher.hashNonce(nonce);
+      if (hasher.isBelow(this.targetWords)) solutions.push(nonce);
+    };
+    const bulk = count - (count % this.lanes);
+    let done = 0;
+    while (done < bulk) {
+      const chunk = Math.min(bulk - done, MAX_CHUNK);
+      done += this.scanCandidates((start + done) >>> 0, chunk, check);
+    }
+    // The last few nonces when count is not a multiple of the lane count
+    for (let nonce = start + bulk; nonce < start + count; nonce++) check(nonce >>> 0);
+    return solutions;
+  }
+}
+
+// Known-answer vector (also in scripts/verify-hash-vectors.js)
+const SELF_TEST = {
+  ticket_data: "ced7c860704c8bb3946e87b060f5a972642777a043759349e212fb5d920d90c9",
+  leader_address: "842983de8fb1d277a3fad5c8295c7a14317c4587",
+  reward_address: "021bbd75cf6530bd40f4ab8b131600e0188f4a8c",
+  block_height: 16909060,
+  mining_type: 2,
+  timestamp: 1761234567,
+  nonce: 2147531360,
+  hash: "0000d7f2af4e0a93dc0a8588b7b0abadc2275a2903e589856b47b831785460f0",
+};
+
+/**
+ * Check a kernel against node:crypto before it is used for mining:
+ * the known-answer nonce must be found, the raw candidate set over a range
+ * must match exactly, and a full candidate list must resume correctly
+ * @returns {{passed: boolean, error?: string}}
+ */
+function selfTest(module, simd) {
+  try {
+    const scanner = new WasmScanner(module, simd);
+    const prefix = buildHeaderPrefix(SELF_TEST);
+    const known = doubleSHA256(buildHeaderWithNonce(prefix, SELF_TEST.nonce)).toString("hex");
+    if (known !== SELF_TEST.hash) throw new Error("reference hash mismatch");
+
+    const start = SELF_TEST.nonce - 37;
+    const count = 64;
+    const hashes = Array.from({ length: count + 3 }, (_, i) => doubleSHA256(buildHeaderWithNonce(prefix, start + i)));
+    const words = hashes.slice(0, count).map((hash) => hash.readUInt32BE(0));
+    const median = [...words].sort((a, b) => a - b)[count / 2];
+    for (const limit of [parseInt(SELF_TEST.hash.slice(0, 8), 16), median]) {
+      scanner.setJob(prefix, limit.toString(16).padStart(8, "0") + "f".repeat(56));
+      const candidates = [];
+      scanner.scanCandidates(start, count, (nonce) => candidates.push(nonce));
+      const expected = words.map((w, i) => (w <= limit ? start + i : null)).filter((n) => n !== null);
+      if (candidates.join() !== expected.join()) {
+        throw new Error(`candidates differ for top word ${limit.toString(16)}`);
+      }
+    }
+
+    // Confirmed solutions, including the nonces past the last full lane group
+    for (const targetHex of [SELF_TEST.hash, "0001" + "0".repeat(60)]) {
+      scanner.setJob(prefix, targetHex);
+      const solutions = scanner.scan(start, count + 3);
+      const expected = hashes.map((hash, i) => (isHashBelowTarget(hash, targetHex) ? start + i : null)).filter((n) => n !== null);
+      if (solutions.join() !== expected.join()) throw new Error(`solutions differ for target ${targetHex}`);
+      if (targetHex !== SELF_TEST.hash && !solutions.includes(SELF_TEST.nonce)) throw new Error("known-answer nonce not found");
+    }
+
+    const all = 2 * MAX_CANDIDATES + 8;
+    scanner.setJob(prefix, "f".repeat(64));
+    if (scanner.scan(0, all).length !== all) throw new Error("candidate list overflow lost nonces");
+    return { passed: true };
+  } catch (error) {
+    return { passed: false, error: error.message };
+  }
+}
+
+/**
+ * Pick the fastest kernel that compiles and passes selfTest(): SIMD first,
+ * then scalar WebAssembly
+ * @returns {{kernel: string|null, module: WebAssembly.Module|null, simd: boolean, attempts: Object[]}}
+ *   kernel is null when neither build is usable
+ */
+function detectKernel() {
+  const attempts = [];
+  for (const simd of [true, false]) {
+    const kernel = simd ? "wasm-simd" : "wasm";
+    try {
+      const module = compileKernel(simd);
+      const result = selfTest(module, simd);
+      attempts.push({ kernel, ...result });
+      if (result.passed) return { kernel, module, simd, attempts };
+    } catch (error) {
+      attempts.push({ kernel, passed: false, error: error.message });
+    }
+  }
+  return { kernel: null, module: null, simd: false, attempts };
+}
+
+module.exports = {
+  compileKernel,
+  detectKernel,
+  selfTest,
+  WasmScanner,
+};
@@ -0,0 +1,129 @@
+const { doubleSHA256 } = require("./hashingUtils");
+
+/**
+ * Support ticket layout (88 bytes = 176 hex chars):
+ *
+ *   offset  size  field
+ *   0       1     0x20 (length of ticket_data)
+ *   1       32    ticket_data
+ *   33      1     0x14 (length of leader_address)
+ *   34      20    leader_address
+ *   54      4     block_height (LE)
+ *   58      1     0x14 (length of reward_address)
+ *   59      20    reward_address
+ *   79      1     mining_type
+ *   80      4     timestamp (LE)
+ *   84      4     nonce (LE)
+ */
+const TICKET_BYTES = 88;
+const TICKET_HEX_LENGTH = TICKET_BYTES * 2;
+
+/**
+ * Build a codec error with a short reason code
+ */
+function codecError(reason, message) {
+  const error = new Error(message);
+  error.reason = reason;
+  return error;
+}
+
+function readHex(value, bytes, field) {
+  const hex = String(value === undefined || value === null ? "" : value)
+    .toLowerCase()
+    .replace(/^0x/, "");
+  if (hex.length !== bytes * 2 || /[^0-9a-f]/.test(hex)) {
+    throw codecError(
+      "bad-field",
+      `${field} must be ${bytes} bytes (${bytes * 2} hex chars)`
+    );
+  }
+  return Buffer.from(hex, "hex");
+}
+
+function readUInt32(value, field) {
+  const n = typeof value === "string" ? parseInt(value, 10) : value;
+  if (!Number.isInteger(n) || n < 0 || n > 0xffffffff) {
+    throw codecError("bad-field", `${field} must be a uint32`);
+  }
+  return n;
+}
+
+/**
+ * Decodes a 176-char ticket into its fields
+ * @param {string} hex - Ticket hex (optionally 0x-prefixed)
+ * @returns {Object} { ticket_data, leader_address, block_height, reward_address, mining_type, timestamp, nonce, hash }
+ */
+function decodeTicket(hex) {
+  const clean = String(hex === undefined || hex === null ? "" : hex).replace(
+    /^0x/,
+    ""
+  );
+  if (clean.length !== TICKET_HEX_LENGTH) {
+    throw codecError(
+      "bad-ticket-length",
+      `Invalid ticket data length: ${clean.length}, expected ${TICKET_HEX_LENGTH}`
+    );
+  }
+  if (/[^0-9a-fA-F]/.test(clean)) {
+    throw codecError("bad-ticket-hex", "Ticket data is not hex");
+  }
+
+  const buf = Buffer.from(clean, "hex");
+  if (buf[0] !== 0x20 || buf[33] !== 0x14 || buf[58] !== 0x14) {
+    throw codecError(
+      "bad-ticket-format",
+      "Ticket length markers do not match the expected layout"
+    );
+  }
+
+  return {
+    ticket_data: buf.subarray(1, 33).toString("hex"),
+    leader_address: buf.subarray(34, 54).toString("hex"),
+    block_height: buf.readUInt32LE(54),
+    reward_address: buf.subarray(59, 79).toString("hex"),
+    mining_type: buf.readUInt8(79),
+    timestamp: buf.readUInt32LE(80),
+    nonce: buf.readUInt32LE(84),
+    hash: doubleSHA256(buf).toString("hex"),
+  };
+}
+
+/**
+ * Encodes ticket fields into a 176-char ticket
+ * @param {Object} fields - Same shape as decodeTicket output (hash is ignored);
+ *   ticket_data defaults to 32 zero bytes
+ * @returns {string} Ticket hex
+ */
+function encodeTicket(fields) {
+  if (!fields || typeof fields !== "object") {
+    throw codecError("bad-field", "Ticket fields must be an object");
+  }
+
+  const buf = Buffer.alloc(TICKET_BYTES);
+  buf.writeUInt8(0x20, 0);
+  const ticketData =
+    fields.ticket_data === undefined || fields.ticket_data === null
+      ? Buffer.alloc(32)
+      : readHex(fields.ticket_data, 32, "ticket_data");
+  ticketData.copy(buf, 1);
+  buf.writeUInt8(0x14, 33);
+  readHex(fields.leader_address, 20, "leader_address").copy(buf, 34);
+  buf.writeUInt32LE(readUInt32(fields.block_height, "block_height"), 54);
+  buf.writeUInt8(0x14, 58);
+  readHex(fields.reward_address, 20, "reward_address").copy(buf, 59);
+  const miningType = readUInt32(fields.mining_type ?? 0, "mining_type");
+  if (miningType > 0xff) {
+    throw codecError("bad-field", "mining_type must be a uint8");
+  }
+  buf.writeUInt8(miningType, 79);
+  buf.writeUInt32LE(readUInt32(fields.timestamp, "timestamp"), 80);
+  buf.writeUInt32LE(readUInt32(fields.nonce ?? 0, "nonce"), 84);
+  return buf.toString("hex");
+}
+
+module.exports = {
+  TICKET_BYTES,
+  TICKET_HEX_LENGTH,
+  decodeTicket,
+  encodeTicket,
+};
@@ -4,7 +4,10 @@
  */
 
 const { parentPort, workerData } = require('worker_threads');
+const os = require('os');
 const { buildHeaderPrefix, buildHeaderWithNonce, doubleSHA256, isHashBelowTarget } = require('../utils/hashingUtils');
+const { MidstateHasher, targetToWords } = require('../utils/sha256Midstate');
+const { WasmScanner } = require('../utils/sha256Wasm');
 
 class CPUWorker {
     constructor(data) {
@@ -12,10 +15,15 @@ class CPUWorker {
         this.sessionId = data.sessionId;
         this.config = data.config;
         this.batchSize = data.batchSize;
-        // Support resuming from a base nonce provided by the session
-        this.baseNonce = ((data.baseNonce !== undefined ? data.baseNonce : (data.config && data.config.base_nonce)) || 0) >>> 0;
+        // Nonce range leased by CPUMiner ({ id, start, end }); idle without one
+        this.lease = data.lease || null;
         
         this.isRunning = false;
+        this.idle = false;
+        // Duty cycle: hash for a batch, then pause so the thread stays near maxUsage %
+        this.maxUsage = 100;
+        this.pauseDebtMs = 0;
+        this.resumeAt = null;
         this.stats = {
             hashRate: 0,
             totalHashes: 0,
@@ -29,17 +37,31 @@ class CPUWorker {
         this.currentNonce = 0;
         this.targetHex = this.config.difficulty_target;
         this.headerPrefix = buildHeaderPrefix(this.config);
+        // 'wasm-simd' / 'wasm' (self-tested kernel from CPUMiner), 'midstate',
+        // or 'crypto' (two node:crypto passes per nonce)
+        this.hashPath = data.hashPath || 'midstate';
+        this.hashBuf = Buffer.alloc(32);
+        this.scanner = null;
+        if (this.hashPath.startsWith('wasm') && data.wasmModule) {
+            try {
+                this.scanner = new WasmScanner(data.wasmModule, this.hashPath === 'wasm-simd');
+            } catch (error) {
+                this.sendMessage('info', {
+                    workerId: this.workerId,
+                    message: `WebAssembly kernel unavailable: ${error.message}`
+                });
+            }
+        }
+        this.prepareHasher();
+        this.setThrottle(data.throttle || {});
         
         // Performance tracking
         this.hashCount = 0;
         this.lastHashTime = Date.now();
         this.updateInterval = 1000; // 1 second
         
-        // Work distribution - each worker gets a different starting nonce
-        // Use a larger offset to ensure workers don't overlap
-        this.workStride = 1000000;
-        this.workOffset = (this.baseNonce >>> 0) + (this.workerId * this.workStride); // Each worker starts 1M nonces apart from base
-        this.currentNonce = this.workOffset;
+        // Work distribution - each worker searches the range it leased
+        this.currentNonce = this.lease ? this.lease.start : 0;
         
         // Solution tracking to prevent duplicates within worker
         // this.foundSolutions = new Set();
@@ -76,7 +98,7 @@ class CPUWorker {
     start() {
         try {
             this.isRunning = true;
-            this.currentNonce = this.workOffset; // Use the pre-calculated work offset
+            this.currentNonce = this.lease ? this.lease.start : 0;
             
             // Log worker start information
             // this.logger.info(`CPU Worker ${this.workerId} starting with nonce range`, {
@@ -113,33 +135,80 @@ class CPUWorker {
      */
     mine() {
         if (!this.isRunning) return;
+        if (this.resumeAt !== null) {
+            // Timers fire late; the overshoot counts as pause already taken
+            this.pauseDebtMs -= Date.now() - this.resumeAt;
+            this.resumeAt = null;
+        }
+
+        // Stay inside the leased range; wait for the next lease once it is searched
+        if (!this.lease) {
+            this.idle = true;
+            return;
+        }
+        if (this.currentNonce > this.lease.end) {
+            const done = this.lease;
+            this.lease = null;
+            this.idle = true;
+            this.sendMessage('lease_done', {
+                workerId: this.workerId,
+                leaseId: done.id,
+                lastNonce: done.end
+            });
+            return;
+        }
+        const batchSize = Math.min(this.batchSize, this.lease.end - this.currentNonce + 1);
 
         const startTime = Date.now();
+        const busyStart = performance.now();
         let hashesThisBatch = 0;
         let solutionsFound = 0;
 
-        // Process a batch of nonces with optimized hashing
-        for (let i = 0; i < this.batchSize && this.isRunning; i++) {
-            const nonce = this.currentNonce + i;
-            
-            // Build header with nonce using unified util
-            const headerWithNonce = buildHeaderWithNonce(this.headerPrefix, nonce);
+        // WebAssembly path: the whole batch in one call, solutions come back confirmed
+        if (this.jobScanner) {
+            hashesThisBatch = batchSize;
+            const hasher = this.jobScanner.hasher;
+            for (const nonce of this.jobScanner.scan(this.currentNonce, batchSize)) {
+                hasher.hashNonce(nonce);
+                const hash = hasher.digest(this.hashBuf).toString('hex');
+                const header = buildHeaderWithNonce(this.headerPrefix, nonce).toString('hex');
+                if (this.handleSolution(nonce, hash, header)) solutionsFound++;
+            }
+        } else {
+            // Process a batch of nonces with optimized hashing
+            const hasher = this.hasher;
+            for (let i = 0; i < batchSize && this.isRunning; i++) {
+                const nonce = this.currentNonce + i;
+                hashesThisBatch++;
+
+                if (hasher) {
+                    // Midstate path: no allocation unless the hash is a solution
+                    hasher.hashNonce(nonce);
+                    if (hasher.isBelow(this.targetWords)) {
+                        const hash = hasher.digest(this.hashBuf).toString('hex');
+                        const header = buildHeaderWithNonce(this.headerPrefix, nonce).toString('hex');
+                        if (this.handleSolution(nonce, hash, header)) solutionsFound++;
+                    }
+                    continue;
+                }
             
-            // Calculate double SHA-256 hash using unified util
-            const finalHashBE = doubleSHA256(headerWithNonce);
-            // Hex string for reporting
-            const hash = finalHashBE.toString('hex');
+                // Build header with nonce using unified util
+                const headerWithNonce = buildHeaderWithNonce(this.headerPrefix, nonce);
             
-            hashesThisBatch++;
+                // Calculate double SHA-256 hash using unified util
+                const finalHashBE = doubleSHA256(headerWithNonce);
+                // Hex string for reporting
+                const hash = finalHashBE.toString('hex');
             
-            // Check if hash is less than target
-            if (isHashBelowTarget(finalHashBE, this.targetHex)) {
-                const wasNewSolution = this.handleSolution(nonce, hash, headerWithNonce.toString("hex"));
-                if (wasNewSolution) {
-                    solutionsFound++;
+                // Check if hash is less than target
+                if (isHashBelowTarget(finalHashBE, this.targetHex)) {
+                    const wasNewSolution = this.handleSolution(nonce, hash, headerWithNonce.toString("hex"));
+                    if (wasNewSolution) {
+                        solutionsFound++;
+                    }
+                    // Continue searching for more solutions in this batch
+                    // Don't break - continue with next nonce
                 }
-                // Continue searching for more solutions in this batch
-                // Don't break - continue with next nonce
             }
         }
 
@@ -153,13 +222,110 @@ class CPUWorker {
                 totalHashes: this.stats.totalHashes,
                 solutions: this.stats.solutions,
                 workerId: this.workerId,
-                lastNonce: (this.currentNonce + this.batchSize - 1) >>> 0,
+                leaseId: this.lease.id,
+                lastNonce: (this.currentNonce + batchSize - 1) >>> 0,
             });
         }
         
         // Continue mining if still running
         if (this.isRunning) {
-            this.currentNonce += this.batchSize;
+            this.currentNonce += batchSize;
+            const pauseMs = this.takePause(performance.now() - busyStart);
+            if (pauseMs > 0) {
+                this.resumeAt = Date.now() + pauseMs;
+                setTimeout(() => this.mine(), pauseMs);
+            } else {
+                setImmediate(() => this.mine());
+            }
+        }
+    }
+
+    /**
+     * Pause owed after busyMs of hashing to stay at maxUsage %
+     * Short pauses add up until they are worth a timer
+     */
+    takePause(busyMs) {
+        if (this.maxUsage >= 100) {
+            this.pauseDebtMs = 0;
+            return 0;
+        }
+        this.pauseDebtMs += busyMs * (100 - this.maxUsage) / this.maxUsage;
+        if (this.pauseDebtMs < 10) return 0;
+        const pauseMs = Math.floor(this.pauseDebtMs);
+        this.pauseDebtMs -= pauseMs;
+        return pauseMs;
+    }
+
+    /**
+     * Apply the CPU usage cap and, on Linux, the thread's niceness
+     * @param {Object} throttle - { maxUsage: 1-100, niceness: 0-19 | null }
+     */
+    setThrottle({ maxUsage, niceness }) {
+        if (Number.isFinite(maxUsage)) {
+            this.maxUsage = Math.min(100, Math.max(1, maxUsage));
+            this.pauseDebtMs = 0;
+        }
+        let error = null;
+        if (Number.isInteger(niceness) && process.platform === 'linux') {
+            try {
+                // On Linux pid 0 is the calling thread, so only this worker is affected
+                os.setPriority(0, niceness);
+            } catch (e) {
+                error = e.message;
+            }
+        }
+        let applied = null;
+        try { applied = os.getPriority(0); } catch {}
+        this.sendMessage('throttled', {
+            workerId: this.workerId,
+            maxUsage: this.maxUsage,
+            niceness: applied,
+            error
+        });
+    }
+
+    /**
+     * Precompute the midstate of the current job (once per job)
+     * حساب الحالة الوسيطة للمهمة الحالية مرة واحدة
+     */
+    prepareHasher() {
+        this.hasher = null;
+        this.jobScanner = null;
+        if (this.hashPath === 'crypto') return;
+        if (this.scanner) {
+            try {
+                this.scanner.setJob(this.headerPrefix, this.targetHex);
+                this.jobScanner = this.scanner;
+                return;
+            } catch (error) {
+                this.sendMessage('info', {
+                    workerId: this.workerId,
+                    message: `WebAssembly kernel rejected the job: ${error.message}`
+                });
+            }
+        }
+        try {
+            this.targetWords = targetToWords(this.targetHex);
+            this.hasher = new MidstateHasher(this.headerPrefix);
+        } catch (error) {
+            // Unusual header or target: the generic crypto path still handles it
+            this.hasher = null;
+            this.sendMessage('info', {
+                workerId: this.workerId,
+                message: `Midstate hashing unavailable: ${error.message}`
+            });
+        }
+    }
+
+    /**
+     * Switch to a new leased range, resuming the loop if the worker was idle
+     */
+    setLease(lease) {
+        this.lease = lease || null;
+        if (!this.lease) return;
+        this.currentNonce = this.lease.start;
+        if (this.idle && this.isRunning) {
+            this.idle = false;
             setImmediate(() => this.mine());
         }
     }
@@ -226,8 +392,8 @@ class CPUWorker {
         
         // Calculate hash rate more accurately
         if (timeDiff > 0) {
-            // Calculate hash rate for this batch
-            const batchHashRate = hashesThisBatch / timeDiff;
+            // Hashes over wall time since the last report, so throttle pauses count
+            const batchHashRate = this.hashCount / timeDiff;
             
             // Ensure hash rate is non-negative
             const safeBatchHashRate = Math.max(0, batchHashRate);
@@ -252,6 +418,7 @@ class CPUWorker {
                     totalHashes: this.stats.totalHashes,
                     solutions: this.stats.solutions,
                     workerId: this.workerId,
+                    leaseId: this.lease ? this.lease.id : null,
                     lastNonce: Math.max(0, (this.currentNonce - 1) >>> 0),
                 });
             }
@@ -337,6 +504,15 @@ class CPUWorker {
                 
             case 'update_config':
                 this.updateConfig(message.config);
+                if (message.lease !== undefined) this.setLease(message.lease);
+                break;
+
+            case 'lease':
+                this.setLease(message.lease);
+                break;
+
+            case 'throttle':
+                this.setThrottle(message);
                 break;
                 
             default:
@@ -367,6 +543,10 @@ class CPUWorker {
                 this.batchSize = newConfig.batchSize;
             }
 
+            if (newConfig && typeof newConfig === 'object') {
+                this.prepareHasher();
+            }
+
             this.sendMessage('config_updated', {
                 workerId: this.workerId,
                 config: newConfig
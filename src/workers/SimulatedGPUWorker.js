@@ -0,0 +1,326 @@
+/**
+ * Simulated WebGPU worker for testing recovery without a GPU
+ * عامل WebGPU محاكى لاختبار الاستعادة دون معالج رسومي
+ *
+ * Speaks StandaloneWebGPUWorker's protocol (MINER_CONFIG, NONCE_LEASES,
+ * JOB_STDIN, GPU_ADAPTER, --list-adapters, and the same NDJSON events) but
+ * hashes on the CPU. GPU_SIMULATOR (JSON) shapes it:
+ *   adapters      Adapter names listed by --list-adapters (default ["Simulated GPU"])
+ *   count         Nonces per pass (default 16384)
+ *   hashRate      Cap in hashes/s; 0 hashes as fast as the CPU allows
+ *   readyDelayMs  Delay before "ready"
+ *   run           Launch number, set by GPUMiner (0 for the first start)
+ *   faults        Scripted failures, each applied once per launch:
+ *     { type: "slowReady", ms }                      delay "ready" by ms
+ *     { type: "exit", code }                         exit with code (default 1)
+ *     { type: "deviceLost", reason }                 emit deviceLost and stop mining
+ *     { type: "passError", count }                   fail count passes in a row (default 1)
+ *     { type: "hang" }                               stop mining and emitting, stay alive
+ *   with
+ *     phase         "init" (before ready) or "mining" (default; slowReady is always init)
+ *     afterMs       Time after ready before the fault fires (mining)
+ *     afterPasses   Passes after ready before the fault fires (mining)
+ *     runs          Launch numbers it applies to (default every launch)
+ */
+const { buildHeaderPrefix, buildHeaderWithNonce, ticketDataBytes } = require("../utils/hashingUtils");
+const { MidstateHasher, targetToWords } = require("../utils/sha256Midstate");
+
+let shuttingDown = false;
+process.on("SIGTERM", () => {
+  shuttingDown = true;
+});
+process.on("SIGINT", () => {
+  shuttingDown = true;
+});
+
+const STRUCTURED = process.env.STRUCTURED_LOGS === "true";
+function emit(type, data = {}) {
+  if (!STRUCTURED) return;
+  try {
+    console.log(JSON.stringify({ type, ts: Date.now(), ...data }));
+  } catch {}
+}
+
+const MAX_NONCE = 0xffffffff;
+const METRICS_INTERVAL_MS = 250;
+const NONCE_LEASES = process.env.NONCE_LEASES === "true";
+
+function parseJson(name) {
+  try {
+    const parsed = JSON.parse(process.env[name] || "null");
+    if (parsed && typeof parsed === "object") return parsed;
+  } catch (e) {
+    console.warn(`Failed to parse ${name}:`, e?.message || e);
+  }
+  return null;
+}
+
+const SIM = { adapters: ["Simulated GPU"], count: 16384, hashRate: 0, readyDelayMs: 0, run: 0, faults: [], ...parseJson("GPU_SIMULATOR") };
+const ADAPTER_SELECTION = parseJson("GPU_ADAPTER");
+
+// Faults scripted for this launch
+const faults = (Array.isArray(SIM.faults) ? SIM.faults : [])
+  .filter((f) => f && f.type && (!Array.isArray(f.runs) || f.runs.includes(SIM.run)))
+  .map((f) => ({ ...f, phase: f.type === "slowReady" ? "init" : f.phase || "mining", fired: false }));
+
+// Job updates from the controller, applied between passes
+let pendingJob = null;
+let pendingStage;
+const pendingLeases = [];
+if (process.env.JOB_STDIN === "true") {
+  let stdinBuf = "";
+  process.stdin.setEncoding("utf8");
+  process.stdin.on("data", (chunk) => {
+    stdinBuf += chunk;
+    let idx;
+    while ((idx = stdinBuf.indexOf("\n")) !== -1) {
+      const line = stdinBuf.slice(0, idx).trim();
+      stdinBuf = stdinBuf.slice(idx + 1);
+      if (!line) continue;
+      try {
+        const msg = JSON.parse(line);
+        if (msg && msg.type === "stage") {
+          pendingStage = msg.config || null;
+        } else if (msg && msg.type === "job" && msg.config) {
+          pendingJob = msg.config;
+          pendingLeases.length = 0;
+        } else if (msg && msg.type === "lease" && Number.isFinite(msg.start) && Number.isFinite(msg.end)) {
+          pendingLeases.push({ id: msg.id, start: msg.start >>> 0, end: msg.end >>> 0 });
+        }
+      } catch (e) {
+        console.warn("Ignoring invalid job line:", e?.message || e);
+      }
+    }
+  });
+}
+
+function nonceLimit(cfg) {
+  const end = parseInt(`${cfg.end_nonce ?? ""}`, 10);
+  return Number.isFinite(end) && end >= 0 ? Math.min(end, MAX_NONCE) : MAX_NONCE;
+}
+
+// Same checks as the WebGPU worker, so bad jobs fail the same way
+function prepareJob(cfg) {
+  if (!cfg.leader_address || !/^[0-9a-fA-F]{40}$/.test(cfg.leader_address)) {
+    throw new Error("leader_address must be a 20-byte (40 hex chars) string");
+  }
+  const bh = parseInt(String(cfg.block_height), 10);
+  if (!Number.isFinite(bh) || bh < 0) throw new Error("block_height must be a non-negative integer");
+  const next = { ...cfg, block_height: bh >>> 0 };
+  if (next.ticket_data !== undefined && next.ticket_data !== null) {
+    next.ticket_data = ticketDataBytes(next.ticket_data).toString("hex");
+  }
+  const prefix = buildHeaderPrefix(next);
+  return { cfg: next, prefix, hasher: new MidstateHasher(prefix), targetWords: targetToWords(next.target_hex) };
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+// Let stdin and signals through between passes
+const yieldLoop = () => new Promise((r) => setImmediate(r));
+
+// Run init-phase faults; resolves false when the worker must not become ready
+async function initFaults() {
+  let delay = Number(SIM.readyDelayMs) || 0;
+  for (const fault of faults.filter((f) => f.phase === "init")) {
+    fault.fired = true;
+    switch (fault.type) {
+      case "slowReady":
+        delay += Number(fault.ms) || 0;
+        break;
+      case "exit":
+        console.error(`[Simulator] Exiting before ready (code=${fault.code ?? 1})`);
+        process.exit(fault.code ?? 1);
+        break;
+      case "deviceLost":
+        emit("deviceLost", { reason: fault.reason || "simulated", phase: "init" });
+        return false;
+      case "hang":
+        return false;
+      default:
+        break;
+    }
+  }
+  if (delay > 0) await sleep(delay);
+  return true;
+}
+
+// Mining-phase fault due now, if any
+function dueFault(readyAt, passes) {
+  return faults.find((f) => {
+    if (f.fired || f.phase !== "mining") return false;
+    if (Number.isFinite(f.afterPasses) && passes < f.afterPasses) return false;
+    if (Number.isFinite(f.afterMs) && Date.now() - readyAt < f.afterMs) return false;
+    return true;
+  });
+}
+
+async function mining(cfg) {
+  let job = prepareJob(cfg);
+  let stagedJob = null;
+  if (!(await initFaults())) {
+    // Stuck like a lost or wedged device until the controller kills us
+    while (!shuttingDown) await sleep(50);
+    return;
+  }
+
+  const adapterName = (ADAPTER_SELECTION && ADAPTER_SELECTION.name) || SIM.adapters[0] || "Simulated GPU";
+  const count = Math.max(1, SIM.count >>> 0);
+  console.log(`[READY] Simulated GPU initialized (count=${count})`);
+  emit("ready", { wg: 64, count, adapter: adapterName, tuning: "default" });
+
+  const readyAt = Date.now();
+  const startedAt = Date.now();
+  let currentBase = (cfg.base_nonce ?? 0) >>> 0;
+  let processedTotal = 0;
+  let passes = 0;
+  let passErrors = 0;
+  let totalMatches = 0;
+  let lastMetricsAt = 0;
+  const hashBuf = Buffer.alloc(32);
+
+  const finishLease = () => {
+    emit("leaseDone", { leaseId: job.cfg.lease_id, lastNonce: nonceLimit(job.cfg) });
+    job.cfg = { ...job.cfg, lease_id: null };
+  };
+
+  while (!shuttingDown) {
+    const fault = dueFault(readyAt, passes);
+    if (fault) {
+      fault.fired = true;
+      if (fault.type === "exit") {
+        console.error(`[Simulator] Exiting (code=${fault.code ?? 1})`);
+        process.exit(fault.code ?? 1);
+      } else if (fault.type === "deviceLost") {
+        console.warn("WebGPU device lost:", fault.reason || "simulated");
+        emit("deviceLost", { reason: fault.reason || "simulated", phase: "mining" });
+        while (!shuttingDown) await sleep(50);
+        break;
+      } else if (fault.type === "hang") {
+        while (!shuttingDown) await sleep(50);
+        break;
+      } else if (fault.type === "passError") {
+        passErrors += Math.max(1, fault.count || 1);
+      }
+    }
+    if (pendingStage !== undefined) {
+      const next = pendingStage;
+      pendingStage = undefined;
+      try {
+        stagedJob = next ? prepareJob({ ...job.cfg, ...next }) : null;
+        if (stagedJob) emit("jobStaged", { timestamp: stagedJob.cfg.timestamp });
+      } catch (e) {
+        stagedJob = null;
+        console.warn("Failed to stage next job:", e?.message || e);
+      }
+    }
+    if (pendingJob) {
+      const next = pendingJob;
+      pendingJob = null;
+      try {
+        const prepared = prepareJob({ ...job.cfg, ...next });
+        const staged = !!stagedJob && prepared.prefix.equals(stagedJob.prefix);
+        job = prepared;
+        stagedJob = null;
+        currentBase = (parseInt(`${job.cfg.base_nonce ?? 0}`, 10) || 0) >>> 0;
+        emit("jobSwitched", {
+          block_height: job.cfg.block_height,
+          leader_address: job.cfg.leader_address,
+          baseNonce: currentBase,
+          staged,
+        });
+      } catch (e) {
+        console.warn("Failed to apply new job:", e?.message || e);
+      }
+    }
+    if (NONCE_LEASES && job.cfg.lease_id == null) {
+      const lease = pendingLeases.shift();
+      if (!lease) {
+        await sleep(5);
+        continue;
+      }
+      job.cfg = { ...job.cfg, lease_id: lease.id, base_nonce: lease.start, end_nonce: lease.end };
+      currentBase = lease.start;
+    }
+
+    const remaining = nonceLimit(job.cfg) - currentBase + 1;
+    if (remaining <= 0) {
+      if (NONCE_LEASES) {
+        finishLease();
+        continue;
+      }
+      console.log("✅ Reached max nonce limit; stopping.");
+      break;
+    }
+    const batchCount = Math.min(count, remaining);
+    const t0 = Date.now();
+    passes++;
+    if (passErrors > 0) {
+      // Like the WebGPU worker, a failed pass skips its nonces
+      passErrors--;
+      console.warn("Pass-level error: simulated pass failure");
+    } else {
+      let solCount = 0;
+      for (let i = 0; i < batchCount; i++) {
+        const nonce = (currentBase + i) >>> 0;
+        job.hasher.hashNonce(nonce);
+        if (job.hasher.isBelow(job.targetWords)) {
+          solCount++;
+          emit("solution", {
+            nonce,
+            hash: job.hasher.digest(hashBuf).toString("hex"),
+            header: buildHeaderWithNonce(job.prefix, nonce).toString("hex"),
+          });
+        }
+      }
+      totalMatches += solCount;
+    }
+    if (SIM.hashRate > 0) {
+      const budgetMs = (batchCount * 1000) / SIM.hashRate;
+      const spent = Date.now() - t0;
+      if (spent < budgetMs) await sleep(budgetMs - spent);
+    }
+    const dt = Math.max(1, Date.now() - t0);
+    processedTotal += batchCount;
+    currentBase = (currentBase + batchCount) >>> 0;
+    // About four metrics events a second, plus one at the end of each range
+    if (Date.now() - lastMetricsAt >= METRICS_INTERVAL_MS || batchCount === remaining) {
+      lastMetricsAt = Date.now();
+      emit("metrics", {
+        lastNonce: currentBase,
+        leaseId: job.cfg.lease_id ?? null,
+        totalHashes: processedTotal,
+        totalMatches,
+        rate: (batchCount * 1000) / dt,
+        avgRate: (processedTotal * 1000) / Math.max(1, Date.now() - startedAt),
+        elapsedSec: (Date.now() - startedAt) / 1000,
+      });
+    }
+    if (batchCount === remaining) {
+      if (NONCE_LEASES) {
+        finishLease();
+      } else {
+        console.log("✅ Reached max nonce limit; stopping.");
+        break;
+      }
+    }
+    await yieldLoop();
+  }
+}
+
+(async () => {
+  if (process.argv.includes("--list-adapters")) {
+    const adapters = SIM.adapters.map((name) => ({ backend: "vulkan", name }));
+    console.log(JSON.stringify({ type: "adapters", adapters, default: SIM.adapters[0] || null }));
+    process.exit(0);
+  }
+  try {
+    const cfg = parseJson("MINER_CONFIG");
+    if (!cfg) throw new Error("MINER_CONFIG is required");
+    await mining({ ...cfg, base_nonce: parseInt(`${cfg.base_nonce ?? 0}`, 10) || 0 });
+    process.exit(0);
+  } catch (e) {
+    if (shuttingDown) process.exit(0);
+    console.error("Simulated GPU worker error:", e?.message || e);
+    process.exit(1);
+  }
+})();
@@ -3,7 +3,9 @@ const {
   buildHeaderWithNonce,
   buildHeaderPrefix,
   isHashBelowTarget,
+  ticketDataBytes,
 } = require("../utils/hashingUtils");
+const { GpuTuner } = require("../utils/gpuTuner");
 const fs = require("fs");
 
 let shuttingDown = false; // global shutdown flag controlled by signals
@@ -34,6 +36,93 @@ function emit(type, data = {}) {
   } catch {}
 }
 
+// Job updates from the controller (NDJSON on stdin), applied between passes
+let pendingJob = null;
+// Next job sent ahead of a nonce rollover; its buffers are prepared between passes
+let pendingStage;
+// With NONCE_LEASES the controller hands out nonce ranges: the job config
+// carries the first lease and further leases arrive as "lease" lines
+const NONCE_LEASES = process.env.NONCE_LEASES === "true";
+const pendingLeases = [];
+// Launch-parameter tuning from the controller (GPU_TUNING JSON):
+// { mode: "auto" | "retune" | "off", profiles: { [adapter]: profile }, passes, maxPassMs }
+// Without it the fixed start count and adaptive growth are used
+function parseTuning() {
+  try {
+    const parsed = JSON.parse(process.env.GPU_TUNING || "null");
+    if (parsed && typeof parsed === "object") {
+      return { mode: "auto", profiles: {}, ...parsed };
+    }
+  } catch (e) {
+    console.warn("Failed to parse GPU_TUNING:", e?.message || e);
+  }
+  return { mode: "off", profiles: {} };
+}
+const TUNING = parseTuning();
+
+// Adapter to run on (GPU_ADAPTER JSON: { name, backend }). The WebGPU runtime
+// selects adapters by name substring and backend; unset uses its default
+function parseAdapterSelection() {
+  try {
+    const parsed = JSON.parse(process.env.GPU_ADAPTER || "null");
+    if (parsed && typeof parsed === "object") return parsed;
+  } catch (e) {
+    console.warn("Failed to parse GPU_ADAPTER:", e?.message || e);
+  }
+  return null;
+}
+const ADAPTER_SELECTION = parseAdapterSelection();
+
+// Flags for webgpu's create()
+function runtimeFlags() {
+  const flags = [];
+  if (ADAPTER_SELECTION?.name) flags.push(`adapter=${ADAPTER_SELECTION.name}`);
+  if (ADAPTER_SELECTION?.backend) flags.push(`backend=${ADAPTER_SELECTION.backend}`);
+  return flags;
+}
+
+// Adapter identity used as the profile key
+async function describeAdapter(adapter) {
+  let info = adapter?.info;
+  if (!info && typeof adapter?.requestAdapterInfo === "function") {
+    try {
+      info = await adapter.requestAdapterInfo();
+    } catch {}
+  }
+  const parts = ["vendor", "architecture", "device", "description"]
+    .map((k) => (info && info[k] ? String(info[k]) : ""))
+    .filter(Boolean);
+  return parts.length > 0 ? parts.join(" / ") : "unknown";
+}
+
+if (process.env.JOB_STDIN === "true") {
+  let stdinBuf = "";
+  process.stdin.setEncoding("utf8");
+  process.stdin.on("data", (chunk) => {
+    stdinBuf += chunk;
+    let idx;
+    while ((idx = stdinBuf.indexOf("\n")) !== -1) {
+      const line = stdinBuf.slice(0, idx).trim();
+      stdinBuf = stdinBuf.slice(idx + 1);
+      if (!line) continue;
+      try {
+        const msg = JSON.parse(line);
+        if (msg && msg.type === "stage") {
+          pendingStage = msg.config || null;
+        } else if (msg && msg.type === "job" && msg.config) {
+          pendingJob = msg.config;
+          // Queued leases belong to the previous job
+          pendingLeases.length = 0;
+        } else if (msg && msg.type === "lease" && Number.isFinite(msg.start) && Number.isFinite(msg.end)) {
+          pendingLeases.push({ id: msg.id, start: msg.start >>> 0, end: msg.end >>> 0 });
+        }
+      } catch (e) {
+        console.warn("Ignoring invalid job line:", e?.message || e);
+      }
+    }
+  });
+}
+
 // Fallback configuration (used if no external config is provided)
 // Note: leader_address and block_height are intentionally omitted and MUST be provided.
 const FALLBACK_CONFIG = {
@@ -52,6 +141,12 @@ const MAX_NONCE = 0xffffffff;
 // Enforce stopping when MAX_NONCE is reached
 const STOP_AT_NONCE_LIMIT = true;
 
+// Last nonce to search; end_nonce confines the worker to a sub-range (a lease)
+function nonceLimit(cfg) {
+  const end = parseInt(`${cfg.end_nonce ?? ""}`, 10);
+  return Number.isFinite(end) && end >= 0 ? Math.min(end, MAX_NONCE) : MAX_NONCE;
+}
+
 function validateConfig(cfg) {
   const missing = [];
   if (!cfg || typeof cfg !== "object") {
@@ -76,6 +171,10 @@ function validateConfig(cfg) {
     throw new Error("block_height must be a non-negative integer");
   }
   cfg.block_height = bh >>> 0;
+  // ticket_data is hashed as header bytes 1..32 (first64 words 0..8)
+  if (cfg.ticket_data !== undefined && cfg.ticket_data !== null) {
+    cfg.ticket_data = ticketDataBytes(cfg.ticket_data).toString("hex");
+  }
 }
 
 function parseCliArgs() {
@@ -120,6 +219,9 @@ function parseCliArgs() {
       case "-n":
         out.base_nonce = val;
         break;
+      case "--end-nonce":
+        out.end_nonce = val;
+        break;
     }
   }
   return out;
@@ -163,6 +265,7 @@ function resolveConfig() {
     "mining_type",
     "ticket_data",
     "base_nonce",
+    "end_nonce",
   ];
   for (const k of merges) {
     if (cli[k] !== undefined) cfg[k] = cli[k];
@@ -174,7 +277,7 @@ async function mining(cfg) {
   // Dynamically import ESM-only 'webgpu' from CommonJS context
   const { create, globals } = await import("webgpu");
   Object.assign(globalThis, globals);
-  const navigator = { gpu: create([]) };
+  const navigator = { gpu: create(runtimeFlags()) };
   // Validate required fields early
   validateConfig(cfg);
   let adapter = await navigator.gpu?.requestAdapter({
@@ -235,7 +338,7 @@ async function mining(cfg) {
   let wgSize = computedWg;
   let dispatchX = Math.ceil(count / wgSize);
 
-  const prefix = buildHeaderPrefix(cfg);
+  let prefix = buildHeaderPrefix(cfg);
 
   let first64WordsBuf = null;
   let block2ConstWordsBuf = null;
@@ -251,6 +354,55 @@ async function mining(cfg) {
   let bindGroup = null;
   const pendingMapOps = new Set();
 
+  // Big-endian u32 words of a byte buffer, as the kernel expects
+  const toWordsBE = (bytes, n) => {
+    const words = new Uint32Array(n);
+    for (let i = 0; i < n; i++) words[i] = bytes.readUInt32BE(i * 4);
+    return words;
+  };
+
+  // Validate a job and derive the kernel's header/target words
+  const prepareJob = (job) => {
+    const nextCfg = { ...cfg, ...job };
+    validateConfig(nextCfg);
+    const nextPrefix = buildHeaderPrefix(nextCfg);
+    const msg = buildHeaderWithNonce(nextPrefix, 0);
+    return {
+      cfg: nextCfg,
+      prefix: nextPrefix,
+      first64Words: toWordsBE(msg.subarray(0, 64), 16),
+      block2Words: toWordsBE(msg.subarray(64, 88), 5),
+      targetWords: toWordsBE(Buffer.from(nextCfg.target_hex, "hex"), 8),
+    };
+  };
+
+  let stagedJob = null;
+  // Hot job switch: rewrite header/target buffers in place, keep the pipeline.
+  // Returns true when the job was the staged one (words already prepared)
+  const applyJob = (job) => {
+    let next = null;
+    if (stagedJob) {
+      const candidate = { ...stagedJob.cfg, ...job };
+      if (buildHeaderPrefix(candidate).equals(stagedJob.prefix)) {
+        next = { ...stagedJob, cfg: candidate };
+      }
+      stagedJob = null;
+    }
+    const staged = !!next;
+    if (!next) next = prepareJob(job);
+    const writes = [
+      [first64WordsBuf, next.first64Words],
+      [block2ConstWordsBuf, next.block2Words],
+      [targetWordsBuf, next.targetWords],
+    ];
+    for (const [buf, words] of writes) {
+      device.queue.writeBuffer(buf, 0, words.buffer, words.byteOffset, words.byteLength);
+    }
+    cfg = next.cfg;
+    prefix = next.prefix;
+    return staged;
+  };
+
   const createShaderAndPipeline = () => {
     const msg = buildHeaderWithNonce(prefix, 0);
     const first64 = msg.subarray(0, 64);
@@ -324,6 +476,11 @@ async function mining(cfg) {
         GPUBufferUsage.COPY_DST,
     });
 
+    createPipeline();
+  };
+
+  // Shader, pipeline and bind group for the current wgSize; buffers are kept
+  const createPipeline = () => {
     shader = device.createShaderModule({
       code: `
           struct Uniforms { baseNonce: u32, count: u32, _pad0: u32, _pad1: u32 };
@@ -461,10 +618,61 @@ async function mining(cfg) {
     console.warn("Failed to read adapter limits:", e?.message || e);
   }
 
+  // Launch parameters: the stored profile for this adapter, else a tuning sweep
+  const adapterName = await describeAdapter(adapter);
+  let tuner = null;
+  let tuningSource = "default";
+  if (TUNING.mode !== "off") {
+    const profile = TUNING.mode === "auto" ? TUNING.profiles?.[adapterName] : null;
+    if (profile && profile.workgroupSize > 0 && profile.workgroupSize <= wgSize && profile.count > 0) {
+      wgSize = profile.workgroupSize;
+      count = profile.count;
+      tuningSource = "profile";
+    } else {
+      tuner = new GpuTuner({
+        maxWorkgroupSize: wgSize,
+        maxWorkgroupsPerDimension: adapter?.limits?.maxComputeWorkgroupsPerDimension,
+        passes: TUNING.passes,
+        maxPassMs: TUNING.maxPassMs,
+      });
+      ({ wg: wgSize, count } = tuner.current());
+      tuningSource = "tuning";
+      console.log(`[WebGPU] Tuning launch parameters for ${adapterName}`);
+    }
+    dispatchX = Math.ceil(count / wgSize);
+  }
+
+  // Move to the tuner's next candidate, or apply its result when done
+  const advanceTuning = (done) => {
+    const previousWg = wgSize;
+    if (done) {
+      const result = tuner.result();
+      tuner = null;
+      if (result) {
+        wgSize = result.workgroupSize;
+        count = result.count;
+        console.log(
+          `[WebGPU] Tuned: workgroup_size=${wgSize}, count=${count}, ${(result.rate / 1e6).toFixed(2)} MH/s, ${result.passMs.toFixed(1)} ms/pass`
+        );
+        emit("tuned", { adapter: adapterName, profile: result });
+      } else {
+        // Every candidate failed; keep the untuned defaults
+        wgSize = computedWg;
+        count = COUNT_MIN;
+        tuningSource = "default";
+        console.warn("[WebGPU] Tuning found no working launch parameters");
+      }
+    } else {
+      ({ wg: wgSize, count } = tuner.current());
+    }
+    dispatchX = Math.ceil(count / wgSize);
+    if (wgSize !== previousWg) createPipeline();
+  };
+
   createShaderAndPipeline();
   // Emit readiness both human-readable and structured
   console.log(`[READY] WebGPU initialized (wg=${wgSize}, count=${count})`);
-  emit("ready", { wg: wgSize, count });
+  emit("ready", { wg: wgSize, count, adapter: adapterName, tuning: tuningSource });
 
   let readback = null;
   if (!useReadBuffer) {
@@ -483,12 +691,56 @@ async function mining(cfg) {
   // console.log("🔧 WebGPU compute probe");
   // console.log("- batch count:", count);
 
+  // The leased range is searched; ask for the next one
+  const finishLease = () => {
+    emit("leaseDone", { leaseId: cfg.lease_id, lastNonce: nonceLimit(cfg) });
+    cfg = { ...cfg, lease_id: null };
+  };
+
   let passErrorStreak = 0;
   while (true) {
     if (shuttingDown) {
       console.log("\n👋 Shutdown requested; cleaning up and exiting loop...");
       break;
     }
+    if (pendingStage !== undefined) {
+      const next = pendingStage;
+      pendingStage = undefined;
+      try {
+        stagedJob = next ? prepareJob(next) : null;
+        if (stagedJob) emit("jobStaged", { timestamp: stagedJob.cfg.timestamp });
+      } catch (e) {
+        stagedJob = null;
+        console.warn("Failed to stage next job:", e?.message || e);
+      }
+    }
+    if (pendingJob) {
+      const job = pendingJob;
+      pendingJob = null;
+      try {
+        const staged = applyJob(job);
+        currentBase = (parseInt(`${cfg.base_nonce ?? 0}`, 10) || 0) >>> 0;
+        stableIters = 0;
+        emit("jobSwitched", {
+          block_height: cfg.block_height,
+          leader_address: cfg.leader_address,
+          baseNonce: currentBase,
+          staged,
+        });
+      } catch (e) {
+        console.warn("Failed to apply new job:", e?.message || e);
+      }
+    }
+    if (NONCE_LEASES && cfg.lease_id == null) {
+      const lease = pendingLeases.shift();
+      if (!lease) {
+        // Nothing leased yet (or the job is drained); wait for the controller
+        await new Promise((r) => setTimeout(r, 5));
+        continue;
+      }
+      cfg = { ...cfg, lease_id: lease.id, base_nonce: lease.start, end_nonce: lease.end };
+      currentBase = lease.start;
+    }
     let mapped = false;
     let needReinit = false;
     let mapPromise = null;
@@ -499,8 +751,12 @@ async function mining(cfg) {
     try {
       // Enforce max nonce limit (avoid crossing and stop exactly on limit)
       if (STOP_AT_NONCE_LIMIT) {
-        const remaining = MAX_NONCE - currentBase + 1; // remaining nonces including currentBase
+        const remaining = nonceLimit(cfg) - currentBase + 1; // remaining nonces including currentBase
         if (remaining <= 0) {
+          if (NONCE_LEASES) {
+            finishLease();
+            continue;
+          }
           console.log("✅ Reached max nonce limit; stopping.");
           break;
         }
@@ -551,7 +807,8 @@ async function mining(cfg) {
       const dt = performance.now() - t0;
 
       // console.log(`- baseNonce: ${currentBase}`);
-      const solCount = view[0] >>> 0;
+      // The kernel keeps counting past the results capacity; only stored slots are readable
+      const solCount = Math.min(view[0] >>> 0, Math.floor((view.length - 1) / 9));
       // console.log('- solutions found:', solCount);
       for (let i = 0; i < solCount; i++) {
         const base = i * 9 + 1; // Adjust for count field
@@ -564,6 +821,17 @@ async function mining(cfg) {
         // Verify solution
         const msg = buildHeaderWithNonce(prefix, nonce);
         const hh = doubleSHA256(msg);
+        // Kernel digest words are in SHA-256 output order; CPU hash is reversed
+        if (!hash.reverse().equals(hh)) {
+          emit("hashMismatch", {
+            nonce,
+            gpuHash: hash.toString("hex"),
+            cpuHash: hh.toString("hex"),
+          });
+          console.error(
+            `❌ GPU/CPU hash mismatch: nonce=${nonce} gpu=${hash.toString("hex")} cpu=${hh.toString("hex")}`
+          );
+        }
         if (isHashBelowTarget(hh, cfg.target_hex)) {
           if (STRUCTURED) {
             // Structured solution event
@@ -605,6 +873,7 @@ async function mining(cfg) {
         // Structured metrics event
         emit("metrics", {
           lastNonce: currentBase + batchCount,
+          leaseId: cfg.lease_id ?? null,
           totalHashes: processedTotal + batchCount,
           totalMatches: totalMatches + solCount,
           rate: (batchCount * 1000) / dt,
@@ -629,20 +898,29 @@ async function mining(cfg) {
       processedTotal += batchCount;
       currentBase = (currentBase + batchCount) >>> 0;
       if (hitLimit) {
-        console.log("✅ Reached max nonce limit; stopping.");
-        break;
+        if (NONCE_LEASES) {
+          finishLease();
+        } else {
+          console.log("✅ Reached max nonce limit; stopping.");
+          break;
+        }
       }
       passErrorStreak = 0;
-      // adaptively increase batch size after stable iterations
-      stableIters++;
-      if (stableIters % 20 === 0 && count < COUNT_MAX) {
-        const old = count;
-        count = Math.min(COUNT_MAX, count + 4096);
-        if (count !== old) {
-          dispatchX = Math.ceil(count / wgSize);
-          console.log(
-            `[WebGPU] Increasing batch count to ${count} after stable iterations`
-          );
+      if (tuner) {
+        // Only full passes are comparable
+        if (batchCount === count) advanceTuning(tuner.record(batchCount, dt));
+      } else if (tuningSource === "default") {
+        // adaptively increase batch size after stable iterations
+        stableIters++;
+        if (stableIters % 20 === 0 && count < COUNT_MAX) {
+          const old = count;
+          count = Math.min(COUNT_MAX, count + 4096);
+          if (count !== old) {
+            dispatchX = Math.ceil(count / wgSize);
+            console.log(
+              `[WebGPU] Increasing batch count to ${count} after stable iterations`
+            );
+          }
         }
       }
     } catch (err) {
@@ -653,7 +931,14 @@ async function mining(cfg) {
       }
       // reduce batch size on repeated errors
       const newCount = Math.max(COUNT_MIN, Math.floor(count / 2));
-      if (newCount !== count) {
+      if (tuner) {
+        // A failing candidate is dropped from the sweep
+        try {
+          advanceTuning(tuner.fail(err?.message || String(err)));
+        } catch (e) {
+          console.warn("Tuning step failed:", e?.message || e);
+        }
+      } else if (newCount !== count) {
         count = newCount;
         dispatchX = Math.ceil(count / wgSize);
         console.warn(`[WebGPU] Reduced batch count to ${count} due to errors`);
@@ -662,8 +947,12 @@ async function mining(cfg) {
       processedTotal += batchCount;
       currentBase = (currentBase + batchCount) >>> 0;
       if (hitLimit) {
-        console.log("✅ Reached max nonce limit; stopping.");
-        break;
+        if (NONCE_LEASES) {
+          finishLease();
+        } else {
+          console.log("✅ Reached max nonce limit; stopping.");
+          break;
+        }
       }
       continue;
     } finally {
@@ -684,7 +973,7 @@ async function mining(cfg) {
           targetWordsBuf?.destroy();
           readback?.destroy();
 
-          const navigator2 = { gpu: create([]) };
+          const navigator2 = { gpu: create(runtimeFlags()) };
           adapter = await navigator2.gpu?.requestAdapter({
             powerPreference: "high-performance",
           });
@@ -704,7 +993,8 @@ async function mining(cfg) {
                 maxComputeInvocationsPerWorkgroup: computedWg2,
               },
             });
-            wgSize = computedWg2;
+            // A tuned workgroup size is kept if the new device allows it
+            wgSize = tuningSource === "default" ? computedWg2 : Math.min(wgSize, computedWg2);
             dispatchX = Math.ceil(count / wgSize);
           } catch (devErr) {
             console.warn(
@@ -776,8 +1066,45 @@ async function mining(cfg) {
     } catch {}
   } catch {}
 }
+// "* backend: 'vulkan', name: 'NVIDIA GeForce RTX 4090'" lines of a runtime error
+function parseAdapterList(text) {
+  const adapters = [];
+  const re = /\*\s*backend:\s*'([^']*)',\s*name:\s*'([^']*)'/g;
+  let m;
+  while ((m = re.exec(text)) !== null) adapters.push({ backend: m[1], name: m[2] });
+  return adapters;
+}
+
+// --list-adapters: print the adapters the runtime can see as one NDJSON line
+async function listAdapters() {
+  const { create, globals } = await import("webgpu");
+  Object.assign(globalThis, globals);
+  let adapters = [];
+  try {
+    // An adapter name that matches nothing makes the runtime reject with the full list
+    await create(["adapter=kbuc-list-adapters"]).requestAdapter();
+  } catch (e) {
+    adapters = parseAdapterList(String(e?.message || e));
+  }
+  let defaultAdapter = null;
+  try {
+    const adapter = await create([]).requestAdapter({ powerPreference: "high-performance" });
+    if (adapter) defaultAdapter = await describeAdapter(adapter);
+  } catch {}
+  console.log(JSON.stringify({ type: "adapters", adapters, default: defaultAdapter }));
+}
+
 // Run WebGPU miner if flag is present
 (async () => {
+  if (process.argv.includes("--list-adapters")) {
+    try {
+      await listAdapters();
+      process.exit(0);
+    } catch (e) {
+      console.error("Failed to list adapters:", e?.message || e);
+      process.exit(1);
+    }
+  }
   try {
     await mining(resolveConfig());
     console.log("Mining completed successfully");